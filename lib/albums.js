@@ -0,0 +1,109 @@
+import { isPublished, withOptimizedUrls } from './media.js';
+
+/**
+ * Albums
+ *
+ * Curated, ordered collections of media from any category
+ * ({ id, name, description, coverImageId, shareSlug, imageIds }). An album only lists image
+ * ids, so an image can be in any number of albums and keeps its one category and storage
+ * folder. The optional share slug gives an album a readable link (/api/albums/shared/<slug>).
+ */
+
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+
+// Same shape as category slugs
+const SHARE_SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+
+/**
+ * Albums, most recently created first
+ * @param {Object} db - Metadata store document
+ * @returns {Object[]} Album records
+ */
+export function listAlbums(db) {
+  return [...db.albums].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Find an album by id or share slug
+ * @param {Object} db - Metadata store document
+ * @param {Object} where - { id } or { shareSlug }
+ * @returns {Object|undefined} Album record
+ */
+export function findAlbum(db, { id, shareSlug }) {
+  return db.albums.find(album => (id ? album.id === id : album.shareSlug === shareSlug));
+}
+
+/**
+ * Validate album fields from a request body
+ * @param {Object} body - { name, description?, coverImageId?, shareSlug? }
+ * @param {Object} existing - Current album when updating (fields not in body are kept)
+ * @returns {Object} { fields } or { error }
+ */
+export function parseAlbumFields(body, existing = null) {
+  const fields = {};
+
+  if (body.name !== undefined || !existing) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return { error: `name is required and must be under ${MAX_NAME_LENGTH} characters` };
+    }
+    fields.name = name;
+  }
+
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string' || body.description.length > MAX_DESCRIPTION_LENGTH) {
+      return { error: `description must be text under ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    fields.description = body.description;
+  }
+
+  if (body.coverImageId !== undefined) {
+    if (body.coverImageId !== null && typeof body.coverImageId !== 'string') {
+      return { error: 'coverImageId must be an image id or null' };
+    }
+    fields.coverImageId = body.coverImageId || null;
+  }
+
+  if (body.shareSlug !== undefined) {
+    if (body.shareSlug !== null && (typeof body.shareSlug !== 'string' || !SHARE_SLUG_PATTERN.test(body.shareSlug))) {
+      return { error: 'shareSlug must be 1-50 lowercase letters, digits or dashes, or null' };
+    }
+    fields.shareSlug = body.shareSlug || null;
+  }
+
+  return { fields };
+}
+
+/**
+ * The published images of an album, in album order
+ * @param {Object} album - Album record
+ * @param {Object} db - Metadata store document
+ * @returns {Object[]} Image records
+ */
+export function albumImages(album, db) {
+  const byId = new Map(db.images.filter(isPublished).map(image => [image.id, image]));
+  return album.imageIds.map(id => byId.get(id)).filter(Boolean);
+}
+
+/**
+ * Album as returned by the API
+ * Only published images are shown, in album order; the cover falls back to the first image.
+ * @param {Object} album - Album record
+ * @param {Object} db - Metadata store document
+ * @param {Object} options - { withImages } to include the images themselves
+ * @returns {Object}
+ */
+export function toAlbumResponse(album, db, { withImages = false } = {}) {
+  const byId = new Map(db.images.filter(isPublished).map(image => [image.id, image]));
+  const images = albumImages(album, db);
+  const cover = byId.get(album.coverImageId) || images[0];
+  const coverImage = cover && withOptimizedUrls(cover);
+
+  return {
+    ...album,
+    imageCount: images.length,
+    coverUrl: coverImage ? (coverImage.thumbnail || coverImage.url) : null,
+    ...(withImages && { images: images.map(withOptimizedUrls) })
+  };
+}
@@ -0,0 +1,313 @@
+import archiver from 'archiver';
+import { createWriteStream } from 'fs';
+import { mkdir, readdir, stat, unlink, rename } from 'fs/promises';
+import { tmpdir } from 'os';
+import { extname, join, resolve } from 'path';
+import { finished } from 'stream/promises';
+import { readStore } from './store.js';
+import { imageDate } from './query.js';
+import { rateLimit } from './spam.js';
+import { isPublished, openStoredFile } from './media.js';
+import { defineJob, enqueue, getJob } from './jobs.js';
+
+/**
+ * ZIP archives of original files
+ *
+ * An archive holds the original of every image it is asked for, named after its caption,
+ * and a manifest.csv listing each file's caption and dates. Small archives are streamed
+ * straight into the response. Larger ones (more than ARCHIVE_SYNC_MAX_FILES files) are built
+ * by an "archive" background job (see lib/jobs.js): the client gets the job id right away
+ * and polls it until a download link is ready.
+ *
+ * Finished archives are written to ARCHIVE_DIR (default <tmp>/josh-farewell-archives) as
+ * <job id>.zip and removed ARCHIVE_TTL_HOURS after they were built.
+ */
+
+// Longest file name taken from a caption (without extension)
+const MAX_NAME_LENGTH = 80;
+
+// Job ids are UUIDs; anything else never touches the filesystem
+const JOB_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// Queue job status -> archive status
+const ARCHIVE_STATUSES = {
+  queued: 'building',
+  running: 'building',
+  succeeded: 'ready',
+  failed: 'failed',
+  cancelled: 'failed'
+};
+
+function archiveDir() {
+  return resolve(process.env.ARCHIVE_DIR?.trim() || join(tmpdir(), 'josh-farewell-archives'));
+}
+
+function archiveTtl() {
+  return Number(process.env.ARCHIVE_TTL_HOURS || 24) * 60 * 60 * 1000;
+}
+
+/**
+ * Largest archive streamed directly; bigger ones become background jobs
+ * @returns {number}
+ */
+export function syncArchiveLimit() {
+  return Number(process.env.ARCHIVE_SYNC_MAX_FILES || 50);
+}
+
+// Archives one visitor can ask for per window (ARCHIVE_RATE_LIMIT per hour)
+export const limitArchives = rateLimit({
+  max: () => Number(process.env.ARCHIVE_RATE_LIMIT || 10),
+  windowMs: () => 60 * 60 * 1000,
+  message: 'You have downloaded several archives in a short time. Please try again later.'
+});
+
+/**
+ * Path of a finished job's ZIP file
+ * @param {string} id - Job id
+ * @returns {string}
+ */
+export function archiveFilePath(id) {
+  return join(archiveDir(), `${id}.zip`);
+}
+
+// A caption as a file name: no path separators or characters Windows refuses
+function fileBaseName(image) {
+  const caption = String(image.caption || '')
+    .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '')
+    .slice(0, MAX_NAME_LENGTH)
+    .trim();
+  return caption || `${image.category || 'photo'}-${image.id}`;
+}
+
+function fileExtension(image) {
+  if (image.format) return `.${image.format.toLowerCase()}`;
+  const source = image.original || image.url || '';
+  return extname(source.split('?')[0]).toLowerCase();
+}
+
+/**
+ * File names inside the archive, one per image, unique
+ * @param {Object[]} images - Image records
+ * @returns {Object[]} [{ image, name }]
+ */
+export function archiveEntries(images) {
+  const used = new Set();
+  return images.map(image => {
+    const base = fileBaseName(image);
+    const extension = fileExtension(image);
+    let name = `${base}${extension}`;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      name = `${base} (${n})${extension}`;
+    }
+    used.add(name.toLowerCase());
+    return { image, name };
+  });
+}
+
+// CSV field, quoted when needed
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function manifest(entries, missing) {
+  const rows = [['file', 'caption', 'category', 'taken', 'uploaded', 'note']];
+  for (const { image, name } of entries) {
+    rows.push([
+      missing.has(name) ? '' : name,
+      image.caption || '',
+      image.category || '',
+      image.takenAt || '',
+      image.uploadedAt || '',
+      missing.has(name) ? 'Could not be downloaded' : ''
+    ]);
+  }
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Write a ZIP of the images' originals and a manifest to a stream
+ * A file that can't be fetched is left out and noted in the manifest instead of failing
+ * the whole archive.
+ * @param {Object[]} images - Image records, in archive order
+ * @param {Writable} output - Response or file stream
+ * @param {Object} options - { onProgress(done, total), signal (AbortSignal) }
+ * @returns {Promise<Object>} { files, missing } counts
+ */
+export async function writeArchive(images, output, { onProgress, signal } = {}) {
+  // Photos and videos are already compressed - storing them is as small and much faster
+  const archive = archiver('zip', { store: true });
+  // Settles (rejects) when archiving fails or the caller gives up, e.g. the download was cancelled
+  const failed = new Promise((_, reject) => {
+    archive.on('error', reject);
+    signal?.addEventListener('abort', () => {
+      archive.abort();
+      reject(new Error('Archive cancelled'));
+    }, { once: true });
+  });
+  failed.catch(() => {});
+  archive.pipe(output);
+
+  const entries = archiveEntries(images);
+  const missing = new Set();
+  let done = 0;
+
+  for (const { image, name } of entries) {
+    let source;
+    try {
+      source = await openStoredFile(image);
+    } catch (error) {
+      console.warn(`Leaving ${image.id} out of archive:`, error.message);
+      missing.add(name);
+    }
+    if (signal?.aborted) {
+      source?.destroy();
+      throw new Error('Archive cancelled');
+    }
+
+    if (source) {
+      // One file at a time: wait until archiver has consumed this one before opening the next
+      const added = new Promise(resolve => archive.once('entry', resolve));
+      archive.append(source, { name, date: new Date(imageDate(image)) });
+      await Promise.race([added, failed]);
+    }
+
+    done += 1;
+    onProgress?.(done, entries.length);
+  }
+
+  archive.append(manifest(entries, missing), { name: 'manifest.csv' });
+  await Promise.race([archive.finalize(), failed]);
+  await finished(output);
+
+  return { files: entries.length - missing.size, missing: missing.size };
+}
+
+defineJob('archive', async ({ imageIds }, { job, progress }) => {
+  // Images deleted or unpublished since the job was queued are left out
+  const byId = new Map((await readStore()).images.filter(isPublished).map(image => [image.id, image]));
+  const images = imageIds.map(id => byId.get(id)).filter(Boolean);
+
+  await mkdir(archiveDir(), { recursive: true });
+  await removeExpiredArchives();
+
+  const zipPath = archiveFilePath(job.id);
+  const output = createWriteStream(`${zipPath}.part`);
+  try {
+    const result = await writeArchive(images, output, { onProgress: progress });
+    await rename(`${zipPath}.part`, zipPath);
+    console.log(`📦 Archive ${job.id} ready: ${result.files} files`);
+    return { ...result, size: (await stat(zipPath)).size };
+  } catch (error) {
+    output.destroy();
+    await unlink(`${zipPath}.part`).catch(() => {});
+    throw error;
+  }
+});
+
+/**
+ * Load an archive job
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} { id, name, status: building|ready|failed, total, done, files,
+ *   missing, size, error, createdAt, finishedAt, createdBy }, or null if unknown or expired
+ */
+export async function getArchiveJob(id) {
+  if (!JOB_ID_PATTERN.test(id)) return null;
+  const job = await getJob(id);
+  if (!job || job.type !== 'archive') return null;
+  if (job.finishedAt && Date.parse(job.finishedAt) < Date.now() - archiveTtl()) return null;
+
+  const status = ARCHIVE_STATUSES[job.status];
+  return {
+    id: job.id,
+    name: job.payload.name,
+    status,
+    total: job.payload.imageIds.length,
+    done: status === 'ready' ? job.payload.imageIds.length : job.progress?.done || 0,
+    ...(status === 'ready' && job.result),
+    ...(status === 'failed' && { error: job.error || 'The archive was cancelled' }),
+    createdBy: job.createdBy,
+    createdAt: job.createdAt,
+    ...(job.finishedAt && { finishedAt: job.finishedAt })
+  };
+}
+
+/**
+ * Queue an archive to be built in the background
+ * @param {Object[]} images - Image records, in archive order
+ * @param {Object} details - { name (download file name without .zip), createdBy }
+ * @returns {Promise<Object>} The archive job (see getArchiveJob)
+ */
+export async function startArchiveJob(images, { name, createdBy = null }) {
+  const job = await enqueue('archive', { imageIds: images.map(image => image.id), name }, { createdBy });
+  return getArchiveJob(job.id);
+}
+
+/**
+ * A job as shown to clients, with its links
+ * @param {Object} job
+ * @returns {Object}
+ */
+export function toJobResponse({ createdBy: _createdBy, ...job }) {
+  return {
+    ...job,
+    statusUrl: `/api/archives/${job.id}`,
+    downloadUrl: job.status === 'ready' ? `/api/archives/${job.id}/download` : null,
+    ...(job.finishedAt && { expiresAt: new Date(Date.parse(job.finishedAt) + archiveTtl()).toISOString() })
+  };
+}
+
+/**
+ * Answer a request with an archive of images: the ZIP itself when it is small, otherwise
+ * 202 with a background job to poll (see GET /api/archives/:id)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object[]} images - Image records, in archive order
+ * @param {string} name - Download file name without .zip
+ */
+export async function sendArchive(req, res, images, name) {
+  if (images.length === 0) {
+    return res.status(404).json({ error: 'There are no files to download' });
+  }
+
+  if (images.length > syncArchiveLimit()) {
+    const job = await startArchiveJob(images, { name, createdBy: req.user?.username || null });
+    return res.status(202).json(toJobResponse(job));
+  }
+
+  // Stop fetching files when the visitor cancels the download
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  res.attachment(`${name}.zip`);
+  try {
+    await writeArchive(images, res, { signal: controller.signal });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error('Error streaming archive:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Failed to build archive' });
+    }
+  }
+}
+
+// Delete archives (and partial files left by a stopped server) older than the TTL
+async function removeExpiredArchives() {
+  const cutoff = Date.now() - archiveTtl();
+  for (const name of await readdir(archiveDir())) {
+    if (!/\.zip(\.part)?$/.test(name)) continue;
+    const path = join(archiveDir(), name);
+    const { mtimeMs } = await stat(path).catch(() => ({ mtimeMs: Infinity }));
+    if (mtimeMs < cutoff) {
+      await unlink(path).catch(() => {});
+      console.log(`🧹 Removed expired archive ${name}`);
+    }
+  }
+}
@@ -0,0 +1,149 @@
+import { appendFile, open, mkdir } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Audit log
+ *
+ * Every change to the gallery's data - by admins and contributors, guest submissions, the
+ * background sync and trash purge, and the scripts - is appended to data/audit.log
+ * (AUDIT_LOG_PATH) as one line of JSON. Nothing in the app rewrites or removes a line.
+ *
+ * Entry: { id, at, action, actor, ip, imageIds, target, before, after }
+ *   action     e.g. "image.update", "category.delete" (see the README for the full list)
+ *   actor      username, "guest", "system" (background jobs) or "script:<name>"
+ *   imageIds   images the change touched, for looking up an image's history
+ *   target     { type, id } of what changed, when it isn't (only) images
+ *   before     snapshot before the change, null if it didn't exist
+ *   after      snapshot after the change, null if it no longer exists
+ *
+ * Snapshots leave out image GPS data (`private`) and password hashes.
+ */
+
+let writeQueue = Promise.resolve();
+
+function auditPath() {
+  return resolve(process.env.AUDIT_LOG_PATH?.trim() || join(__dirname, '../data/audit.log'));
+}
+
+/**
+ * Copy of a value for the log, without secrets
+ * @param {*} value - Record, list of records or any JSON value
+ * @returns {*} Deep copy, or null for undefined
+ */
+export function auditSnapshot(value) {
+  if (value === undefined || value === null) return null;
+  return JSON.parse(JSON.stringify(value, (key, field) =>
+    key === 'private' || key === 'passwordHash' ? undefined : field
+  ));
+}
+
+/**
+ * Append an entry to the audit log
+ * Never throws - a change that has been made is not undone because it couldn't be logged.
+ * @param {Object|string} by - Express request (actor and IP are taken from it) or an actor name
+ * @param {string} action - What was done, e.g. "image.delete"
+ * @param {Object} details - { imageIds, target, before, after }
+ * @returns {Promise<void>}
+ */
+export function recordAudit(by, action, { imageIds = [], target = null, before = null, after = null } = {}) {
+  const entry = {
+    id: randomUUID(),
+    at: new Date().toISOString(),
+    action,
+    actor: typeof by === 'string' ? by : by.user?.username || 'guest',
+    ip: typeof by === 'string' ? null : by.ip || null,
+    imageIds,
+    target,
+    before: auditSnapshot(before),
+    after: auditSnapshot(after)
+  };
+
+  const run = writeQueue.then(async () => {
+    const path = auditPath();
+    await mkdir(dirname(path), { recursive: true });
+    await appendFile(path, JSON.stringify(entry) + '\n');
+  });
+  writeQueue = run.catch(error => {
+    console.error(`Failed to write audit entry ${action}:`, error);
+  });
+  return writeQueue;
+}
+
+// How much of the log is read at a time when going through it from the end
+const READ_CHUNK = 64 * 1024;
+
+// Lines of the log ending before byte `end`, last first, with the byte offset each starts at
+async function* linesBackwards(path, end) {
+  let handle;
+  try {
+    handle = await open(path, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  try {
+    let position = Math.min(end ?? Infinity, (await handle.stat()).size);
+    let rest = Buffer.alloc(0);
+    while (position > 0) {
+      const length = Math.min(READ_CHUNK, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      await handle.read(chunk, 0, length, position);
+
+      const buffer = Buffer.concat([chunk, rest]);
+      let lineEnd = buffer.length;
+      for (let i = buffer.length - 1; i >= 0; i--) {
+        if (buffer[i] !== 0x0a) continue;
+        if (i + 1 < lineEnd) yield { line: buffer.toString('utf-8', i + 1, lineEnd), offset: position + i + 1 };
+        lineEnd = i;
+      }
+      rest = buffer.subarray(0, lineEnd);
+    }
+    if (rest.length) yield { line: rest.toString('utf-8'), offset: 0 };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Audit entries, newest first
+ * The log is read from the end (or from where the previous page stopped) a chunk at a time,
+ * and only until the page is full, so a long log isn't loaded into memory.
+ * @param {Object} filters - { imageId, actor, action, from, to (ISO dates, inclusive), limit, cursor }
+ *   imageId may be a list (an image's id and legacyId); action matches exactly or by prefix
+ *   ("image" matches "image.update"); cursor is the nextCursor of the previous page (a byte
+ *   offset into the log)
+ * @returns {Promise<Object>} { entries, nextCursor }
+ */
+export async function queryAudit({ imageId, actor, action, from, to, limit = 100, cursor } = {}) {
+  const imageIds = imageId ? [].concat(imageId) : null;
+  const matching = [];
+  for await (const { line, offset } of linesBackwards(auditPath(), cursor === undefined ? undefined : Number(cursor))) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue; // a line cut short by a crash
+    }
+
+    if (from && entry.at < from) break; // entries are appended in time order
+    if (imageIds && !imageIds.some(id => entry.imageIds?.includes(id))) continue;
+    if (actor && entry.actor !== actor) continue;
+    if (action && entry.action !== action && !entry.action.startsWith(`${action}.`)) continue;
+    if (to && entry.at > to) continue;
+    matching.push({ entry, offset });
+    if (matching.length > limit) break;
+  }
+
+  const page = matching.slice(0, limit);
+  return {
+    entries: page.map(match => match.entry),
+    nextCursor: matching.length > limit ? String(page.at(-1).offset) : null
+  };
+}
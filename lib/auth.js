@@ -0,0 +1,237 @@
+import { randomBytes, randomUUID, scrypt, createHmac, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { readStore, updateStore } from './store.js';
+
+const scryptAsync = promisify(scrypt);
+
+/**
+ * Authentication and role-based access
+ *
+ * Users live in the metadata store with scrypt password hashes. Logging in issues a signed
+ * token that is accepted either as "Authorization: Bearer <token>" (API clients, other origins)
+ * or as the HttpOnly session cookie (the admin page). Tokens carry the user's tokenVersion;
+ * bumping it (logging out, a password change) revokes every token issued before.
+ */
+export const ROLES = ['contributor', 'admin'];
+export const SESSION_COOKIE = 'session';
+
+// Higher roles can do everything lower roles can
+const ROLE_RANK = { contributor: 1, admin: 2 };
+
+let secret = null;
+
+function getSecret() {
+  if (secret) return secret;
+
+  secret = process.env.AUTH_SECRET?.trim();
+  if (!secret) {
+    console.warn('⚠️  AUTH_SECRET is not set - using a random secret, everyone is logged out when the server restarts');
+    secret = randomBytes(32).toString('hex');
+  }
+  return secret;
+}
+
+function tokenTtlMs() {
+  const hours = Number(process.env.AUTH_TOKEN_TTL_HOURS) || 12;
+  return hours * 60 * 60 * 1000;
+}
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} "salt:hash" in hex
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const hash = await scryptAsync(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scryptAsync(password, salt, expected.length);
+  return timingSafeEqual(expected, actual);
+}
+
+/**
+ * HMAC of a value with the server's secret (AUTH_SECRET)
+ * @param {string} payload
+ * @returns {string} base64url signature
+ */
+export function sign(payload) {
+  return createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Issue a signed session token for a user
+ * @param {Object} user - User record
+ * @returns {Object} { token, expiresAt }
+ */
+export function issueToken(user) {
+  const expiresAt = Date.now() + tokenTtlMs();
+  const payload = Buffer.from(JSON.stringify({ sub: user.id, ver: user.tokenVersion || 0, exp: expiresAt })).toString('base64url');
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expiresAt: new Date(expiresAt).toISOString()
+  };
+}
+
+function verifyToken(token) {
+  const [payload, signature] = (token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    return claims.exp > Date.now() ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a cookie from the request headers
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null}
+ */
+export function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+function tokenFromRequest(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return readCookie(req, SESSION_COOKIE);
+}
+
+/**
+ * Strip secrets from a user record before sending it to a client
+ */
+export function toPublicUser(user) {
+  const { passwordHash, tokenVersion, ...publicUser } = user;
+  return publicUser;
+}
+
+/**
+ * Revoke a user's tokens from inside a store transaction
+ * Every token issued before stops working, on all of the user's devices.
+ * @param {Object} user - User record in the store being written
+ */
+export function revokeTokens(user) {
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+}
+
+/**
+ * Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when there are no users yet
+ */
+export async function ensureBootstrapAdmin() {
+  const username = process.env.ADMIN_USERNAME?.trim();
+  const password = process.env.ADMIN_PASSWORD;
+
+  const db = await readStore();
+  if (db.users.length > 0) return;
+
+  if (!username || !password) {
+    console.warn('⚠️  No users exist yet. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin.');
+    return;
+  }
+
+  const passwordHash = await hashPassword(password);
+  await updateStore(db => {
+    if (db.users.length > 0) return;
+    db.users.push({
+      id: randomUUID(),
+      username,
+      role: 'admin',
+      passwordHash,
+      createdAt: new Date().toISOString()
+    });
+    console.log(`👤 Created admin user "${username}"`);
+  });
+}
+
+/**
+ * Check a username/password pair
+ * @returns {Promise<Object|null>} The user record, or null if the credentials are wrong
+ */
+export async function authenticateUser(username, password) {
+  const db = await readStore();
+  const user = db.users.find(u => u.username === username);
+
+  if (!user || !(await verifyPassword(password, user.passwordHash))) {
+    return null;
+  }
+  return user;
+}
+
+/**
+ * Set the session cookie on a response
+ */
+export function setSessionCookie(req, res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure || process.env.NODE_ENV === 'production',
+    maxAge: tokenTtlMs(),
+    path: '/'
+  });
+}
+
+/**
+ * Middleware: attach req.user when the request carries a valid token
+ * Never rejects - use requireAuth/requireRole for that.
+ */
+export async function authenticate(req, res, next) {
+  try {
+    const claims = verifyToken(tokenFromRequest(req));
+    if (claims) {
+      // Look the user up on every request so deleted users, role changes and revoked
+      // tokens apply immediately
+      const db = await readStore();
+      const user = db.users.find(u => u.id === claims.sub);
+      if (user && (claims.ver || 0) === (user.tokenVersion || 0)) {
+        req.user = toPublicUser(user);
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Middleware factory: only let through users with at least the given role
+ * @param {string} role - Minimum role ('contributor' or 'admin')
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if ((ROLE_RANK[req.user.role] || 0) < ROLE_RANK[role]) {
+      return res.status(403).json({ error: `This action requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware: any logged-in user
+ */
+export const requireAuth = requireRole('contributor');
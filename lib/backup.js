@@ -0,0 +1,511 @@
+import { createWriteStream, existsSync } from 'fs';
+import { mkdir, readdir, readFile, writeFile, rename, rm, stat } from 'fs/promises';
+import { basename, dirname, extname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { pipeline } from 'stream/promises';
+import { getStorage, STORAGE_ROOT } from './storage/index.js';
+import { readStore, updateStore, getStorePath, LEGACY_IMAGES_PATH, STORE_VERSION, STORE_COLLECTIONS } from './store.js';
+import { migrateStore } from './migrations.js';
+import { ROLES } from './auth.js';
+import { openStoredFile } from './media.js';
+import { defineJob, enqueue } from './jobs.js';
+import { recordAudit } from './audit.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Backups of the metadata store
+ *
+ * A backup is a folder in data/backups (BACKUP_DIR) named after its id, e.g.
+ * 20240602T101500000Z-manual, holding backup.json:
+ *
+ *   { format, version, id, kind, createdAt, createdBy, revision, counts, media, manifest, store }
+ *
+ * store is the whole metadata document (images, categories, users with their password
+ * hashes, albums, events, guestbook, reactions, comments). manifest lists every media file the
+ * store points at - { type: image|guestbook, id, publicId, resourceType, url, contentHash, file } -
+ * so the media can be checked or fetched again. When the backup includes the media, each
+ * original is in media/ and file is its path there (null if it couldn't be downloaded).
+ *
+ * kind is "manual" (an admin or `npm run backup`), "scheduled" (every BACKUP_INTERVAL_HOURS,
+ * only when something changed) or "pre-restore" (taken automatically before a restore
+ * replaces the store). The newest BACKUP_KEEP of each kind are kept.
+ *
+ * When the server starts without a store - a wiped disk - it restores the newest backup. That
+ * only helps if BACKUP_DIR is on another disk than the store, which the server warns about.
+ */
+
+export const BACKUP_FORMAT = 'josh-farewell-backup';
+export const BACKUP_VERSION = 1;
+
+const BACKUP_FILE = 'backup.json';
+const MEDIA_FOLDER = 'media';
+
+const BACKUP_ID_PATTERN = /^\d{8}T\d{9}Z-(manual|scheduled|pre-restore)$/;
+
+// How often the server checks whether a scheduled backup is due
+const SCHEDULE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Malformed records reported by validateBackup before it stops looking
+const MAX_ERRORS = 50;
+
+/**
+ * Folder that holds the backups (BACKUP_DIR, default data/backups)
+ * @returns {string} Absolute path
+ */
+export function backupDir() {
+  return resolve(process.env.BACKUP_DIR?.trim() || join(__dirname, '../data/backups'));
+}
+
+/**
+ * Hours between scheduled backups (BACKUP_INTERVAL_HOURS, default 24; 0 turns them off)
+ * @returns {number}
+ */
+export function backupIntervalHours() {
+  return Number(process.env.BACKUP_INTERVAL_HOURS ?? 24);
+}
+
+/**
+ * Backups kept of each kind (BACKUP_KEEP, default 7)
+ * @returns {number}
+ */
+export function backupKeep() {
+  return Number(process.env.BACKUP_KEEP || 7);
+}
+
+/**
+ * Whether an id names a backup (anything else never touches the filesystem)
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isBackupId(id) {
+  return BACKUP_ID_PATTERN.test(id);
+}
+
+function backupPath(id) {
+  return join(backupDir(), id);
+}
+
+function newBackupId(kind) {
+  return `${new Date().toISOString().replace(/[-:.]/g, '')}-${kind}`;
+}
+
+// Every media file the store points at
+function mediaManifest(db) {
+  const entry = (type, id, file) => ({
+    type,
+    id,
+    publicId: file.publicId,
+    resourceType: file.resourceType || 'image',
+    url: file.original || file.url,
+    contentHash: file.contentHash || null,
+    file: null
+  });
+
+  return [
+    ...db.images.filter(image => image.publicId).map(image => entry('image', image.id, image)),
+    ...db.guestbook.filter(message => message.photo?.publicId).map(message => entry('guestbook', message.id, message.photo))
+  ];
+}
+
+function mediaFileName(entry) {
+  const extension = extname(entry.publicId) || extname(new URL(entry.url || '', 'http://localhost').pathname);
+  return `${MEDIA_FOLDER}/${entry.type}-${entry.id.replace(/[^\w-]/g, '_')}${extension.toLowerCase()}`;
+}
+
+function countRecords(store) {
+  return Object.fromEntries(STORE_COLLECTIONS.map(key => [key, (store[key] || []).length]));
+}
+
+// A backup as listed: everything but the store and the manifest
+function toSummary({ store: _store, manifest: _manifest, ...backup }) {
+  return backup;
+}
+
+/**
+ * Take a backup of the metadata store
+ * @param {Object} options - { kind: manual|scheduled|pre-restore, media (also copy the original
+ *   files), createdBy, progress(done, total) }
+ * @returns {Promise<Object>} The backup's summary (backup.json without store and manifest)
+ */
+export async function createBackup({ kind = 'manual', media = false, createdBy = null, progress } = {}) {
+  const store = await readStore();
+  const id = newBackupId(kind);
+  const partPath = `${backupPath(id)}.part`;
+  await mkdir(partPath, { recursive: true });
+
+  let backup;
+  try {
+    const manifest = mediaManifest(store);
+    let missing = 0;
+    if (media) {
+      await mkdir(join(partPath, MEDIA_FOLDER));
+      for (const [index, entry] of manifest.entries()) {
+        const file = mediaFileName(entry);
+        try {
+          await pipeline(await openStoredFile(entry), createWriteStream(join(partPath, file)));
+          entry.file = file;
+        } catch (error) {
+          console.warn(`Leaving ${entry.publicId} out of backup ${id}:`, error.message);
+          missing++;
+        }
+        progress?.(index + 1, manifest.length);
+      }
+    }
+
+    backup = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      id,
+      kind,
+      createdAt: new Date().toISOString(),
+      createdBy,
+      revision: store.revision || 0,
+      counts: countRecords(store),
+      media: { included: media, files: media ? manifest.length - missing : 0, missing },
+      manifest,
+      store
+    };
+    await writeFile(join(partPath, BACKUP_FILE), JSON.stringify(backup, null, 2));
+    await rename(partPath, backupPath(id));
+  } catch (error) {
+    await rm(partPath, { recursive: true, force: true });
+    throw error;
+  }
+
+  console.log(`💾 Backup ${id} saved${media ? ` with ${backup.media.files} media files` : ''}`);
+  await rotateBackups();
+  return toSummary(backup);
+}
+
+/**
+ * Read a backup file
+ * @param {string} path - backup.json, or the folder that holds it
+ * @returns {Promise<Object>} The backup, with dir (its folder)
+ */
+export async function loadBackupFile(path) {
+  const file = (await stat(path)).isDirectory() ? join(path, BACKUP_FILE) : path;
+  const backup = JSON.parse(await readFile(file, 'utf-8'));
+  return { ...backup, dir: dirname(resolve(file)) };
+}
+
+/**
+ * Read a backup from BACKUP_DIR
+ * @param {string} id - Backup id
+ * @returns {Promise<Object|null>} The backup, with dir, or null if there is none
+ */
+export async function readBackup(id) {
+  if (!isBackupId(id) || !existsSync(join(backupPath(id), BACKUP_FILE))) return null;
+  return loadBackupFile(backupPath(id));
+}
+
+/**
+ * Backups in BACKUP_DIR, newest first
+ * A backup that can't be read is skipped.
+ * @returns {Promise<Object[]>} Summaries (backup.json without store and manifest)
+ */
+export async function listBackups() {
+  let ids;
+  try {
+    ids = (await readdir(backupDir())).filter(isBackupId);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const backups = [];
+  for (const id of ids.sort().reverse()) {
+    try {
+      backups.push(toSummary(await readBackup(id)));
+    } catch (error) {
+      console.warn(`Skipping unreadable backup ${id}:`, error.message);
+    }
+  }
+  return backups.map(({ dir: _dir, ...backup }) => backup);
+}
+
+/**
+ * Delete a backup
+ * @param {string} id - Backup id
+ * @returns {Promise<boolean>} false if there is no such backup
+ */
+export async function deleteBackup(id) {
+  if (!isBackupId(id) || !existsSync(backupPath(id))) return false;
+  await rm(backupPath(id), { recursive: true, force: true });
+  return true;
+}
+
+// Remove backups beyond the newest BACKUP_KEEP of each kind, and folders left by a backup
+// that was cut short
+async function rotateBackups() {
+  const names = await readdir(backupDir()).catch(() => []);
+  for (const kind of ['manual', 'scheduled', 'pre-restore']) {
+    const backups = names.filter(name => isBackupId(name) && name.endsWith(`-${kind}`)).sort().reverse();
+    for (const id of backups.slice(backupKeep())) {
+      await deleteBackup(id);
+      console.log(`🧹 Removed old backup ${id}`);
+    }
+  }
+
+  const newest = names.filter(isBackupId).sort().at(-1) || '';
+  for (const name of names.filter(name => name.endsWith('.part'))) {
+    // Only ones older than the newest finished backup - a backup may be being written right now
+    if (name < newest) await rm(join(backupDir(), name), { recursive: true, force: true });
+  }
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isText = value => typeof value === 'string' && value.length > 0;
+// Old stores have numeric image ids; migrating turns them into UUIDs
+const isId = value => isText(value) || Number.isFinite(value);
+
+/**
+ * Check that a backup can be restored
+ * @param {Object} backup - Parsed backup.json
+ * @returns {string[]} Problems found, empty when it is valid
+ */
+export function validateBackup(backup) {
+  if (!isObject(backup) || backup.format !== BACKUP_FORMAT) {
+    return ['Not a backup of this gallery'];
+  }
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    return [`Backup format version ${backup.version} is not supported (up to ${BACKUP_VERSION})`];
+  }
+  const { store } = backup;
+  if (!isObject(store)) return ['The backup has no metadata store'];
+  if (store.version > STORE_VERSION) {
+    return [`The store in the backup is version ${store.version}, newer than this server (${STORE_VERSION})`];
+  }
+
+  const errors = [];
+  const report = message => {
+    if (errors.length < MAX_ERRORS) errors.push(message);
+  };
+
+  for (const key of STORE_COLLECTIONS) {
+    if (store[key] === undefined && key !== 'images' && key !== 'categories') continue;
+    if (!Array.isArray(store[key])) {
+      report(`${key} must be a list`);
+      continue;
+    }
+    store[key].forEach((record, index) => {
+      if (!isObject(record)) report(`${key}[${index}] is not a record`);
+    });
+  }
+  if (errors.length > 0) return errors;
+
+  const unique = (key, field) => {
+    const seen = new Set();
+    store[key].forEach((record, index) => {
+      if (!isId(record[field])) {
+        report(`${key}[${index}] has no ${field}`);
+      } else if (seen.has(record[field])) {
+        report(`${key}[${index}]: ${field} "${record[field]}" appears more than once`);
+      }
+      seen.add(record[field]);
+    });
+  };
+  unique('images', 'id');
+  unique('categories', 'slug');
+
+  store.images.forEach((image, index) => {
+    if (!isText(image.category)) report(`images[${index}] has no category`);
+    if (!isText(image.url) && !isText(image.publicId)) report(`images[${index}] has no url or publicId`);
+  });
+
+  for (const key of ['users', 'events', 'albums', 'guestbook', 'comments']) {
+    if (store[key]) unique(key, 'id');
+  }
+  (store.users || []).forEach((user, index) => {
+    if (!isText(user.username)) report(`users[${index}] has no username`);
+    if (!ROLES.includes(user.role)) report(`users[${index}] has an unknown role "${user.role}"`);
+    if (!isText(user.passwordHash)) report(`users[${index}] has no password hash`);
+  });
+  for (const key of ['events', 'albums']) {
+    (store[key] || []).forEach((record, index) => {
+      if (!Array.isArray(record.imageIds)) report(`${key}[${index}] has no imageIds list`);
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Replace the metadata store with a backup
+ * A pre-restore backup of the current store is taken first, so a restore can be undone.
+ * A backup from an older version of the store is migrated as it is restored.
+ * @param {Object} backup - Parsed backup.json, already validated (see validateBackup)
+ * @param {Object} options - { actor (for the audit log), safetyBackup (default true) }
+ * @returns {Promise<Object>} { restored: summary of the backup, counts, safetyBackup: summary or null }
+ */
+export async function restoreBackup(backup, { actor = 'system', safetyBackup = true } = {}) {
+  const safety = safetyBackup ? await createBackup({ kind: 'pre-restore', createdBy: actor }) : null;
+
+  const before = await updateStore(db => {
+    const before = countRecords(db);
+    for (const key of STORE_COLLECTIONS) {
+      db[key] = backup.store[key] || [];
+    }
+    migrateStore(db, { from: backup.store.version || 1 });
+    return before;
+  }, { validate: false });
+  const counts = countRecords(backup.store);
+  await recordAudit(actor, 'store.restore', {
+    target: { type: 'backup', id: backup.id },
+    before: { counts: before, safetyBackup: safety?.id || null },
+    after: { counts }
+  });
+
+  console.log(`♻️  Restored backup ${backup.id}: ${counts.images} images`);
+  return { restored: toSummary(backup), counts, safetyBackup: safety };
+}
+
+function mimetype(entry) {
+  const extension = extname(entry.file).slice(1).toLowerCase();
+  const subtype = { jpg: 'jpeg', mov: 'quicktime', svg: 'svg+xml' }[extension] || extension;
+  return `${entry.resourceType === 'video' ? 'video' : 'image'}/${subtype}`;
+}
+
+/**
+ * Upload the media files a restored store points at that are gone from storage, from the
+ * copies in the backup. Records get the new file's URL and publicId.
+ * @param {Object} backup - Backup taken with media (see loadBackupFile), already restored
+ * @param {Object} options - { progress(done, total) }
+ * @returns {Promise<Object>} { uploaded, present, unavailable, failed: [{ publicId, error }] }
+ */
+export async function restoreMedia(backup, { progress } = {}) {
+  const storage = getStorage();
+  if (!storage.isConfigured()) {
+    throw new Error(storage.notConfiguredMessage);
+  }
+
+  const stored = new Set((await storage.list(STORAGE_ROOT)).map(file => file.publicId));
+  const result = { uploaded: 0, present: 0, unavailable: 0, failed: [] };
+
+  for (const [index, entry] of backup.manifest.entries()) {
+    progress?.(index, backup.manifest.length);
+    if (stored.has(entry.publicId)) {
+      result.present++;
+      continue;
+    }
+    if (!entry.file) {
+      result.unavailable++;
+      continue;
+    }
+
+    try {
+      const file = await storage.uploadFile(join(backup.dir, entry.file), {
+        folder: dirname(entry.publicId),
+        resourceType: entry.resourceType,
+        filename: basename(entry.file),
+        mimetype: mimetype(entry)
+      });
+      const video = entry.resourceType === 'video' && storage.processVideo
+        ? await storage.processVideo(file.publicId)
+        : null;
+
+      await updateStore(db => {
+        const record = entry.type === 'image'
+          ? db.images.find(image => image.id === entry.id && image.publicId === entry.publicId)
+          : db.guestbook.find(message => message.id === entry.id && message.photo?.publicId === entry.publicId)?.photo;
+        if (!record) return;
+
+        // URLs derived from the old file point nowhere now
+        for (const key of ['thumbnail', 'lightbox', 'original', 'derived', 'missingAt']) {
+          delete record[key];
+        }
+        Object.assign(record, { url: file.url, publicId: file.publicId });
+        if (video?.derived) record.derived = video.derived;
+      });
+      result.uploaded++;
+    } catch (error) {
+      console.error(`Failed to restore ${entry.publicId}:`, error);
+      result.failed.push({ publicId: entry.publicId, error: storage.describeError(error) });
+    }
+  }
+
+  progress?.(backup.manifest.length, backup.manifest.length);
+  return result;
+}
+
+defineJob('backup', async ({ kind, media }, { job, progress }) => {
+  await mkdir(backupDir(), { recursive: true });
+  return createBackup({ kind, media, createdBy: job.createdBy, progress });
+}, { attempts: 2 });
+
+/**
+ * Take a backup in the background (for backups with media, which take a while)
+ * @param {Object} options - { kind, media, createdBy }
+ * @returns {Promise<Object>} The job
+ */
+export function queueBackup({ kind = 'manual', media = false, createdBy = null } = {}) {
+  return enqueue('backup', { kind, media }, { createdBy, unique: kind === 'scheduled' });
+}
+
+async function queueBackupIfDue() {
+  const hours = backupIntervalHours();
+  if (!(hours > 0)) return;
+
+  const latest = (await listBackups()).find(backup => backup.kind === 'scheduled');
+  const { revision = 0, images } = await readStore();
+  if (images.length === 0) return;
+  if (latest && Date.parse(latest.createdAt) > Date.now() - hours * 60 * 60 * 1000) return;
+  // Nothing changed since the last one
+  if (latest && latest.revision === revision) return;
+
+  await queueBackup({ kind: 'scheduled' });
+}
+
+// The device a path is on, or the one its nearest existing parent folder is on
+async function deviceOf(path) {
+  for (let dir = path; ; dir = dirname(dir)) {
+    try {
+      return (await stat(dir)).dev;
+    } catch (error) {
+      if (error.code !== 'ENOENT' || dirname(dir) === dir) throw error;
+    }
+  }
+}
+
+// Backups on the disk that holds the store are lost with it, and can't bring it back
+async function warnIfSameDisk() {
+  if (await deviceOf(backupDir()) !== await deviceOf(dirname(getStorePath()))) return;
+  console.warn(`⚠️  Backups (${backupDir()}) are on the same disk as the metadata store. Set BACKUP_DIR to another disk (or download backups) so they survive losing it.`);
+}
+
+/**
+ * Take scheduled backups (the server calls this once the job queue runs)
+ * Also warns when BACKUP_DIR is on the same disk as the store.
+ */
+export function scheduleBackups() {
+  warnIfSameDisk().catch(error => {
+    console.error('Failed to check where backups are kept:', error);
+  });
+  const check = () => queueBackupIfDue().catch(error => {
+    console.error('Failed to check for a scheduled backup:', error);
+  });
+  check();
+  setInterval(check, SCHEDULE_CHECK_INTERVAL_MS).unref();
+}
+
+/**
+ * Restore the newest backup when there is no metadata store at all, e.g. after the disk was
+ * wiped. Does nothing when a store (or a legacy images.json to import) exists.
+ * @returns {Promise<Object|null>} The restore result, or null
+ */
+export async function restoreLatestIfWiped() {
+  if (existsSync(getStorePath()) || existsSync(LEGACY_IMAGES_PATH)) return null;
+
+  for (const summary of await listBackups()) {
+    const backup = await readBackup(summary.id);
+    const errors = validateBackup(backup);
+    if (errors.length > 0) {
+      console.warn(`⚠️  Backup ${summary.id} can't be restored: ${errors[0]}`);
+      continue;
+    }
+    console.log(`🛟 No metadata store found - restoring the newest backup, ${summary.id}`);
+    return restoreBackup(backup, { safetyBackup: false });
+  }
+  return null;
+}
@@ -0,0 +1,80 @@
+/**
+ * Categories
+ *
+ * Categories are stored in the metadata store ({ slug, name, description, coverImageId, order }).
+ * The slug is what image records reference and what names the storage folder
+ * (josh-farewell/<slug>); the name is what visitors see.
+ */
+export const DEFAULT_CATEGORIES = [
+  { slug: 'josh', name: 'Josh', description: '', coverImageId: null, order: 0 },
+  { slug: 'family', name: 'Family', description: '', coverImageId: null, order: 1 },
+  { slug: 'friends', name: 'Friends', description: '', coverImageId: null, order: 2 }
+];
+
+// Lowercase letters, digits and dashes; must start with a letter or digit
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+
+// Paths under /api/images that are matched before GET /api/images/:category
+const RESERVED_SLUGS = ['archive', 'duplicates', 'reconcile'];
+
+/**
+ * Categories in display order
+ * @param {Object} db - Metadata store document
+ * @returns {Object[]} Category records
+ */
+export function listCategories(db) {
+  return [...db.categories].sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Category slugs in display order
+ * @param {Object} db - Metadata store document
+ * @returns {string[]}
+ */
+export function categorySlugs(db) {
+  return listCategories(db).map(category => category.slug);
+}
+
+/**
+ * Whether a slug names an existing category
+ */
+export function isCategory(db, slug) {
+  return db.categories.some(category => category.slug === slug);
+}
+
+/**
+ * Error message listing the valid categories, e.g. "Invalid category. Must be: josh, family, or friends"
+ */
+export function invalidCategoryMessage(db) {
+  const slugs = categorySlugs(db);
+  if (slugs.length === 0) return 'Invalid category. No categories exist yet';
+  if (slugs.length === 1) return `Invalid category. Must be: ${slugs[0]}`;
+  return `Invalid category. Must be: ${slugs.slice(0, -1).join(', ')}, or ${slugs[slugs.length - 1]}`;
+}
+
+/**
+ * Check a proposed slug
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateSlug(slug) {
+  if (typeof slug !== 'string' || !SLUG_PATTERN.test(slug)) {
+    return 'Category slug must be 1-50 lowercase letters, digits or dashes';
+  }
+  if (RESERVED_SLUGS.includes(slug)) {
+    return `"${slug}" can't be used as a category slug`;
+  }
+  return null;
+}
+
+/**
+ * Turn a display name into a slug ("Work Friends" -> "work-friends")
+ */
+export function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50);
+}
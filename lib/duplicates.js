@@ -0,0 +1,136 @@
+import { createHash } from 'crypto';
+import { createReadStream } from 'fs';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Duplicate detection
+ *
+ * Every upload gets a contentHash: the MD5 of its bytes, which is also what Cloudinary
+ * reports as a resource's etag, so hashes computed here and hashes read back from
+ * Cloudinary (or S3) can be compared directly. Identical files are caught before they
+ * are uploaded.
+ *
+ * Resized or re-encoded copies have different bytes. With PERCEPTUAL_HASH=true Cloudinary
+ * also computes a perceptual hash (phash) for each image; images whose phashes differ in
+ * only a few bits look the same and are reported as near-duplicates.
+ */
+
+// What to do with an upload whose bytes are already in the library
+export const DUPLICATE_MODES = ['reject', 'merge', 'allow'];
+
+// Phashes at most this many bits apart count as the same picture
+function phashDistanceThreshold() {
+  return Number(process.env.PHASH_DISTANCE || 8);
+}
+
+/**
+ * Whether perceptual hashes should be requested from the storage provider
+ * @returns {boolean}
+ */
+export function perceptualHashEnabled() {
+  return process.env.PERCEPTUAL_HASH === 'true';
+}
+
+/**
+ * The default duplicate handling (DUPLICATE_UPLOADS, default "reject")
+ * @returns {string}
+ */
+export function defaultDuplicateMode() {
+  const mode = process.env.DUPLICATE_UPLOADS?.trim().toLowerCase();
+  return DUPLICATE_MODES.includes(mode) ? mode : 'reject';
+}
+
+/**
+ * MD5 of a buffer or of a file on disk (streamed)
+ * @param {Buffer|string} source - Buffer, or path to a file
+ * @returns {Promise<string>} Hex digest
+ */
+export async function contentHash(source) {
+  const hash = createHash('md5');
+  if (Buffer.isBuffer(source)) {
+    hash.update(source);
+  } else {
+    await pipeline(createReadStream(source), hash);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Index of the images that count when checking a new upload for duplicates
+ * Rejected submissions no longer have a file and are left out, as are images in the trash
+ * (uploading one again gives a new image; the trashed one is still purged).
+ * @param {Object[]} images - Image records
+ * @returns {Map<string, Object>} contentHash -> image record
+ */
+export function hashIndex(images) {
+  const index = new Map();
+  for (const image of images) {
+    if (image.contentHash && !['rejected', 'trashed'].includes(image.status) && !index.has(image.contentHash)) {
+      index.set(image.contentHash, image);
+    }
+  }
+  return index;
+}
+
+// Number of differing bits between two hex strings of the same length
+function hammingDistance(a, b) {
+  if (a.length !== b.length) return Infinity;
+
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 8) {
+    let bits = parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Group images that are exact or near duplicates of each other
+ * @param {Object[]} images - Image records
+ * @returns {Object[]} [{ reason: 'exact'|'similar', images: [...] }], largest clusters first
+ */
+export function findDuplicateClusters(images) {
+  // Union-find over image positions
+  const parent = images.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  const byHash = new Map();
+  images.forEach((image, i) => {
+    if (!image.contentHash) return;
+    if (byHash.has(image.contentHash)) {
+      parent[find(i)] = find(byHash.get(image.contentHash));
+    } else {
+      byHash.set(image.contentHash, i);
+    }
+  });
+
+  const withPhash = images.map((image, i) => i).filter(i => images[i].phash);
+  const threshold = phashDistanceThreshold();
+  for (let a = 0; a < withPhash.length; a++) {
+    for (let b = a + 1; b < withPhash.length; b++) {
+      const [i, j] = [withPhash[a], withPhash[b]];
+      if (hammingDistance(images[i].phash, images[j].phash) <= threshold) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  images.forEach((image, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(i);
+  });
+
+  return [...clusters.values()]
+    .filter(members => members.length > 1)
+    .map(members => {
+      const hashes = new Set(members.map(i => images[i].contentHash));
+      const exact = hashes.size === 1 && !hashes.has(undefined);
+      return { reason: exact ? 'exact' : 'similar', images: members.map(i => images[i]) };
+    })
+    .sort((a, b) => b.images.length - a.images.length);
+}
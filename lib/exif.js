@@ -0,0 +1,587 @@
+import exifr from 'exifr';
+import { open } from 'fs/promises';
+import { inflateSync } from 'zlib';
+
+/**
+ * EXIF metadata
+ *
+ * Photos are read for when they were taken, the camera and the orientation - for uploads
+ * by the "exif" background job, from the stored file (see lib/media.js). Phones also record
+ * where a photo was taken; for the family's privacy those GPS tags are removed from the
+ * file before it is stored (EXIF_STRIP_GPS=false keeps them). With EXIF_STORE_GPS=true the
+ * coordinates are kept in the image record's admin-only `private` field instead.
+ *
+ * GPS tags are removed in place, so the file keeps its size and every other tag stays
+ * valid: the GPS directory of the EXIF block is emptied and its values zeroed, and the GPS
+ * properties of the XMP packet are blanked out. The blocks are found by the file's
+ * container format - JPEG APP1 segments, PNG eXIf and iTXt chunks, WebP EXIF and XMP
+ * chunks, the Exif and XMP items of a HEIF/HEIC file, or the TIFF itself. The file is
+ * checked afterwards; one that still has GPS data is refused (see GpsRemovalError).
+ */
+
+// Formats worth reading EXIF from (videos and GIFs don't carry it)
+const EXIF_EXTENSIONS = /\.(jpe?g|heic|heif|tiff?|webp|png)$/i;
+
+// The "Exif\0\0" marker that precedes the TIFF structure holding EXIF tags in a JPEG
+// (PNG, WebP and HEIF files may leave it out)
+const EXIF_MARKER = Buffer.from('Exif\0\0', 'latin1');
+
+// The markers of XMP in a JPEG; an extension segment has a 40-byte header after its marker
+const XMP_MARKER = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+const XMP_EXTENSION_MARKER = Buffer.from('http://ns.adobe.com/xmp/extension/\0', 'latin1');
+const XMP_EXTENSION_HEADER = 40;
+
+// The start and end of an XMP packet (in a TIFF, where it has no marker of its own)
+const XMP_PACKET_START = Buffer.from('<x:xmpmeta', 'latin1');
+const XMP_PACKET_END = Buffer.from('</x:xmpmeta>', 'latin1');
+
+// GPS properties in XMP, as elements (<exif:GPSLatitude>...</exif:GPSLatitude>) or attributes
+const XMP_GPS_PATTERNS = [
+  /<([\w-]+:GPS\w*)\b[^>]*?(?:\/>|>[\s\S]*?<\/\1\s*>)/g,
+  /\b[\w-]+:GPS\w*\s*=\s*(?:"[^"]*"|'[^']*')/g
+];
+
+// How much of a TIFF is searched for the end of an XMP packet
+const XMP_PACKET_WINDOW = 256 * 1024;
+
+// How much of the file is searched for a marker at a time
+const SCAN_CHUNK = 1024 * 1024;
+
+const GPS_IFD_TAG = 0x8825;
+
+// Bytes per value for each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+/**
+ * Whether GPS tags should be removed from stored files (EXIF_STRIP_GPS, default true)
+ * @returns {boolean}
+ */
+export function stripGpsEnabled() {
+  return process.env.EXIF_STRIP_GPS !== 'false';
+}
+
+/**
+ * Whether GPS coordinates are kept in admin-only metadata (EXIF_STORE_GPS, default false)
+ * @returns {boolean}
+ */
+export function storeGpsEnabled() {
+  return process.env.EXIF_STORE_GPS === 'true';
+}
+
+/**
+ * Whether a file may carry EXIF metadata
+ * @param {Object} file - { originalname, mimetype }
+ * @returns {boolean}
+ */
+export function mayHaveExif({ originalname = '', mimetype = '' }) {
+  return EXIF_EXTENSIONS.test(originalname) || /^image\/(jpe?g|heic|heif|tiff|webp|png)$/.test(mimetype);
+}
+
+// "2019:07:04 15:30:00" (+ optional "+02:00") -> ISO date
+// Without an offset the camera's local time is stored as if it were UTC, so the date a
+// visitor sees is the one on the camera's clock.
+function exifDate(value, offset) {
+  const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(String(value || ''));
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds] = match;
+  const zone = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : 'Z';
+  const date = new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}${zone}`);
+  return Number.isNaN(date.getTime()) || year === '0000' ? null : date.toISOString();
+}
+
+/**
+ * Read the metadata we keep from a photo
+ * @param {Buffer|string} source - File contents or path
+ * @returns {Promise<Object|null>} { takenAt, camera: { make, model, lens }, orientation, gps }
+ *   with only the fields that were found, or null when there is no EXIF
+ */
+export async function readExif(source) {
+  let tags;
+  try {
+    tags = await exifr.parse(source, {
+      tiff: true,
+      exif: true,
+      gps: true,
+      reviveValues: false,
+      translateValues: false,
+      pick: [
+        'Make', 'Model', 'LensModel', 'Orientation',
+        'DateTimeOriginal', 'CreateDate', 'OffsetTimeOriginal',
+        'GPSLatitude', 'GPSLatitudeRef', 'GPSLongitude', 'GPSLongitudeRef', 'GPSAltitude'
+      ]
+    });
+  } catch (error) {
+    console.warn('Could not read EXIF metadata:', error.message);
+    return null;
+  }
+  if (!tags) return null;
+
+  const metadata = {};
+
+  const takenAt = exifDate(tags.DateTimeOriginal || tags.CreateDate, tags.OffsetTimeOriginal);
+  if (takenAt) metadata.takenAt = takenAt;
+
+  const camera = {
+    make: tags.Make?.trim(),
+    model: tags.Model?.trim(),
+    lens: tags.LensModel?.trim()
+  };
+  if (camera.make || camera.model) {
+    metadata.camera = Object.fromEntries(Object.entries(camera).filter(([, value]) => value));
+  }
+
+  if (Number.isInteger(tags.Orientation) && tags.Orientation >= 1 && tags.Orientation <= 8) {
+    metadata.orientation = tags.Orientation;
+  }
+
+  if (Number.isFinite(tags.latitude) && Number.isFinite(tags.longitude)) {
+    metadata.gps = {
+      latitude: tags.latitude,
+      longitude: tags.longitude,
+      ...(Number.isFinite(tags.GPSAltitude) && { altitude: tags.GPSAltitude })
+    };
+  }
+
+  return metadata;
+}
+
+// Where the GPS directory of a TIFF structure is, or null when it has none
+// (readable is false when the pointer leads outside the block)
+function gpsDirectory(tiff) {
+  if (tiff.length < 8) return null;
+
+  const order = tiff.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') return null;
+  const little = order === 'II';
+  const u16 = offset => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const u32 = offset => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+  const fits = (offset, length) => offset >= 8 && offset + length <= tiff.length;
+
+  if (u16(2) !== 42) return null;
+
+  // Find the GPS directory pointer among the first directory's entries
+  const ifd0 = u32(4);
+  if (!fits(ifd0, 2)) return null;
+  const entryCount = u16(ifd0);
+  if (!fits(ifd0 + 2, entryCount * 12)) return null;
+
+  let offset = null;
+  for (let i = 0; i < entryCount; i++) {
+    const entry = ifd0 + 2 + i * 12;
+    if (u16(entry) === GPS_IFD_TAG) offset = u32(entry + 8);
+  }
+  if (offset === null) return null;
+  if (!fits(offset, 2)) return { readable: false };
+
+  const count = u16(offset);
+  return { readable: fits(offset + 2, count * 12), offset, count, u16, u32, fits };
+}
+
+/**
+ * Empty the GPS directory of a TIFF structure
+ * @param {Buffer} tiff - Bytes starting at the TIFF header, changed in place
+ * @returns {boolean} Whether GPS tags were removed
+ */
+function scrubGpsDirectory(tiff) {
+  const directory = gpsDirectory(tiff);
+  if (!directory?.readable || directory.count === 0) return false;
+  const { offset, count, u16, u32, fits } = directory;
+
+  // Zero the values stored outside the entries (coordinates are 24-byte rationals)
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    const size = (TYPE_SIZES[u16(entry + 2)] || 1) * u32(entry + 4);
+    if (size > 4) {
+      const valueOffset = u32(entry + 8);
+      if (fits(valueOffset, size)) tiff.fill(0, valueOffset, valueOffset + size);
+    }
+  }
+
+  // An empty directory: entry count 0, no entries, no next directory
+  tiff.fill(0, offset, Math.min(offset + 2 + count * 12 + 4, tiff.length));
+  return true;
+}
+
+// The TIFF structure of an EXIF block, which some formats start with an "Exif\0\0" marker
+function tiffOf(block) {
+  return block.subarray(0, EXIF_MARKER.length).equals(EXIF_MARKER) ? block.subarray(EXIF_MARKER.length) : block;
+}
+
+// Blank out the GPS properties of an XMP packet with spaces: it keeps its length and stays valid XML
+function scrubXmpGps(xmp) {
+  let stripped = false;
+  for (const pattern of XMP_GPS_PATTERNS) {
+    for (const match of xmp.toString('latin1').matchAll(pattern)) {
+      xmp.fill(0x20, match.index, match.index + match[0].length);
+      stripped = true;
+    }
+  }
+  return stripped;
+}
+
+// Reading and patching a buffer and a file on disk the same way
+function bufferSource(buffer) {
+  return {
+    size: buffer.length,
+    read: async (offset, length) => Buffer.from(buffer.subarray(offset, offset + length)),
+    write: async (offset, bytes) => {
+      bytes.copy(buffer, offset);
+    }
+  };
+}
+
+function fileSource(handle, size) {
+  return {
+    size,
+    read: async (offset, length) => {
+      const bytes = Buffer.alloc(Math.max(0, Math.min(length, size - offset)));
+      const { bytesRead } = await handle.read(bytes, 0, bytes.length, offset);
+      return bytes.subarray(0, bytesRead);
+    },
+    write: async (offset, bytes) => {
+      await handle.write(bytes, 0, bytes.length, offset);
+    }
+  };
+}
+
+// Positions of a byte pattern anywhere in the file, read in overlapping chunks
+async function findAll(source, pattern) {
+  const positions = [];
+  for (let start = 0; start < source.size; start += SCAN_CHUNK) {
+    const chunk = await source.read(start, SCAN_CHUNK + pattern.length - 1);
+    for (let index = chunk.indexOf(pattern); index !== -1 && index < SCAN_CHUNK; index = chunk.indexOf(pattern, index + 1)) {
+      positions.push(start + index);
+    }
+  }
+  return positions;
+}
+
+// The metadata blocks of each format: { type: 'exif' | 'xmp', offset, length }, plus
+// compressed for XMP that can only be read, and chunk for bytes covered by a PNG checksum.
+// An offset of null is a block that was found but can't be located in the file.
+
+// JPEG: APP1 segments holding EXIF or XMP, in the main image and in any image appended to it
+// (phones store previews and depth maps as extra JPEGs after the main one)
+async function jpegBlocks(source) {
+  const blocks = [];
+  const markers = [['exif', EXIF_MARKER, 0], ['xmp', XMP_MARKER, 0], ['xmp', XMP_EXTENSION_MARKER, XMP_EXTENSION_HEADER]];
+  for (const [type, marker, header] of markers) {
+    for (const position of await findAll(source, marker)) {
+      // Only a marker that starts an APP1 segment: FF E1 and the segment's length
+      if (position < 4) continue;
+      const segment = await source.read(position - 4, 4);
+      if (segment[0] !== 0xff || segment[1] !== 0xe1) continue;
+
+      const start = position + marker.length + header;
+      const end = position - 2 + segment.readUInt16BE(2);
+      if (end > start) blocks.push({ type, offset: start, length: end - start });
+    }
+  }
+  return blocks;
+}
+
+// PNG: the eXIf chunk and XMP in an iTXt chunk
+async function pngBlocks(source) {
+  const blocks = [];
+  for (let offset = 8; offset + 12 <= source.size;) {
+    const header = await source.read(offset, 8);
+    const length = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    const data = offset + 8;
+    const chunk = { offset: offset + 4, length: length + 4 }; // type and data, which the CRC covers
+
+    if (type === 'eXIf') {
+      blocks.push({ type: 'exif', offset: data, length, chunk });
+    } else if (type === 'iTXt') {
+      // Keyword, compression flag and method, language tag and translated keyword, then the text
+      const text = await source.read(data, length);
+      const keywordEnd = text.indexOf(0);
+      if (keywordEnd !== -1 && text.toString('latin1', 0, keywordEnd) === 'XML:com.adobe.xmp') {
+        const languageEnd = text.indexOf(0, keywordEnd + 3);
+        const translatedEnd = languageEnd === -1 ? -1 : text.indexOf(0, languageEnd + 1);
+        const start = translatedEnd + 1;
+        blocks.push(translatedEnd === -1
+          ? { type: 'xmp', offset: null }
+          : { type: 'xmp', offset: data + start, length: length - start, compressed: text[keywordEnd + 1] === 1, chunk });
+      }
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset = data + length + 4;
+  }
+  return blocks;
+}
+
+// WebP: the EXIF and "XMP " chunks of the RIFF container
+async function webpBlocks(source) {
+  const blocks = [];
+  for (let offset = 12; offset + 8 <= source.size;) {
+    const header = await source.read(offset, 8);
+    const type = header.toString('latin1', 0, 4);
+    const length = header.readUInt32LE(4);
+    if (type === 'EXIF') blocks.push({ type: 'exif', offset: offset + 8, length });
+    if (type === 'XMP ') blocks.push({ type: 'xmp', offset: offset + 8, length });
+    offset += 8 + length + (length % 2);
+  }
+  return blocks;
+}
+
+// The boxes of an ISO BMFF file (HEIF) between start and end: [{ type, offset of the contents, end }]
+async function boxes(source, start, end) {
+  const found = [];
+  for (let offset = start; offset + 8 <= end;) {
+    const header = await source.read(offset, 16);
+    const type = header.toString('latin1', 4, 8);
+    let size = header.readUInt32BE(0);
+    let headerSize = 8;
+    if (size === 1 && header.length === 16) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) break;
+    found.push({ type, offset: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+  return found;
+}
+
+// An unsigned big-endian integer of 0, 4 or 8 bytes (the field sizes of an iloc box)
+function readSized(buffer, offset, size) {
+  if (size === 4) return buffer.readUInt32BE(offset);
+  if (size === 8) return Number(buffer.readBigUInt64BE(offset));
+  return 0;
+}
+
+// HEIF/HEIC/AVIF: the Exif item and the XMP item (MIME type application/rdf+xml) of the meta box
+async function heifBlocks(source) {
+  const meta = (await boxes(source, 0, source.size)).find(box => box.type === 'meta');
+  if (!meta) return [];
+  const children = await boxes(source, meta.offset + 4, meta.end); // after the version and flags
+  const child = type => children.find(box => box.type === type);
+  const iinf = child('iinf');
+  const iloc = child('iloc');
+  if (!iinf || !iloc) return [];
+
+  // Item types, from the item info entries
+  const types = new Map();
+  const info = await source.read(iinf.offset, 8);
+  for (const entry of await boxes(source, iinf.offset + (info[0] === 0 ? 6 : 8), iinf.end)) {
+    if (entry.type !== 'infe') continue;
+    const infe = await source.read(entry.offset, entry.end - entry.offset);
+    const version = infe[0];
+    if (version < 2) continue;
+    const id = version === 2 ? infe.readUInt16BE(4) : infe.readUInt32BE(4);
+    const typeAt = version === 2 ? 8 : 10; // after the item id and protection index
+    const itemType = infe.toString('latin1', typeAt, typeAt + 4);
+    if (itemType === 'Exif') types.set(id, 'exif');
+    if (itemType === 'mime') {
+      // Item name, then content type, both ending in a NUL
+      const nameEnd = infe.indexOf(0, typeAt + 4);
+      const typeEnd = infe.indexOf(0, nameEnd + 1);
+      if (infe.toString('latin1', nameEnd + 1, typeEnd === -1 ? infe.length : typeEnd) === 'application/rdf+xml') {
+        types.set(id, 'xmp');
+      }
+    }
+  }
+  if (types.size === 0) return [];
+
+  // Where those items are, from the item locations
+  const idat = child('idat');
+  const locations = await source.read(iloc.offset, iloc.end - iloc.offset);
+  const version = locations[0];
+  const offsetSize = locations[4] >> 4;
+  const lengthSize = locations[4] & 0x0f;
+  const baseOffsetSize = locations[5] >> 4;
+  const indexSize = version > 0 ? locations[5] & 0x0f : 0;
+  let position = 6;
+  const itemCount = version < 2 ? locations.readUInt16BE(position) : locations.readUInt32BE(position);
+  position += version < 2 ? 2 : 4;
+
+  const blocks = [];
+  for (let i = 0; i < itemCount; i++) {
+    const id = version < 2 ? locations.readUInt16BE(position) : locations.readUInt32BE(position);
+    position += version < 2 ? 2 : 4;
+    const constructionMethod = version > 0 ? locations.readUInt16BE(position) & 0x0f : 0;
+    position += (version > 0 ? 2 : 0) + 2; // construction method, data reference index
+    const baseOffset = readSized(locations, position, baseOffsetSize);
+    position += baseOffsetSize;
+    const extentCount = locations.readUInt16BE(position);
+    position += 2;
+    const extents = [];
+    for (let e = 0; e < extentCount; e++) {
+      position += indexSize;
+      extents.push({ offset: readSized(locations, position, offsetSize), length: readSized(locations, position + offsetSize, lengthSize) });
+      position += offsetSize + lengthSize;
+    }
+
+    const type = types.get(id);
+    if (!type) continue;
+    // Only items stored in one piece, in the file or in the idat box, can be patched
+    const base = constructionMethod === 0 ? 0 : constructionMethod === 1 && idat ? idat.offset : null;
+    if (base === null || extents.length !== 1) {
+      blocks.push({ type, offset: null });
+      continue;
+    }
+    const start = base + baseOffset + extents[0].offset;
+    const length = extents[0].length || source.size - start;
+    if (type === 'xmp') {
+      blocks.push({ type, offset: start, length });
+    } else {
+      // An Exif item starts with the offset of the TIFF header
+      const tiffOffset = 4 + (await source.read(start, 4)).readUInt32BE(0);
+      blocks.push({ type, offset: start + tiffOffset, length: length - tiffOffset });
+    }
+  }
+  return blocks;
+}
+
+// TIFF: the file is the EXIF structure; XMP is a packet inside it
+async function tiffBlocks(source) {
+  const blocks = [{ type: 'exif', offset: 0, length: source.size }];
+  for (const start of await findAll(source, XMP_PACKET_START)) {
+    const packet = await source.read(start, XMP_PACKET_WINDOW);
+    const end = packet.indexOf(XMP_PACKET_END);
+    blocks.push(end === -1 ? { type: 'xmp', offset: null } : { type: 'xmp', offset: start, length: end + XMP_PACKET_END.length });
+  }
+  return blocks;
+}
+
+// The EXIF and XMP blocks of a photo, by its container format
+async function metadataBlocks(source) {
+  const head = await source.read(0, 12);
+  const text = (start, end) => head.toString('latin1', start, end);
+  if (head[0] === 0xff && head[1] === 0xd8) return jpegBlocks(source);
+  if (text(0, 8) === '\x89PNG\r\n\x1a\n') return pngBlocks(source);
+  if (text(0, 4) === 'RIFF' && text(8, 12) === 'WEBP') return webpBlocks(source);
+  if (text(4, 8) === 'ftyp') return heifBlocks(source);
+  if (text(0, 4) === 'II*\0' || text(0, 4) === 'MM\0*') return tiffBlocks(source);
+  return [];
+}
+
+// Whether a block still holds GPS data - or can't be checked, which counts as holding it
+async function blockHasGps(source, block) {
+  if (block.offset === null) return true;
+  const bytes = await source.read(block.offset, block.length);
+  if (block.type === 'exif') {
+    const directory = gpsDirectory(tiffOf(bytes));
+    return Boolean(directory) && (!directory.readable || directory.count > 0);
+  }
+  let xmp;
+  try {
+    xmp = (block.compressed ? inflateSync(bytes) : bytes).toString('latin1');
+  } catch {
+    return true;
+  }
+  return XMP_GPS_PATTERNS.some(pattern => xmp.search(pattern) !== -1);
+}
+
+// CRC-32 of the bytes a PNG chunk checksum covers
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * A photo whose GPS location is still in the file after removing it
+ * (XMP compressed inside a PNG, an EXIF block split across a HEIF file, ...)
+ */
+export class GpsRemovalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GpsRemovalError';
+  }
+}
+
+// Remove the GPS data of every metadata block, then check that none is left
+async function removeGps(source) {
+  const blocks = await metadataBlocks(source);
+  let stripped = false;
+
+  for (const block of blocks) {
+    if (block.offset === null || block.compressed) continue;
+    const bytes = await source.read(block.offset, block.length);
+    const changed = block.type === 'exif' ? scrubGpsDirectory(tiffOf(bytes)) : scrubXmpGps(bytes);
+    if (!changed) continue;
+
+    await source.write(block.offset, bytes);
+    if (block.chunk) {
+      const checksum = Buffer.alloc(4);
+      checksum.writeUInt32BE(crc32(await source.read(block.chunk.offset, block.chunk.length)));
+      await source.write(block.chunk.offset + block.chunk.length, checksum);
+    }
+    stripped = true;
+  }
+
+  // Check the result rather than trust it: GPS data this couldn't reach must not be published
+  for (const block of blocks) {
+    if (await blockHasGps(source, block)) {
+      throw new GpsRemovalError(`The location (GPS) could not be removed from this photo's ${block.type.toUpperCase()} metadata`);
+    }
+  }
+  return stripped;
+}
+
+/**
+ * Remove GPS tags from a photo: the EXIF GPS directory and the GPS properties of its XMP
+ * Buffers are changed in place; files are patched on disk.
+ * @param {Buffer|string} source - File contents or path
+ * @returns {Promise<boolean>} Whether anything was removed
+ * @throws {GpsRemovalError} When GPS data is left that couldn't be removed - don't store the file
+ */
+export async function stripGps(source) {
+  if (Buffer.isBuffer(source)) {
+    return removeGps(bufferSource(source));
+  }
+
+  const handle = await open(source, 'r+');
+  try {
+    const { size } = await handle.stat();
+    return await removeGps(fileSource(handle, size));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Remove a photo's GPS tags before it is stored, when configured to
+ * Run before the file is hashed and uploaded, so what is stored is the stripped file.
+ * The rest of the metadata is read later, from the stored file.
+ * @param {Buffer|string} source - File contents or path (changed in place)
+ * @returns {Promise<Object|null>} { private: { gps } } with EXIF_STORE_GPS, otherwise null
+ */
+export async function prepareExif(source) {
+  const gps = storeGpsEnabled() ? (await readExif(source))?.gps : null;
+  if (stripGpsEnabled()) {
+    await stripGps(source);
+  }
+  return gps ? { private: { gps } } : null;
+}
+
+/**
+ * Read a photo's metadata and remove its GPS tags when configured to, in one go
+ * For the scripts, which store files without the background jobs.
+ * Run before the file is hashed and uploaded, so what is stored is the stripped file.
+ * @param {Buffer|string} source - File contents or path (changed in place)
+ * @returns {Promise<Object|null>} Record fields: { takenAt, camera, orientation, private: { gps } }
+ */
+export async function processExif(source) {
+  const metadata = await readExif(source);
+  // Also when there are no EXIF GPS tags: the location may be in the XMP packet
+  if (stripGpsEnabled()) {
+    await stripGps(source);
+  }
+  if (!metadata) return null;
+
+  const { gps, ...fields } = metadata;
+  if (gps && storeGpsEnabled()) {
+    fields.private = { gps };
+  }
+  return fields;
+}
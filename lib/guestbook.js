@@ -0,0 +1,116 @@
+import { STORAGE_ROOT } from './storage/index.js';
+import { withOptimizedUrls } from './media.js';
+
+/**
+ * Guestbook
+ *
+ * Written tributes and condolences: { id, name, relationship, message, photo, hidden, createdAt }.
+ * Messages appear as soon as they are posted; admins can hide or delete them (see
+ * lib/moderation.js). An attached photo goes through the same upload pipeline as gallery
+ * uploads but is kept on the message, not in the gallery.
+ */
+
+// Storage folder for photos attached to messages (not a valid category name)
+export const GUESTBOOK_FOLDER = `${STORAGE_ROOT}/_guestbook`;
+
+// Limits for the free-text fields
+const MAX_NAME_LENGTH = 100;
+const MAX_RELATIONSHIP_LENGTH = 100;
+const MAX_MESSAGE_LENGTH = 5000;
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+/**
+ * Validate a new message from a request body
+ * @param {Object} body - { name, relationship?, message }
+ * @returns {Object} { fields } or { error }
+ */
+export function parseEntryFields(body) {
+  const name = String(body.name || '').trim();
+  const relationship = String(body.relationship || '').trim();
+  const message = String(body.message || '').trim();
+
+  if (!name) {
+    return { error: 'Please tell us your name' };
+  }
+  if (!message) {
+    return { error: 'Please write a message' };
+  }
+  if (name.length > MAX_NAME_LENGTH || relationship.length > MAX_RELATIONSHIP_LENGTH || message.length > MAX_MESSAGE_LENGTH) {
+    return {
+      error: `Name and relationship must be under ${MAX_NAME_LENGTH} characters, message under ${MAX_MESSAGE_LENGTH}`
+    };
+  }
+
+  return { fields: { name, relationship, message } };
+}
+
+// Newest first; the id breaks ties between messages posted in the same millisecond
+function compareEntries(a, b) {
+  return b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id);
+}
+
+function encodeCursor(entry) {
+  return Buffer.from(JSON.stringify({ k: [entry.createdAt, entry.id] })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    return Array.isArray(decoded.k) && decoded.k.length === 2 ? decoded.k : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse and validate list query parameters (?limit=N &cursor=...)
+ * @param {Object} query - req.query
+ * @returns {Object} { options: { limit, cursor } } or { error }
+ */
+export function parseGuestbookQuery(query) {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be a whole number between 1 and ${MAX_LIMIT}` };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(String(query.cursor));
+    if (!cursor) return { error: 'Invalid cursor' };
+  }
+
+  return { options: { limit, cursor } };
+}
+
+/**
+ * Take one page of messages, newest first
+ * Keyset cursors keep page boundaries in place while new messages arrive.
+ * @param {Object[]} entries - Guestbook entries
+ * @param {Object} options - From parseGuestbookQuery
+ * @returns {Object} { items, nextCursor, total } - nextCursor is null on the last page
+ */
+export function paginateEntries(entries, { limit, cursor }) {
+  const sorted = [...entries].sort(compareEntries);
+  const start = cursor
+    ? sorted.findIndex(entry => compareEntries({ createdAt: cursor[0], id: cursor[1] }, entry) < 0)
+    : 0;
+  const items = start === -1 ? [] : sorted.slice(start, start + limit);
+  const hasMore = start !== -1 && start + limit < sorted.length;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null,
+    total: sorted.length
+  };
+}
+
+/**
+ * Message as shown to visitors: no moderation details, photo with optimized URLs
+ * @param {Object} entry - Guestbook entry
+ * @returns {Object}
+ */
+export function toPublicEntry({ id, name, relationship, message, photo, createdAt }) {
+  return { id, name, relationship, message, photo: photo ? withOptimizedUrls(photo) : null, createdAt };
+}
@@ -0,0 +1,195 @@
+import { readCookie, sign } from './auth.js';
+
+/**
+ * Reactions and comments on photos
+ *
+ * Visitors can leave a reaction (a candle or a heart) on any published image, once per
+ * reaction type: each browser gets a visitor id in a cookie, and reactions are stored as
+ * { imageId, type, visitorId, createdAt }. A request without the cookie is identified by its
+ * IP address (keyed with AUTH_SECRET, the address itself isn't stored), so leaving out the
+ * cookie doesn't make every request a new visitor. Comments are
+ * { id, imageId, parentId, name, message, hidden, createdAt }; a parentId makes a comment a
+ * reply, so comments form threads. Hidden comments (see lib/moderation.js) are shown to
+ * admins only, and so are the replies under them.
+ */
+
+export const REACTION_TYPES = ['candle', 'heart'];
+
+const VISITOR_COOKIE = 'jf_visitor';
+const VISITOR_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+// Limits for the free-text fields
+const MAX_NAME_LENGTH = 100;
+const MAX_COMMENT_LENGTH = 1000;
+
+// Visitor id for a request without the cookie, the same every time for an IP address
+function ipVisitorId(req) {
+  const hex = Buffer.from(sign(`visitor:${req.ip}`), 'base64url').toString('hex');
+  return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20, 32)].join('-');
+}
+
+/**
+ * The visitor id of the browser making a request
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response; when given, a request without the cookie has its
+ *   IP-based id set as the cookie
+ * @returns {string}
+ */
+export function visitorId(req, res = null) {
+  const existing = readCookie(req, VISITOR_COOKIE);
+  if (existing && /^[0-9a-f-]{36}$/.test(existing)) return existing;
+
+  const id = ipVisitorId(req);
+  if (!res) return id;
+
+  res.cookie(VISITOR_COOKIE, id, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure || process.env.NODE_ENV === 'production',
+    maxAge: VISITOR_COOKIE_MAX_AGE,
+    path: '/'
+  });
+  return id;
+}
+
+/**
+ * Reaction counts for one image, and which reactions the visitor left
+ * @param {Object} db - Metadata store document
+ * @param {string} imageId
+ * @param {string|null} visitor - Visitor id
+ * @returns {Object} { counts: { candle, heart }, mine: ['heart'] }
+ */
+export function reactionSummary(db, imageId, visitor) {
+  const counts = Object.fromEntries(REACTION_TYPES.map(type => [type, 0]));
+  const mine = [];
+  for (const reaction of db.reactions) {
+    if (reaction.imageId !== imageId) continue;
+    counts[reaction.type] += 1;
+    if (visitor && reaction.visitorId === visitor) mine.push(reaction.type);
+  }
+  return { counts, mine };
+}
+
+/**
+ * Validate a new comment from a request body
+ * @param {Object} body - { name, message, parentId? }
+ * @returns {Object} { fields } or { error }
+ */
+export function parseCommentFields(body) {
+  const name = String(body.name || '').trim();
+  const message = String(body.message || '').trim();
+
+  if (!name) {
+    return { error: 'Please tell us your name' };
+  }
+  if (!message) {
+    return { error: 'Please write a comment' };
+  }
+  if (name.length > MAX_NAME_LENGTH || message.length > MAX_COMMENT_LENGTH) {
+    return { error: `Name must be under ${MAX_NAME_LENGTH} characters, comment under ${MAX_COMMENT_LENGTH}` };
+  }
+  if (body.parentId !== undefined && body.parentId !== null && typeof body.parentId !== 'string') {
+    return { error: 'parentId must be a comment id' };
+  }
+
+  return { fields: { name, message, parentId: body.parentId || null } };
+}
+
+/**
+ * Comment as shown to visitors (no moderation details)
+ */
+export function toPublicComment({ id, parentId, name, message, createdAt }) {
+  return { id, parentId, name, message, createdAt };
+}
+
+/**
+ * The comments on an image as threads, oldest first
+ * @param {Object[]} comments - Comments on one image
+ * @param {Object} options - { includeHidden } for admins: hidden comments with moderation details
+ * @returns {Object[]} Top-level comments, each with replies: [...] (nested the same way)
+ */
+export function buildThreads(comments, { includeHidden = false } = {}) {
+  const shown = includeHidden ? comments : comments.filter(comment => !comment.hidden);
+  const nodes = new Map(shown.map(comment => [
+    comment.id,
+    { ...(includeHidden ? comment : toPublicComment(comment)), replies: [] }
+  ]));
+
+  const roots = [];
+  for (const comment of [...shown].sort((a, b) => a.createdAt.localeCompare(b.createdAt))) {
+    const node = nodes.get(comment.id);
+    if (!comment.parentId) {
+      roots.push(node);
+    } else if (nodes.has(comment.parentId)) {
+      nodes.get(comment.parentId).replies.push(node);
+    }
+    // Replies to a hidden comment are hidden with it
+  }
+  return roots;
+}
+
+/**
+ * Ids of a comment and every reply below it
+ * @param {Object[]} comments - Comments on one image
+ * @param {string} id - Comment id
+ * @returns {Set<string>}
+ */
+export function commentSubtree(comments, id) {
+  const ids = new Set([id]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const comment of comments) {
+      if (comment.parentId && ids.has(comment.parentId) && !ids.has(comment.id)) {
+        ids.add(comment.id);
+        grew = true;
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * Reaction and visible comment counts for every image, for gallery listings
+ * @param {Object} db - Metadata store document
+ * @returns {Function} imageId => { reactions: { candle, heart }, commentCount }
+ */
+export function interactionCounts(db) {
+  const reactions = new Map();
+  for (const reaction of db.reactions) {
+    if (!reactions.has(reaction.imageId)) {
+      reactions.set(reaction.imageId, Object.fromEntries(REACTION_TYPES.map(type => [type, 0])));
+    }
+    reactions.get(reaction.imageId)[reaction.type] += 1;
+  }
+
+  const comments = new Map();
+  for (const [imageId, threads] of groupComments(db)) {
+    comments.set(imageId, countComments(threads));
+  }
+
+  const none = Object.fromEntries(REACTION_TYPES.map(type => [type, 0]));
+  return imageId => ({
+    reactions: reactions.get(imageId) || none,
+    commentCount: comments.get(imageId) || 0
+  });
+}
+
+/**
+ * Number of comments in threads from buildThreads, replies included
+ * @param {Object[]} threads
+ * @returns {number}
+ */
+export function countComments(threads) {
+  return threads.reduce((sum, node) => sum + 1 + countComments(node.replies), 0);
+}
+
+// imageId -> visible comment threads
+function groupComments(db) {
+  const byImage = new Map();
+  for (const comment of db.comments) {
+    if (!byImage.has(comment.imageId)) byImage.set(comment.imageId, []);
+    byImage.get(comment.imageId).push(comment);
+  }
+  return new Map([...byImage].map(([imageId, comments]) => [imageId, buildThreads(comments)]));
+}
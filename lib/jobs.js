@@ -0,0 +1,315 @@
+import { readFile, open, rename, mkdir } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Background jobs
+ *
+ * Slow work (syncing from the storage provider, reading EXIF data, processing videos,
+ * building archives) runs as jobs in the server process instead of inside a request.
+ * Each job type has a handler registered with defineJob(); enqueue() adds a job and the
+ * queue runs JOB_CONCURRENCY jobs at a time (default 1).
+ *
+ * Jobs are kept in data/jobs.json (JOBS_STORE_PATH), so queued jobs survive a restart and
+ * jobs that were running when the server stopped are started again. A job that throws is
+ * retried after JOB_RETRY_DELAY_SECONDS (default 30), doubling the wait each time, until it
+ * has used its attempts; then it is failed and an admin can retry it. Finished jobs are
+ * removed after JOB_RETENTION_DAYS (default 7).
+ *
+ * Only the server runs the queue. The scripts do their work directly.
+ *
+ * Job: { id, type, status, payload, attempts, maxAttempts, progress: { done, total } | null,
+ *   result, error, runAt, createdAt, startedAt, finishedAt, createdBy }
+ */
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+const FINISHED = ['succeeded', 'failed', 'cancelled'];
+
+// type -> { handler, attempts }
+const handlers = new Map();
+
+// id -> job, loaded from disk on first use
+let jobs = null;
+let loading = null;
+let writeQueue = Promise.resolve();
+let started = false;
+let runningCount = 0;
+let timer = null;
+
+/**
+ * Thrown for requests that don't fit a job's state
+ * status is the HTTP status to answer with
+ */
+export class JobError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function jobsPath() {
+  return resolve(process.env.JOBS_STORE_PATH?.trim() || join(__dirname, '../data/jobs.json'));
+}
+
+function concurrency() {
+  return Math.max(1, Number(process.env.JOB_CONCURRENCY || 1));
+}
+
+function retryDelay(attempt) {
+  return Number(process.env.JOB_RETRY_DELAY_SECONDS || 30) * 1000 * 2 ** (attempt - 1);
+}
+
+function retention() {
+  return Number(process.env.JOB_RETENTION_DAYS || 7) * 24 * 60 * 60 * 1000;
+}
+
+async function loadJobs() {
+  if (jobs) return jobs;
+  if (!loading) {
+    loading = (async () => {
+      let saved = [];
+      try {
+        saved = JSON.parse(await readFile(jobsPath(), 'utf-8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      jobs = new Map(saved.map(job => [job.id, job]));
+      return jobs;
+    })().finally(() => {
+      loading = null;
+    });
+  }
+  return loading;
+}
+
+// Write every job to disk, one write at a time, dropping finished jobs past their retention
+function saveJobs() {
+  const run = writeQueue.then(async () => {
+    const cutoff = Date.now() - retention();
+    for (const [id, job] of jobs) {
+      if (FINISHED.includes(job.status) && Date.parse(job.finishedAt) < cutoff) jobs.delete(id);
+    }
+
+    const path = jobsPath();
+    await mkdir(dirname(path), { recursive: true });
+    const tempPath = `${path}.${process.pid}.tmp`;
+    const handle = await open(tempPath, 'w');
+    try {
+      await handle.writeFile(JSON.stringify([...jobs.values()], null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await rename(tempPath, path);
+  });
+  writeQueue = run.catch(error => console.error('Failed to save jobs:', error));
+  return run;
+}
+
+/**
+ * Register the handler of a job type
+ * @param {string} type - e.g. 'exif'
+ * @param {Function} handler - async (payload, { job, progress(done, total) }) => result;
+ *   throwing fails the attempt
+ * @param {Object} options - { attempts } tries before the job fails (default 3)
+ */
+export function defineJob(type, handler, { attempts = 3 } = {}) {
+  handlers.set(type, { handler, attempts });
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - A type registered with defineJob
+ * @param {Object} payload - Input for the handler (stored as JSON)
+ * @param {Object} options - { createdBy, unique } - with unique, an identical job that is
+ *   still queued or running is returned instead of adding another
+ * @returns {Promise<Object>} The job
+ */
+export async function enqueue(type, payload = {}, { createdBy = null, unique = false } = {}) {
+  if (!handlers.has(type)) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+  await loadJobs();
+
+  if (unique) {
+    const key = JSON.stringify(payload);
+    const existing = [...jobs.values()].find(job =>
+      job.type === type && !FINISHED.includes(job.status) && JSON.stringify(job.payload) === key
+    );
+    if (existing) return { ...existing };
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    type,
+    status: 'queued',
+    payload,
+    attempts: 0,
+    maxAttempts: handlers.get(type).attempts,
+    progress: null,
+    result: null,
+    error: null,
+    runAt: now,
+    createdAt: now,
+    startedAt: null,
+    finishedAt: null,
+    createdBy
+  };
+  jobs.set(job.id, job);
+  await saveJobs();
+  schedule();
+  return { ...job };
+}
+
+/**
+ * Load a job
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>}
+ */
+export async function getJob(id) {
+  await loadJobs();
+  const job = jobs.get(id);
+  return job ? { ...job } : null;
+}
+
+/**
+ * Jobs, newest first
+ * @param {Object} filters - { status, type, limit }
+ * @returns {Promise<Object>} { jobs, counts: { queued, running, ... } }
+ */
+export async function listJobs({ status, type, limit = 50 } = {}) {
+  await loadJobs();
+  const all = [...jobs.values()];
+  const counts = Object.fromEntries(JOB_STATUSES.map(s => [s, all.filter(job => job.status === s).length]));
+
+  const matching = all
+    .filter(job => (!status || job.status === status) && (!type || job.type === type))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+  return { jobs: matching.map(job => ({ ...job })), counts };
+}
+
+/**
+ * Queue a failed or cancelled job again, with all its attempts
+ * @param {string} id - Job id
+ * @returns {Promise<Object>} The job
+ * @throws {JobError} 404 unknown job, 409 the job has not failed or been cancelled
+ */
+export async function retryJob(id) {
+  await loadJobs();
+  const job = jobs.get(id);
+  if (!job) throw new JobError(404, 'Job not found');
+  if (!['failed', 'cancelled'].includes(job.status)) {
+    throw new JobError(409, `Only failed or cancelled jobs can be retried (this one is ${job.status})`);
+  }
+
+  Object.assign(job, { status: 'queued', attempts: 0, error: null, runAt: new Date().toISOString(), finishedAt: null });
+  await saveJobs();
+  schedule();
+  return { ...job };
+}
+
+/**
+ * Cancel a queued job, or remove a finished one
+ * @param {string} id - Job id
+ * @returns {Promise<Object>} { job, removed }
+ * @throws {JobError} 404 unknown job, 409 the job is running
+ */
+export async function cancelJob(id) {
+  await loadJobs();
+  const job = jobs.get(id);
+  if (!job) throw new JobError(404, 'Job not found');
+  if (job.status === 'running') throw new JobError(409, 'The job is running and can no longer be cancelled');
+
+  const removed = FINISHED.includes(job.status);
+  if (removed) {
+    jobs.delete(id);
+  } else {
+    Object.assign(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+  }
+  await saveJobs();
+  return { job: { ...job }, removed };
+}
+
+/**
+ * Start running jobs (the server calls this once it is listening)
+ * Jobs that were running when the server last stopped are queued again.
+ */
+export async function startJobQueue() {
+  await loadJobs();
+  let interrupted = 0;
+  for (const job of jobs.values()) {
+    if (job.status === 'running') {
+      Object.assign(job, { status: 'queued', runAt: new Date().toISOString() });
+      interrupted++;
+    }
+  }
+  if (interrupted > 0) {
+    console.log(`🔁 Restarting ${interrupted} interrupted job(s)`);
+    await saveJobs();
+  }
+
+  started = true;
+  schedule();
+}
+
+// Start whatever is due, and wake up again for the next retry
+function schedule() {
+  if (!started || !jobs) return;
+  clearTimeout(timer);
+  timer = null;
+
+  const now = Date.now();
+  const queued = [...jobs.values()]
+    .filter(job => job.status === 'queued')
+    .sort((a, b) => a.runAt.localeCompare(b.runAt) || a.createdAt.localeCompare(b.createdAt));
+
+  for (const job of queued) {
+    if (runningCount >= concurrency()) return;
+    if (Date.parse(job.runAt) > now) {
+      timer = setTimeout(schedule, Date.parse(job.runAt) - now);
+      timer.unref();
+      return;
+    }
+    run(job);
+  }
+}
+
+async function run(job) {
+  runningCount++;
+  Object.assign(job, { status: 'running', startedAt: new Date().toISOString(), progress: null });
+  job.attempts += 1;
+  await saveJobs().catch(() => {});
+
+  const { handler } = handlers.get(job.type) || {};
+  try {
+    if (!handler) throw new Error(`Unknown job type: ${job.type}`);
+
+    const result = await handler(job.payload, {
+      job: { ...job },
+      progress: (done, total) => { job.progress = { done, total }; }
+    });
+    Object.assign(job, { status: 'succeeded', result: result ?? null, error: null, finishedAt: new Date().toISOString() });
+  } catch (error) {
+    job.error = error.message;
+    if (handler && job.attempts < job.maxAttempts) {
+      const delay = retryDelay(job.attempts);
+      job.status = 'queued';
+      job.runAt = new Date(Date.now() + delay).toISOString();
+      console.warn(`⚠️  Job ${job.type} ${job.id} failed (attempt ${job.attempts} of ${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+    } else {
+      Object.assign(job, { status: 'failed', finishedAt: new Date().toISOString() });
+      console.error(`❌ Job ${job.type} ${job.id} failed:`, error);
+    }
+  } finally {
+    runningCount--;
+    await saveJobs().catch(() => {});
+    schedule();
+  }
+}
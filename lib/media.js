@@ -0,0 +1,432 @@
+import multer from 'multer';
+import { mkdir, unlink } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { Readable } from 'stream';
+import { getStorage, STORAGE_ROOT } from './storage/index.js';
+import { contentHash, perceptualHashEnabled } from './duplicates.js';
+import { mayHaveExif, prepareExif } from './exif.js';
+import { responsiveImage } from './presets.js';
+import { DERIVED_SUFFIX } from './video.js';
+
+/**
+ * Shared upload pipeline
+ * Used by the admin upload route and the public submission route so every file
+ * goes through the same validation, storage and metadata steps.
+ */
+
+// Folder for guest submissions waiting for moderation (not a valid category name)
+export const PENDING_FOLDER = `${STORAGE_ROOT}/_pending`;
+
+/**
+ * Directory for files on their way to the storage provider
+ * (multipart uploads and resumable upload sessions)
+ * @returns {string}
+ */
+export function getUploadTempDir() {
+  return resolve(process.env.UPLOAD_TMP_DIR?.trim() || join(tmpdir(), 'josh-farewell-uploads'));
+}
+
+/**
+ * Whether a file looks like an image or video we accept
+ * @param {string} filename - Original file name
+ * @param {string} mimetype - MIME type sent by the client
+ * @returns {boolean}
+ */
+export function isAllowedUpload(filename = '', mimetype = '') {
+  // Allowed file extensions (including HEIC/HEIF for Apple devices)
+  const allowedExtensions = /\.(jpeg|jpg|png|gif|webp|bmp|svg|heic|heif|mp4|mov|avi|wmv|flv|webm|mkv)$/i;
+
+  // Allowed MIME types (more lenient - accepts image/* and video/*)
+  const isImage = mimetype.startsWith('image/');
+  const isVideo = mimetype.startsWith('video/');
+
+  // HEIC/HEIF files often arrive as application/octet-stream, the extension check covers them
+  return allowedExtensions.test(filename) || isImage || isVideo;
+}
+
+// 100MB limit - larger videos go through resumable upload sessions
+const MAX_FILE_SIZE = 100 * 1024 * 1024;
+
+// Configure multer for file uploads
+// Files are written to a temporary directory rather than held in memory, so several
+// concurrent uploads can't exhaust RAM; they are streamed to the storage provider from there.
+const UPLOAD_OPTIONS = {
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = join(getUploadTempDir(), 'incoming');
+      mkdir(dir, { recursive: true }).then(() => cb(null, dir), cb);
+    }
+  }),
+  limits: {
+    fileSize: MAX_FILE_SIZE
+  },
+  fileFilter: (req, file, cb) => {
+    // Position in the request, so results and captions line up with the files sent even when one is rejected
+    req.uploadPosition = (req.uploadPosition ?? -1) + 1;
+    file.position = req.uploadPosition;
+
+    if (isAllowedUpload(file.originalname, file.mimetype)) {
+      return cb(null, true);
+    }
+    console.error(`Rejected file: ${file.originalname}, mimetype: ${file.mimetype}`);
+    // Reported in the file's result (see getRejectedFiles) rather than failing the whole request
+    const error = `Only image and video files are allowed. Received: ${file.mimetype || 'unknown type'}`;
+    req.rejectedFiles = [...(req.rejectedFiles || []), { ...file, error }];
+    cb(null, false);
+  }
+};
+
+const uploadMiddleware = multer(UPLOAD_OPTIONS);
+
+/**
+ * Accept multipart uploads (any field name) and delete the temporary files once the
+ * response has been sent, whether or not they made it to the storage provider
+ * Files of a type we don't accept are left out and listed by getRejectedFiles. A file over
+ * the size limit fails the request with 413, too many files with 400.
+ * @param {Object} options - { maxFiles: () => number } to refuse requests with more files
+ *   before they are written to disk, for public endpoints
+ * @returns {Function[]} Express middleware
+ */
+export function acceptUploads({ maxFiles } = {}) {
+  const parse = (req, res, next) => {
+    const limit = maxFiles?.();
+    const middleware = limit
+      ? multer({ ...UPLOAD_OPTIONS, limits: { ...UPLOAD_OPTIONS.limits, files: limit } })
+      : uploadMiddleware;
+
+    middleware.any()(req, res, error => {
+      if (!(error instanceof multer.MulterError)) return next(error);
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `Files can be at most ${MAX_FILE_SIZE / 1024 / 1024}MB` });
+      }
+      if (error.code === 'LIMIT_FILE_COUNT') {
+        return res.status(400).json({ error: `Please send at most ${limit} files at a time` });
+      }
+      res.status(400).json({ error: error.message });
+    });
+  };
+
+  return [
+    parse,
+    (req, res, next) => {
+      res.on('close', () => {
+        for (const file of req.files || []) {
+          unlink(file.path).catch(() => {});
+        }
+      });
+      next();
+    }
+  ];
+}
+
+/**
+ * Get all uploaded files (multer.any() puts all files in req.files array)
+ * Filter by fieldname to support both 'files' and 'file' field names
+ * @param {Object} req - Express request
+ * @param {string[]} fieldnames - Form fields files are accepted from
+ * @returns {Object[]} Multer files
+ */
+export function getUploadedFiles(req, fieldnames = ['files', 'file']) {
+  return (req.files || []).filter(file => fieldnames.includes(file.fieldname));
+}
+
+/**
+ * Files left out of an upload because of their type, as failed per-file results
+ * @param {Object} req - Express request
+ * @param {string[]} fieldnames - Form fields files are accepted from
+ * @returns {Object[]} [{ index, filename, error, rejected: true }], index being the file's position in the request
+ */
+export function getRejectedFiles(req, fieldnames = ['files', 'file']) {
+  return (req.rejectedFiles || [])
+    .filter(file => fieldnames.includes(file.fieldname))
+    .map(file => ({ index: file.position, filename: file.originalname, error: file.error, rejected: true }));
+}
+
+/**
+ * Parse captions sent as a JSON array or a single string
+ * @param {string} captions - Raw form value
+ * @returns {string[]} One caption per file (a single string applies to the first file)
+ */
+export function parseCaptions(captions) {
+  if (!captions) return [];
+  try {
+    const parsed = JSON.parse(captions);
+    return Array.isArray(parsed) ? parsed : [String(parsed)];
+  } catch {
+    // If not JSON, treat as single caption
+    return [captions];
+  }
+}
+
+/**
+ * Upload files to the storage provider and build their metadata records
+ * Every file is attempted even if others fail. Records are not saved - the caller adds
+ * the successful ones to the store.
+ *
+ * GPS tags are removed from a photo before it is uploaded (see lib/exif.js). Reading its
+ * other EXIF metadata and processing videos happen afterwards, in background jobs - call
+ * queueMediaProcessing (lib/processing.js) once the records are saved.
+ *
+ * Each file is hashed first. With knownHashes, a file whose bytes are already in the
+ * library - or earlier in the same batch - is not uploaded again and is reported with
+ * duplicateOf instead.
+ * @param {Object[]} files - Multer files, or { path, originalname, mimetype } for files already on disk
+ * @param {Object} options - { folder, category, captions, fields, knownHashes }
+ *   fields are extra properties copied onto every record (e.g. status)
+ *   knownHashes is a Map of contentHash -> image record (see hashIndex)
+ * @returns {Promise<Object[]>} One result per file, in order:
+ *   { index, filename, image } on success, { index, filename, error } on failure,
+ *   { index, filename, duplicateOf } for a duplicate. index (and the caption used) is the
+ *   file's position in the request for multipart uploads, so files left out by
+ *   getRejectedFiles don't shift them; otherwise its position in files.
+ */
+export async function storeFiles(files, { folder, category, captions = [], fields = {}, knownHashes = null }) {
+  const storage = getStorage();
+
+  async function upload(file, index, hash, exif) {
+    const options = {
+      folder,
+      resourceType: 'auto', // auto-detect image or video
+      filename: file.originalname,
+      mimetype: file.mimetype,
+      phash: perceptualHashEnabled()
+    };
+    const uploadResult = file.path
+      ? await storage.uploadFile(file.path, options)
+      : await storage.upload(file.buffer, options);
+
+    // Create image metadata
+    const caption = captions[file.position ?? index] || '';
+    return {
+      image: {
+        id: randomUUID(),
+        url: uploadResult.url,
+        publicId: uploadResult.publicId,
+        category: category,
+        caption: caption,
+        uploadedAt: new Date().toISOString(),
+        width: uploadResult.width,
+        height: uploadResult.height,
+        format: uploadResult.format,
+        resourceType: uploadResult.resourceType,
+        contentHash: hash,
+        ...(uploadResult.phash && { phash: uploadResult.phash }),
+        ...(uploadResult.duration && { duration: uploadResult.duration }),
+        ...(uploadResult.derived && { derived: uploadResult.derived }),
+        ...exif,
+        status: 'published',
+        ...fields
+      }
+    };
+  }
+
+  // Errors become per-file results so one bad file doesn't sink the batch
+  function failed(file, error) {
+    console.error(`Failed to upload ${file.originalname}:`, error);
+    return { error: storage.describeError(error) || 'Upload failed' };
+  }
+
+  const pending = [];
+  const batchUploads = new Map(); // contentHash -> upload of the first file in this batch with it
+
+  for (const [index, file] of files.entries()) {
+    let hash;
+    let exif = null;
+    try {
+      // Strip GPS tags first so the hash is of the file as it will be stored
+      if (mayHaveExif(file)) exif = await prepareExif(file.path || file.buffer);
+      hash = await contentHash(file.path || file.buffer);
+    } catch (error) {
+      pending.push(failed(file, error));
+      continue;
+    }
+
+    if (knownHashes?.has(hash)) {
+      pending.push({ duplicateOf: knownHashes.get(hash) });
+    } else if (knownHashes && batchUploads.has(hash)) {
+      pending.push(batchUploads.get(hash).then(first => (first.image ? { duplicateOf: first.image } : first)));
+    } else {
+      const uploading = upload(file, index, hash, exif).catch(error => failed(file, error));
+      batchUploads.set(hash, uploading);
+      pending.push(uploading);
+    }
+  }
+
+  // Wait for every upload to finish, successful or not
+  const settled = await Promise.all(pending);
+  return settled.map((result, index) => ({
+    index: files[index].position ?? index,
+    filename: files[index].originalname,
+    ...result
+  }));
+}
+
+/**
+ * A stored file's contents as a stream: read directly from providers that keep files on
+ * this server, otherwise downloaded from its URL
+ * @param {Object} image - Image record
+ * @returns {Promise<Readable>}
+ * @throws When the file is missing or can't be downloaded
+ */
+export async function openStoredFile(image) {
+  const storage = getStorage();
+  if (storage.read && image.publicId) {
+    return storage.read(image.publicId);
+  }
+
+  const url = image.original || image.url;
+  const response = await fetch(url);
+  if (!response.ok || !response.body) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return Readable.fromWeb(response.body);
+}
+
+/**
+ * Delete stored files again, e.g. to roll back a batch that is all-or-nothing
+ * Keeps going when a delete fails.
+ * @param {Object[]} images - Image records from storeFiles
+ * @returns {Promise<Object[]>} [{ id, publicId, error }] for files that could not be deleted
+ */
+export async function destroyStoredFiles(images) {
+  const storage = getStorage();
+  const settled = await Promise.allSettled(
+    images.map(image => storage.destroy(image.publicId, { resourceType: image.resourceType }))
+  );
+
+  return settled.flatMap((result, index) => {
+    if (result.status === 'fulfilled') return [];
+    const { id, publicId } = images[index];
+    console.error(`Failed to delete ${publicId}:`, result.reason);
+    return [{ id, publicId, error: storage.describeError(result.reason) }];
+  });
+}
+
+/**
+ * Whether an image is visible in the public gallery
+ * Records created before moderation existed have no status and count as published.
+ * @param {Object} image - Image record
+ * @returns {boolean}
+ */
+export function isPublished(image) {
+  return !image.status || image.status === 'published';
+}
+
+/**
+ * Whether visitors may see a stored file: the file of a published image (or one generated
+ * from its video), or the photo of a visible guestbook message. Pending submissions, the
+ * trash and hidden messages are for admins only.
+ * @param {Object} db - Metadata store document
+ * @param {string} publicId - Stored file's public ID
+ * @returns {boolean}
+ */
+export function isPublicFile(db, publicId) {
+  const owns = record => Boolean(record?.publicId) &&
+    (publicId === record.publicId || publicId.startsWith(`${record.publicId}${DERIVED_SUFFIX}/`));
+  return db.images.some(image => isPublished(image) && owns(image)) ||
+    db.guestbook.some(entry => !entry.hidden && owns(entry.photo));
+}
+
+/**
+ * Check image ids sent in a request body (e.g. to add to an album or event)
+ * @param {Object} db - Metadata store document
+ * @param {string[]} ids - Image ids
+ * @returns {string|null} Error message, or null when every id is a published image
+ */
+export function validateImageIds(db, ids) {
+  if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+    return 'ids must be an array of image ids';
+  }
+  const published = new Set(db.images.filter(isPublished).map(image => image.id));
+  const unknown = ids.filter(id => !published.has(id));
+  return unknown.length > 0 ? `Images not found: ${unknown.join(', ')}` : null;
+}
+
+/**
+ * Remove a deleted image from the events and albums that list it, with its reactions and comments
+ * @param {Object} db - Metadata store document (changed in place)
+ * @param {string} id - Image id
+ */
+export function removeImageReferences(db, id) {
+  db.reactions = db.reactions.filter(reaction => reaction.imageId !== id);
+  db.comments = db.comments.filter(comment => comment.imageId !== id);
+  for (const collection of [...db.events, ...db.albums]) {
+    collection.imageIds = collection.imageIds.filter(imageId => imageId !== id);
+  }
+  for (const album of db.albums) {
+    if (album.coverImageId === id) album.coverImageId = null;
+  }
+}
+
+/**
+ * Move an image's file to another storage folder
+ * Cached URL variants are dropped so they are regenerated for the new location.
+ * @param {Object} image - Image record
+ * @param {string} folder - Target folder
+ * @returns {Promise<Object>} Updated copy of the record (not saved)
+ */
+export async function moveToFolder(image, folder) {
+  const stored = await getStorage().move(image.publicId, folder, { resourceType: image.resourceType });
+  const { thumbnail, lightbox, original, ...rest } = image;
+  return {
+    ...rest,
+    url: stored.url,
+    publicId: stored.publicId
+  };
+}
+
+/**
+ * Remove admin-only fields from an image record: GPS coordinates (`private`) and the
+ * content and perceptual hashes, which would tell visitors whether they hold a copy of a file
+ * @param {Object} image - Image record
+ * @returns {Object} Copy without `private`, `contentHash` and `phash`
+ */
+export function withoutPrivateFields(image) {
+  const { private: _private, contentHash: _contentHash, phash: _phash, ...rest } = image;
+  return rest;
+}
+
+/**
+ * Fill in optimized URL variants for records that don't have them stored, and the
+ * srcset/sizes of every image preset (see lib/presets.js)
+ * Admin-only fields are left out - this is the shape images are shown to visitors in.
+ * Videos always get fresh URLs, with poster, hls and sources added.
+ * @param {Object} record - Image record
+ * @returns {Object} Image with url, thumbnail, lightbox, original, srcset, sizes and presets
+ */
+export function withOptimizedUrls(record) {
+  const { derived, ...image } = withoutPrivateFields(record);
+  if (!image.publicId) return image;
+
+  const storage = getStorage();
+  const original = image.original || image.url;
+
+  if (image.resourceType === 'video') {
+    const videoUrls = storage.getUrls(image.publicId, original, { resourceType: 'video', derived });
+    return {
+      ...image,
+      url: videoUrls.url,
+      thumbnail: videoUrls.thumbnail,
+      lightbox: videoUrls.lightbox,
+      original: videoUrls.original || original,
+      poster: videoUrls.poster || null,
+      hls: videoUrls.hls || null,
+      sources: videoUrls.sources || []
+    };
+  }
+
+  let withUrls = image;
+  if (!image.thumbnail || !image.lightbox) {
+    const optimizedUrls = storage.getUrls(image.publicId, original, { resourceType: image.resourceType });
+    withUrls = {
+      ...image,
+      url: optimizedUrls.url,
+      thumbnail: image.thumbnail || optimizedUrls.thumbnail,
+      lightbox: image.lightbox || optimizedUrls.lightbox,
+      original: image.original || optimizedUrls.original || original
+    };
+  }
+  return { ...withUrls, ...responsiveImage(storage, withUrls) };
+}
@@ -0,0 +1,128 @@
+import { randomUUID } from 'crypto';
+import { categoryFolder } from './storage/index.js';
+import { IMAGE_FIELDS, RESOURCE_TYPES } from './schema.js';
+
+/**
+ * Migrations of the metadata store
+ *
+ * The store document has a version. When it is opened with an older version, the
+ * migrations after it run in order and the migrated document is saved (see ensureStore);
+ * a copy of the old file is kept next to it as store.json.v<version>.bak.
+ *
+ * Each migration changes the document in place and returns how many records it changed.
+ * Migrations must be safe to run again on data they already migrated: records imported
+ * later (npm run import-images) or restored from an old backup go through all of them.
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const VIDEO_FORMATS = ['mp4', 'mov', 'webm', 'm4v', 'avi', 'mkv'];
+
+// Every image gets a UUID; the id it had (upload time, Cloudinary path + date, ...) is kept
+// as legacyId and every reference to it is updated
+function stableImageIds(db) {
+  const renamed = new Map();
+  for (const image of db.images) {
+    if (typeof image.id === 'string' && UUID_PATTERN.test(image.id)) continue;
+    const id = randomUUID();
+    if (image.id !== undefined && image.id !== null && !renamed.has(String(image.id))) {
+      renamed.set(String(image.id), id);
+      image.legacyId = String(image.id);
+    }
+    image.id = id;
+  }
+  if (renamed.size === 0) return 0;
+
+  const rename = id => renamed.get(id) || id;
+  for (const list of [db.albums, db.events]) {
+    for (const item of list) {
+      if (Array.isArray(item.imageIds)) item.imageIds = item.imageIds.map(rename);
+    }
+  }
+  for (const item of [...db.albums, ...db.categories]) {
+    if (item.coverImageId) item.coverImageId = rename(item.coverImageId);
+  }
+  for (const item of [...db.reactions, ...db.comments]) {
+    item.imageId = rename(item.imageId);
+  }
+  return renamed.size;
+}
+
+// Keep only the original file's URL. Records synced from Cloudinary by older versions stored a
+// resized gallery URL as url, with thumbnail, lightbox and original next to it; uploads stored
+// none of them. The variants are generated per request from the presets.
+function originalUrls(db) {
+  let changed = 0;
+  for (const image of db.images) {
+    if (!('thumbnail' in image || 'lightbox' in image || 'original' in image)) continue;
+    if (image.original) image.url = image.original;
+    delete image.thumbnail;
+    delete image.lightbox;
+    delete image.original;
+    changed++;
+  }
+  return changed;
+}
+
+// Category from the storage URL or public ID path (josh-farewell/<slug>/...)
+function detectCategory(image, slugs) {
+  const url = image.url || image.publicId || '';
+  return slugs.find(slug => {
+    const folder = categoryFolder(slug);
+    return url.includes(`/${folder}/`) || url.startsWith(`${folder}/`) || url.includes(`/${slug}/`);
+  }) || null;
+}
+
+// Fields older records were written without: status, caption and resourceType, and a category
+// that exists (detected from where the file is stored). Fields the schema doesn't know (added
+// by hand or by older versions) are moved under `extra`, so nothing is lost and the record
+// still validates.
+function requiredFields(db) {
+  const slugs = db.categories.map(category => category.slug);
+  let changed = 0;
+  for (const image of db.images) {
+    const before = JSON.stringify(image);
+    if (!image.status) image.status = 'published';
+    if (typeof image.caption !== 'string') image.caption = image.caption ? String(image.caption) : '';
+    if (!RESOURCE_TYPES.includes(image.resourceType)) {
+      image.resourceType = VIDEO_FORMATS.includes(String(image.format).toLowerCase()) ? 'video' : 'image';
+    }
+    if (!slugs.includes(image.category)) {
+      image.category = detectCategory(image, slugs) || image.category;
+    }
+    for (const field of Object.keys(image)) {
+      if (IMAGE_FIELDS[field]) continue;
+      image.extra = { ...image.extra, [field]: image[field] };
+      delete image[field];
+    }
+    if (JSON.stringify(image) !== before) changed++;
+  }
+  return changed;
+}
+
+/**
+ * Migrations in order; the store's version is the version of the last one applied
+ */
+export const MIGRATIONS = [
+  { version: 2, description: 'give every image a stable UUID', migrate: stableImageIds },
+  { version: 3, description: 'store only the original URL of each image', migrate: originalUrls },
+  { version: 4, description: 'fill in status, caption, resource type and category; keep unknown fields under extra', migrate: requiredFields }
+];
+
+export const STORE_VERSION = MIGRATIONS.at(-1).version;
+
+/**
+ * Bring a store document up to the current version
+ * @param {Object} db - Metadata store document (changed in place)
+ * @param {Object} options - { from: version to migrate from, default the document's own }
+ * @returns {Object[]} The migrations that ran: [{ version, description, changed }]
+ */
+export function migrateStore(db, { from = db.version || 1 } = {}) {
+  const applied = [];
+  for (const { version, description, migrate } of MIGRATIONS) {
+    if (version <= from) continue;
+    applied.push({ version, description, changed: migrate(db) });
+  }
+  db.version = STORE_VERSION;
+  return applied;
+}
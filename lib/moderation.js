@@ -0,0 +1,38 @@
+/**
+ * Moderation of visitor content (guestbook messages, photo comments)
+ *
+ * Visitor posts appear straight away. Admins can hide one - it stays in the store with who
+ * hid it and why, and is shown to admins only - or delete it.
+ */
+
+/**
+ * Validate a moderation request body
+ * @param {Object} body - { hidden: true | false, reason? }
+ * @returns {Object} { hidden, reason } or { error }
+ */
+export function parseModeration(body) {
+  const { hidden, reason } = body || {};
+  if (typeof hidden !== 'boolean') {
+    return { error: 'hidden must be true or false' };
+  }
+  return { hidden, reason: reason ? String(reason) : '' };
+}
+
+/**
+ * Hide a post from visitors or show it again
+ * @param {Object} item - Guestbook entry or comment (changed in place)
+ * @param {Object} moderation - From parseModeration
+ * @param {string} username - Admin making the change
+ */
+export function setHidden(item, { hidden, reason }, username) {
+  item.hidden = hidden;
+  if (hidden) {
+    item.hiddenAt = new Date().toISOString();
+    item.hiddenBy = username;
+    item.hiddenReason = reason;
+  } else {
+    delete item.hiddenAt;
+    delete item.hiddenBy;
+    delete item.hiddenReason;
+  }
+}
@@ -0,0 +1,153 @@
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+/**
+ * Image presets
+ *
+ * A preset names one way an image is shown (a grid thumbnail, a card, the gallery view,
+ * the lightbox, a social preview) and how it is sized:
+ *
+ *   width, height   size of the preset's default URL; without height the aspect ratio is kept
+ *   aspectRatio     instead of height: width / height
+ *   widths          widths for a "w" srcset, for images that scale with the layout
+ *   dpr             pixel densities for an "x" srcset, for fixed-size images (used when there are no widths)
+ *   crop            "fill" crops to the exact size, "fit" and "limit" keep the whole image
+ *                   ("limit" never enlarges it)
+ *   gravity         what to keep when cropping: "auto", "face", "center", ...
+ *   sizes           the sizes attribute that goes with a "w" srcset
+ *
+ * IMAGE_PRESETS_PATH can point at a JSON file of { name: preset }. Its presets replace
+ * the defaults of the same name and can add new ones.
+ */
+export const DEFAULT_PRESETS = {
+  thumb: { width: 400, height: 400, dpr: [1, 2], crop: 'fill', gravity: 'auto' },
+  card: {
+    width: 640,
+    aspectRatio: 4 / 3,
+    widths: [320, 480, 640, 960, 1280],
+    crop: 'fill',
+    gravity: 'auto',
+    sizes: '(max-width: 640px) 100vw, 640px'
+  },
+  gallery: { width: 800, widths: [400, 800, 1200, 1600, 2000], crop: 'limit', sizes: '(max-width: 800px) 100vw, 800px' },
+  lightbox: { width: 1200, widths: [800, 1200, 1600, 2400, 3200, 3840], crop: 'limit', sizes: '100vw' },
+  'og-image': { width: 1200, height: 630, dpr: [1], crop: 'fill', gravity: 'auto' }
+};
+
+// The presets behind every image's url, thumbnail and lightbox fields
+const REQUIRED_PRESETS = ['thumb', 'gallery', 'lightbox'];
+const CROP_MODES = ['fill', 'fit', 'limit'];
+
+let presets = null;
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+// Check one preset from the config file, returning an error message or null
+function presetError(name, preset) {
+  if (!/^[a-z0-9-]+$/.test(name)) return 'names may only use lowercase letters, digits and dashes';
+  if (!preset || typeof preset !== 'object') return 'must be an object';
+  if (!isPositiveInteger(preset.width)) return 'width must be a positive whole number';
+  if (preset.height !== undefined && !isPositiveInteger(preset.height)) return 'height must be a positive whole number';
+  if (preset.aspectRatio !== undefined && !(preset.aspectRatio > 0)) return 'aspectRatio must be a positive number';
+  if (preset.widths !== undefined && !(Array.isArray(preset.widths) && preset.widths.length > 0 && preset.widths.every(isPositiveInteger))) {
+    return 'widths must be a list of positive whole numbers';
+  }
+  if (preset.dpr !== undefined && !(Array.isArray(preset.dpr) && preset.dpr.length > 0 && preset.dpr.every(d => d > 0 && d <= 4))) {
+    return 'dpr must be a list of numbers between 0 and 4';
+  }
+  if (!CROP_MODES.includes(preset.crop)) return `crop must be one of: ${CROP_MODES.join(', ')}`;
+  if (preset.gravity !== undefined && typeof preset.gravity !== 'string') return 'gravity must be a string';
+  if (preset.sizes !== undefined && typeof preset.sizes !== 'string') return 'sizes must be a string';
+  return null;
+}
+
+/**
+ * The configured presets, read once
+ * @returns {Object} { name: preset }
+ * @throws {Error} When IMAGE_PRESETS_PATH can't be read or has an invalid preset
+ */
+export function getPresets() {
+  if (presets) return presets;
+
+  const path = process.env.IMAGE_PRESETS_PATH?.trim();
+  let configured = {};
+  if (path) {
+    try {
+      configured = JSON.parse(readFileSync(resolve(path), 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read image presets from ${path}: ${error.message}`);
+    }
+    for (const [name, preset] of Object.entries(configured)) {
+      const error = presetError(name, preset);
+      if (error) throw new Error(`Invalid image preset "${name}" in ${path}: ${error}`);
+    }
+  }
+
+  presets = { ...DEFAULT_PRESETS, ...configured };
+  const missing = REQUIRED_PRESETS.filter(name => !presets[name]);
+  if (missing.length > 0) {
+    throw new Error(`Image presets must include: ${missing.join(', ')}`);
+  }
+  return presets;
+}
+
+/**
+ * Resize settings for a preset at a given width
+ * @param {Object} preset
+ * @param {number} width - Defaults to the preset's own width
+ * @returns {Object} { width, height?, crop, gravity? }
+ */
+export function presetSize(preset, width = preset.width) {
+  let height;
+  if (preset.height) height = Math.round((preset.height * width) / preset.width);
+  else if (preset.aspectRatio) height = Math.round(width / preset.aspectRatio);
+
+  return {
+    width,
+    ...(height && { height }),
+    crop: preset.crop,
+    ...(preset.gravity && { gravity: preset.gravity })
+  };
+}
+
+// The srcset candidates of a preset: [{ width, descriptor }]. Sizes larger than the
+// original are left out (they would only be the same pixels, scaled up), keeping at least one.
+function candidates(preset, originalWidth) {
+  const all = preset.widths
+    ? preset.widths.map(width => ({ width, descriptor: `${width}w` }))
+    : (preset.dpr || [1, 2]).map(dpr => ({ width: Math.round(preset.width * dpr), descriptor: `${dpr}x` }));
+
+  if (!originalWidth) return all;
+  const fitting = all.filter(candidate => candidate.width <= originalWidth);
+  return fitting.length > 0 ? fitting : all.slice(0, 1);
+}
+
+/**
+ * srcset and sizes for every preset of an image
+ * Without a provider that can resize (storage.resize), every preset is the original file
+ * and srcset is null.
+ * @param {Object} storage - Storage provider
+ * @param {Object} image - Image record with publicId and original (or url)
+ * @returns {Object} { srcset, sizes } of the gallery preset (the image's url), and
+ *   presets: { name: { url, srcset, sizes } }
+ */
+export function responsiveImage(storage, image) {
+  const original = image.original || image.url;
+  const resize = storage.resize && (size => storage.resize(image.publicId, size));
+
+  const result = {};
+  for (const [name, preset] of Object.entries(getPresets())) {
+    const url = resize?.(presetSize(preset));
+    if (!url) {
+      result[name] = { url: original, srcset: null, sizes: null };
+      continue;
+    }
+
+    const srcset = candidates(preset, image.width)
+      .map(({ width, descriptor }) => `${resize(presetSize(preset, width))} ${descriptor}`)
+      .join(', ');
+    result[name] = { url, srcset, sizes: preset.widths ? preset.sizes || '100vw' : null };
+  }
+
+  return { srcset: result.gallery.srcset, sizes: result.gallery.sizes, presets: result };
+}
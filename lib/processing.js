@@ -0,0 +1,107 @@
+import { createWriteStream } from 'fs';
+import { mkdir, unlink } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { join } from 'path';
+import { pipeline } from 'stream/promises';
+import { getStorage } from './storage/index.js';
+import { readStore, updateStore } from './store.js';
+import { mayHaveExif, readExif } from './exif.js';
+import { getUploadTempDir, openStoredFile } from './media.js';
+import { defineJob, enqueue } from './jobs.js';
+
+/**
+ * Processing of uploaded media
+ *
+ * Uploads are saved as soon as their files are stored; the slow part runs afterwards as
+ * background jobs (see lib/jobs.js):
+ *
+ *   exif    reads when a photo was taken, the camera and the orientation from the stored file
+ *   video   generates a video's poster frame and renditions, for providers that need it
+ *           done on this server (storage.processVideo)
+ *
+ * Until its job has run, a record simply has no takenAt/camera or poster/sources.
+ */
+
+function findImage(db, id) {
+  return db.images.find(image => image.id === id);
+}
+
+defineJob('exif', async ({ imageId }) => {
+  const image = findImage(await readStore(), imageId);
+  if (!image) return { skipped: 'The image no longer exists' };
+
+  // exifr only needs the start of the file, but it can't read from a stream
+  const tempDir = getUploadTempDir();
+  const tempPath = join(tempDir, `exif-${randomUUID()}`);
+  let metadata;
+  try {
+    await mkdir(tempDir, { recursive: true });
+    await pipeline(await openStoredFile(image), createWriteStream(tempPath));
+    metadata = await readExif(tempPath);
+  } finally {
+    await unlink(tempPath).catch(() => {});
+  }
+  if (!metadata) return { fields: [] };
+
+  // GPS was dealt with before the file was stored (see prepareExif)
+  const { gps: _gps, ...fields } = metadata;
+  return updateStore(db => {
+    const current = findImage(db, imageId);
+    if (!current) return { skipped: 'The image no longer exists' };
+
+    // Anything an admin has set in the meantime (including clearing it) wins
+    const missing = Object.keys(fields).filter(key => current[key] === undefined);
+    for (const key of missing) {
+      current[key] = fields[key];
+    }
+    return { fields: missing };
+  });
+});
+
+defineJob('video', async ({ imageId }) => {
+  const storage = getStorage();
+  const image = findImage(await readStore(), imageId);
+  if (!image) return { skipped: 'The image no longer exists' };
+  if (!storage.processVideo) return { skipped: `The ${storage.name} provider processes videos itself` };
+
+  const video = await storage.processVideo(image.publicId);
+  if (!video) return { skipped: 'ffmpeg is not available' };
+
+  const result = await updateStore(db => {
+    const current = findImage(db, imageId);
+    if (!current) return { skipped: 'The image no longer exists' };
+    if (current.publicId !== image.publicId) return { moved: true };
+
+    current.width = video.width;
+    current.height = video.height;
+    if (video.duration) current.duration = video.duration;
+    if (video.derived) current.derived = video.derived;
+    else delete current.derived;
+    return { duration: video.duration || null, heights: video.derived?.heights || [] };
+  });
+
+  // Processed at the old location - the next attempt processes it where it is now
+  if (result.moved) throw new Error('The video was moved while it was being processed');
+  return result;
+}, { attempts: 2 });
+
+/**
+ * Queue the background processing of newly saved uploads
+ * Never throws - a job that can't be queued is logged, the upload itself has succeeded.
+ * @param {Object[]} images - Saved image records
+ * @param {string|null} createdBy - Username of the uploader, if logged in
+ */
+export async function queueMediaProcessing(images, createdBy = null) {
+  const storage = getStorage();
+  for (const image of images) {
+    try {
+      if (image.resourceType === 'video') {
+        if (storage.processVideo) await enqueue('video', { imageId: image.id }, { createdBy });
+      } else if (mayHaveExif({ originalname: `photo.${image.format || ''}` })) {
+        await enqueue('exif', { imageId: image.id }, { createdBy });
+      }
+    } catch (error) {
+      console.error(`Could not queue processing of ${image.id}:`, error);
+    }
+  }
+}
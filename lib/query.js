@@ -0,0 +1,172 @@
+/**
+ * Sorting, filtering and cursor pagination for image lists
+ *
+ * Cursors are keyset cursors: they hold the sort key of the last item returned, so a page
+ * boundary stays put when images are uploaded or deleted between requests.
+ */
+export const SORT_FIELDS = ['order', 'uploadedAt', 'takenAt'];
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 100;
+
+// Images that were never placed manually sort after the placed ones
+const UNPLACED = Number.MAX_SAFE_INTEGER;
+
+/**
+ * The date an image represents: when it was taken if known, otherwise when it was uploaded
+ * @param {Object} image - Image record
+ * @returns {string} ISO date
+ */
+export function imageDate(image) {
+  return image.takenAt || image.uploadedAt || '';
+}
+
+// Sort key tuple, compared element by element; the id makes every key unique
+function sortKey(image, sort) {
+  switch (sort) {
+    case 'uploadedAt':
+      return [image.uploadedAt || '', image.id];
+    case 'takenAt':
+      return [imageDate(image), image.id];
+    default:
+      return [image.order ?? UNPLACED, image.uploadedAt || '', image.id];
+  }
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return 0;
+}
+
+/**
+ * Sort images
+ * @param {Object[]} images - Image records
+ * @param {string} sort - 'order' (manual order), 'uploadedAt' or 'takenAt'
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Object[]} Sorted copy
+ */
+export function sortImages(images, sort = 'order', direction = 'asc') {
+  const sign = direction === 'desc' ? -1 : 1;
+  return [...images].sort((a, b) => sign * compareKeys(sortKey(a, sort), sortKey(b, sort)));
+}
+
+function encodeCursor(image, sort, direction) {
+  return Buffer.from(JSON.stringify({ s: sort, d: direction, k: sortKey(image, sort) })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    return Array.isArray(decoded.k) ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse and validate list query parameters
+ * ?sort=order|uploadedAt|takenAt &direction=asc|desc &type=image|video &tag=a,b
+ * &from=YYYY-MM-DD &to=YYYY-MM-DD &limit=N &cursor=...
+ * @param {Object} query - req.query
+ * @returns {Object} { options } or { error }
+ */
+export function parseImageQuery(query) {
+  const options = {
+    sort: query.sort || 'order',
+    direction: query.direction || (query.sort && query.sort !== 'order' ? 'desc' : 'asc'),
+    type: query.type || null,
+    tags: query.tag ? String(query.tag).split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean) : [],
+    from: null,
+    to: null,
+    limit: null,
+    cursor: null
+  };
+
+  if (!SORT_FIELDS.includes(options.sort)) {
+    return { error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(options.direction)) {
+    return { error: 'direction must be asc or desc' };
+  }
+  if (options.type && !['image', 'video'].includes(options.type)) {
+    return { error: 'type must be image or video' };
+  }
+
+  for (const field of ['from', 'to']) {
+    if (query[field]) {
+      const time = Date.parse(query[field]);
+      if (Number.isNaN(time)) {
+        return { error: `${field} must be a date such as 2001-06-30` };
+      }
+      // A bare date as "to" includes that whole day
+      const inclusiveEnd = field === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query[field]);
+      options[field] = new Date(inclusiveEnd ? time + 24 * 60 * 60 * 1000 - 1 : time).toISOString();
+    }
+  }
+
+  // Pagination is opt-in: without limit or cursor the whole list is returned
+  if (query.limit !== undefined || query.cursor !== undefined) {
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit must be a whole number between 1 and ${MAX_LIMIT}` };
+    }
+    options.limit = limit;
+  }
+
+  if (query.cursor) {
+    const cursor = decodeCursor(String(query.cursor));
+    if (!cursor || cursor.s !== options.sort || cursor.d !== options.direction) {
+      return { error: 'Invalid cursor (it must be used with the same sort and direction it came from)' };
+    }
+    options.cursor = cursor;
+  }
+
+  return { options };
+}
+
+/**
+ * Filter and sort images (no pagination)
+ * @param {Object[]} images - Image records
+ * @param {Object} options - From parseImageQuery
+ * @returns {Object[]}
+ */
+export function filterAndSortImages(images, options) {
+  const filtered = images.filter(image => {
+    if (options.type && (image.resourceType || 'image') !== options.type) return false;
+    if (options.tags.length > 0) {
+      const tags = (image.tags || []).map(tag => tag.toLowerCase());
+      if (!options.tags.every(tag => tags.includes(tag))) return false;
+    }
+    const date = imageDate(image);
+    if (options.from && date < options.from) return false;
+    if (options.to && date > options.to) return false;
+    return true;
+  });
+
+  return sortImages(filtered, options.sort, options.direction);
+}
+
+/**
+ * Filter, sort and take one page of images
+ * @param {Object[]} images - Image records
+ * @param {Object} options - From parseImageQuery (limit must be set)
+ * @returns {Object} { items, nextCursor, total } - nextCursor is null on the last page
+ */
+export function paginateImages(images, options) {
+  const sorted = filterAndSortImages(images, options);
+  const sign = options.direction === 'desc' ? -1 : 1;
+
+  const start = options.cursor
+    ? sorted.findIndex(image => sign * compareKeys(sortKey(image, options.sort), options.cursor.k) > 0)
+    : 0;
+  const items = start === -1 ? [] : sorted.slice(start, start + options.limit);
+  const hasMore = start !== -1 && start + options.limit < sorted.length;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], options.sort, options.direction) : null,
+    total: sorted.length
+  };
+}
@@ -0,0 +1,247 @@
+import { createWriteStream } from 'fs';
+import { mkdir, readFile, writeFile, readdir, stat, unlink, open } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { join } from 'path';
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
+import { getUploadTempDir } from './media.js';
+
+/**
+ * Resumable upload sessions
+ *
+ * A client announces a file (name, size, type) and gets a session id, then sends the bytes
+ * in as many PATCH requests as it likes, each starting at the offset the server has so far.
+ * After a dropped connection it asks for the current offset and carries on from there.
+ * Bytes are appended to a file on disk as they arrive, so nothing is held in memory, and
+ * sessions survive a server restart. The protocol follows the core of tus
+ * (https://tus.io): Upload-Offset / Upload-Length headers and offset conflicts.
+ *
+ * Session metadata lives next to the data in <UPLOAD_TMP_DIR>/sessions/<id>.json;
+ * the received bytes in <id>.part. The offset is always the size of the .part file.
+ */
+
+// Largest file accepted through a session (default 2GB)
+function maxUploadSize() {
+  return Number(process.env.UPLOAD_MAX_SIZE_MB || 2048) * 1024 * 1024;
+}
+
+// Unfinished sessions are removed after this long without new bytes
+function sessionTtl() {
+  return Number(process.env.UPLOAD_SESSION_TTL_HOURS || 24) * 60 * 60 * 1000;
+}
+
+// Session ids are UUIDs; anything else never touches the filesystem
+const SESSION_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// How a dropped connection surfaces while reading a request body
+const CONNECTION_ERRORS = ['ECONNRESET', 'ERR_STREAM_PREMATURE_CLOSE'];
+
+// Sessions currently receiving bytes or being finalized in this process
+const busy = new Set();
+
+/**
+ * Thrown for requests that conflict with the session's state
+ * status is the HTTP status to answer with
+ */
+export class UploadSessionError extends Error {
+  constructor(status, message, offset) {
+    super(message);
+    this.status = status;
+    this.offset = offset;
+  }
+}
+
+function sessionsDir() {
+  return join(getUploadTempDir(), 'sessions');
+}
+
+function metaPath(id) {
+  return join(sessionsDir(), `${id}.json`);
+}
+
+// File holding a session's bytes
+function sessionDataPath(id) {
+  return join(sessionsDir(), `${id}.part`);
+}
+
+async function currentOffset(id) {
+  try {
+    return (await stat(sessionDataPath(id))).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+}
+
+/**
+ * Start a session
+ * @param {Object} details - { filename, size, mimetype, category, caption, createdBy }
+ * @returns {Promise<Object>} Session with offset
+ */
+export async function createSession(details) {
+  if (!Number.isInteger(details.size) || details.size < 1) {
+    throw new UploadSessionError(400, 'size must be the file size in bytes');
+  }
+  if (details.size > maxUploadSize()) {
+    throw new UploadSessionError(413, `Files can be at most ${Math.floor(maxUploadSize() / 1024 / 1024)}MB`);
+  }
+
+  await mkdir(sessionsDir(), { recursive: true });
+  await removeExpiredSessions();
+
+  const now = new Date().toISOString();
+  const session = { id: randomUUID(), ...details, createdAt: now, updatedAt: now };
+
+  await writeFile(sessionDataPath(session.id), '');
+  await writeFile(metaPath(session.id), JSON.stringify(session, null, 2));
+  return { ...session, offset: 0 };
+}
+
+/**
+ * Load a session with its current offset
+ * @param {string} id - Session id
+ * @returns {Promise<Object|null>} Session, or null if unknown or expired
+ */
+export async function getSession(id) {
+  if (!SESSION_ID_PATTERN.test(id)) return null;
+
+  try {
+    const session = JSON.parse(await readFile(metaPath(id), 'utf-8'));
+    return { ...session, offset: await currentOffset(id) };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Sessions started by a user that have not finished yet
+ * @param {string} username
+ * @returns {Promise<Object[]>}
+ */
+export async function listSessions(username) {
+  let names;
+  try {
+    names = await readdir(sessionsDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const sessions = [];
+  for (const name of names.filter(name => name.endsWith('.json'))) {
+    const session = await getSession(name.slice(0, -'.json'.length));
+    if (session && session.createdBy === username) sessions.push(session);
+  }
+  return sessions.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Append bytes to a session
+ * Bytes received before a dropped connection are kept, so the client can resume from
+ * whatever offset the server reports afterwards.
+ * @param {Object} session - From getSession
+ * @param {number} offset - Offset the client believes it is at (Upload-Offset)
+ * @param {ReadableStream} stream - Request body
+ * @returns {Promise<Object>} Updated session with the new offset
+ */
+export async function appendChunk(session, offset, stream) {
+  if (busy.has(session.id)) {
+    throw new UploadSessionError(409, 'Another request is already writing to this upload', session.offset);
+  }
+  if (offset !== session.offset) {
+    throw new UploadSessionError(409, `Upload-Offset must be ${session.offset}`, session.offset);
+  }
+
+  busy.add(session.id);
+  try {
+    const remaining = session.size - session.offset;
+    let received = 0;
+
+    // Refuse to grow the file past the announced size
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > remaining) {
+          callback(new UploadSessionError(413, `Upload would exceed the announced size of ${session.size} bytes`));
+        } else {
+          callback(null, chunk);
+        }
+      }
+    });
+
+    try {
+      await pipeline(stream, limit, createWriteStream(sessionDataPath(session.id), { flags: 'a' }));
+    } catch (error) {
+      if (error instanceof UploadSessionError) {
+        // Drop the bytes of the oversized chunk so the session is usable again
+        const handle = await open(sessionDataPath(session.id), 'r+');
+        await handle.truncate(session.offset).finally(() => handle.close());
+        throw error;
+      }
+      if (!CONNECTION_ERRORS.includes(error.code)) throw error;
+      // Connection dropped - keep what arrived
+      console.warn(`Upload ${session.id} interrupted at ${await currentOffset(session.id)} of ${session.size} bytes`);
+    }
+
+    const { offset: _, ...stored } = session;
+    stored.updatedAt = new Date().toISOString();
+    await writeFile(metaPath(session.id), JSON.stringify(stored, null, 2));
+    return { ...stored, offset: await currentOffset(session.id) };
+  } finally {
+    busy.delete(session.id);
+  }
+}
+
+/**
+ * Run the last step of a complete session (e.g. sending it to the storage provider) once,
+ * then remove the session
+ * @param {Object} session - From getSession, with offset === size
+ * @param {Function} finish - async (dataPath) => result
+ * @returns {Promise<*>} Whatever finish returned
+ */
+export async function completeSession(session, finish) {
+  if (busy.has(session.id)) {
+    throw new UploadSessionError(409, 'This upload is already being processed', session.offset);
+  }
+
+  busy.add(session.id);
+  try {
+    const result = await finish(sessionDataPath(session.id));
+    await deleteSession(session.id);
+    return result;
+  } finally {
+    busy.delete(session.id);
+  }
+}
+
+/**
+ * Abort a session and delete its bytes
+ * @param {string} id - Session id
+ */
+export async function deleteSession(id) {
+  await Promise.all([metaPath(id), sessionDataPath(id)].map(path =>
+    unlink(path).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    })
+  ));
+}
+
+async function removeExpiredSessions() {
+  const cutoff = Date.now() - sessionTtl();
+  const names = await readdir(sessionsDir());
+
+  for (const name of names.filter(name => name.endsWith('.json'))) {
+    const id = name.slice(0, -'.json'.length);
+    if (busy.has(id)) continue;
+    try {
+      const { mtimeMs } = await stat(sessionDataPath(id));
+      if (mtimeMs < cutoff) {
+        await deleteSession(id);
+        console.log(`🧹 Removed abandoned upload ${id}`);
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') await deleteSession(id);
+    }
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Image record schema
+ *
+ * Every image in the metadata store - published, a pending or rejected guest submission, or
+ * in the trash - has this shape. The store checks each record a write adds or changes
+ * (see updateStore) and refuses the write if one doesn't match; `npm run validate` checks
+ * the whole store, including records written before there was a schema.
+ *
+ * Only the original file's URL is stored. Thumbnail, lightbox and other sizes are generated
+ * per request from the presets (see withOptimizedUrls), so they follow preset changes.
+ */
+
+export const IMAGE_STATUSES = ['published', 'pending', 'rejected', 'trashed'];
+export const RESOURCE_TYPES = ['image', 'video'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isDate = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Field types: a check and how to describe a value that fails it
+const TYPES = {
+  uuid: [value => typeof value === 'string' && UUID_PATTERN.test(value), 'a UUID'],
+  string: [value => typeof value === 'string', 'a string'],
+  text: [value => typeof value === 'string' && value.length > 0, 'a non-empty string'],
+  date: [isDate, 'an ISO date'],
+  number: [value => typeof value === 'number' && Number.isFinite(value) && value >= 0, 'a number'],
+  integer: [Number.isInteger, 'a whole number'],
+  strings: [value => Array.isArray(value) && value.every(item => typeof item === 'string'), 'a list of strings'],
+  object: [isObject, 'an object'],
+  status: [value => IMAGE_STATUSES.includes(value), `one of ${IMAGE_STATUSES.join(', ')}`],
+  resourceType: [value => RESOURCE_TYPES.includes(value), `one of ${RESOURCE_TYPES.join(', ')}`]
+};
+
+/**
+ * Fields of an image record: type, whether it is required, whether null is allowed
+ */
+export const IMAGE_FIELDS = {
+  id: { type: 'uuid', required: true },
+  legacyId: { type: 'text' }, // the id it had before ids were UUIDs
+  url: { type: 'text' }, // the original file; required unless rejected (its file is deleted)
+  publicId: { type: 'text' }, // the file in storage; absent for images that were never stored there
+  category: { type: 'text', required: true },
+  caption: { type: 'string', required: true },
+  alt: { type: 'string' },
+  tags: { type: 'strings' },
+  order: { type: 'integer' },
+  status: { type: 'status', required: true },
+  resourceType: { type: 'resourceType', required: true },
+  format: { type: 'string' },
+  width: { type: 'number' },
+  height: { type: 'number' },
+  duration: { type: 'number' },
+  derived: { type: 'object' }, // a video's poster and renditions (see lib/video.js)
+  contentHash: { type: 'text' },
+  phash: { type: 'text' },
+  takenAt: { type: 'date', nullable: true },
+  camera: { type: 'object' },
+  orientation: { type: 'integer' },
+  private: { type: 'object' }, // admin-only, e.g. GPS (see lib/exif.js)
+  uploadedAt: { type: 'date', required: true },
+  updatedAt: { type: 'date' },
+  submittedBy: { type: 'object' },
+  approvedAt: { type: 'date' },
+  approvedBy: { type: 'string' },
+  rejectedAt: { type: 'date' },
+  rejectedBy: { type: 'string' },
+  rejectionReason: { type: 'string' },
+  deletedAt: { type: 'date' },
+  deletedBy: { type: 'string' },
+  previousStatus: { type: 'status' },
+  missingAt: { type: 'date' },
+  extra: { type: 'object' } // fields of older records the schema doesn't know, kept by the v4 migration
+};
+
+/**
+ * A write that would have saved a malformed image record
+ */
+export class StoreValidationError extends Error {
+  /**
+   * @param {Object[]} problems - [{ id, errors }]
+   */
+  constructor(problems) {
+    const [first] = problems;
+    super(`Invalid image record ${first.id}: ${first.errors.join('; ')}`
+      + (problems.length > 1 ? ` (and ${problems.length - 1} more)` : ''));
+    this.name = 'StoreValidationError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Check an image record against the schema
+ * @param {Object} image - Image record
+ * @param {Object} context - { categories: Set of category slugs }
+ * @returns {string[]} What is wrong with it, empty when it is valid
+ */
+export function validateImage(image, { categories } = {}) {
+  if (!isObject(image)) return ['not a record'];
+
+  const errors = [];
+  for (const [field, { type, required, nullable }] of Object.entries(IMAGE_FIELDS)) {
+    const value = image[field];
+    if (value === undefined || (value === null && nullable)) {
+      if (required) errors.push(`${field} is missing`);
+      continue;
+    }
+    const [check, description] = TYPES[type];
+    if (!check(value)) errors.push(`${field} must be ${description}`);
+  }
+
+  for (const field of Object.keys(image)) {
+    if (!IMAGE_FIELDS[field]) errors.push(`unknown field ${field}`);
+  }
+  if (categories && typeof image.category === 'string' && !categories.has(image.category)) {
+    errors.push(`category "${image.category}" does not exist`);
+  }
+  if (image.url === undefined && image.status !== 'rejected') errors.push('url is missing');
+  if (image.status === 'trashed' && !image.deletedAt) errors.push('a trashed image needs deletedAt');
+  if (isObject(image.submittedBy) && typeof image.submittedBy.name !== 'string') {
+    errors.push('submittedBy.name must be a string');
+  }
+  return errors;
+}
+
+/**
+ * Check every image in the store, and the references to images from elsewhere
+ * @param {Object} db - Metadata store document
+ * @returns {Object[]} [{ collection, id, errors }] for each record with problems
+ */
+export function validateStore(db) {
+  const categories = new Set(db.categories.map(category => category.slug));
+  const problems = [];
+  const seen = new Set();
+
+  for (const [index, image] of db.images.entries()) {
+    const errors = validateImage(image, { categories });
+    if (seen.has(image?.id)) errors.push('another image has the same id');
+    seen.add(image?.id);
+    if (errors.length > 0) problems.push({ collection: 'images', id: image?.id ?? `#${index}`, errors });
+  }
+
+  // Lists of images that point at records that no longer exist
+  const dangling = ids => ids.filter(id => !seen.has(id));
+  const references = [
+    ...db.albums.map(album => ['albums', album.id, [...(album.imageIds || []), ...(album.coverImageId ? [album.coverImageId] : [])]]),
+    ...db.events.map(event => ['events', event.id, event.imageIds || []]),
+    ...db.categories.map(category => ['categories', category.slug, category.coverImageId ? [category.coverImageId] : []])
+  ];
+  for (const [collection, id, ids] of references) {
+    const missing = dangling(ids);
+    if (missing.length > 0) problems.push({ collection, id, errors: [`points at missing images: ${missing.join(', ')}`] });
+  }
+  for (const collection of ['reactions', 'comments']) {
+    const missing = [...new Set(db[collection].map(item => item.imageId))].filter(id => !seen.has(id));
+    if (missing.length > 0) problems.push({ collection, id: null, errors: [`on missing images: ${missing.join(', ')}`] });
+  }
+
+  return problems;
+}
+
+/**
+ * Check the image records a write added or changed
+ * Only problems the write introduces count: a record that was already malformed (written by
+ * hand, or before there was a schema) can still be edited, trashed or moved - npm run validate
+ * reports what is left wrong with it.
+ * @param {Object} db - Document about to be written
+ * @param {Map} previous - id -> JSON of each image before the write
+ * @throws {StoreValidationError} When one of them doesn't match the schema
+ */
+export function assertValidChanges(db, previous) {
+  const categories = new Set(db.categories.map(category => category.slug));
+  const problems = [];
+  for (const image of db.images) {
+    const before = previous.get(image?.id);
+    if (before === JSON.stringify(image)) continue;
+    const existing = new Set(before ? validateImage(JSON.parse(before), { categories }) : []);
+    const errors = validateImage(image, { categories }).filter(error => !existing.has(error));
+    if (errors.length > 0) problems.push({ id: image?.id, errors });
+  }
+  if (problems.length > 0) throw new StoreValidationError(problems);
+}
@@ -0,0 +1,241 @@
+import { readStore, storeEvents } from './store.js';
+import { isPublished } from './media.js';
+
+/**
+ * Full-text search
+ *
+ * An in-memory inverted index over published images (captions, alt text, tags, category
+ * names and the names/messages of guests who submitted them) and visible guestbook messages.
+ * The index is kept up to date incrementally - every committed store write re-indexes only
+ * the documents whose text changed - so searching never rebuilds it. Writes made by other processes (the scripts)
+ * are picked up on the next search by comparing the store's contentRevision.
+ *
+ * Matching is per word: exact matches score highest, then prefix matches ("lak" finds
+ * "lake"), then matches within a small edit distance ("laek" finds "lake").
+ */
+
+// How much a match in each field counts
+const FIELD_WEIGHTS = {
+  tags: 4,
+  caption: 3,
+  category: 2,
+  submitter: 2,
+  alt: 1,
+  message: 1
+};
+
+const EXACT_SCORE = 1;
+const PREFIX_SCORE = 0.8;
+const FUZZY_SCORE = 0.5;
+
+// Shortest query word that is matched as a prefix or with typos
+const MIN_PREFIX_LENGTH = 2;
+const MIN_FUZZY_LENGTH = 4;
+
+const MAX_QUERY_TERMS = 10;
+
+// term -> Map<docKey, weight>
+const postings = new Map();
+// docKey -> { signature, terms: Map<term, weight>, type, id }
+const documents = new Map();
+let indexedRevision = null;
+let syncing = null;
+
+/**
+ * Split text into lowercase words without accents
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Searchable text of an image, by field
+function imageFields(image, categoryNames) {
+  return {
+    tags: (image.tags || []).join(' '),
+    caption: image.caption,
+    category: categoryNames.get(image.category) || image.category,
+    submitter: image.submittedBy ? `${image.submittedBy.name} ${image.submittedBy.relationship || ''}` : '',
+    alt: image.alt,
+    message: image.submittedBy?.message
+  };
+}
+
+// Every searchable document in the store, keyed by "<type>:<id>"
+function collectDocuments(db) {
+  const categoryNames = new Map(db.categories.map(category => [category.slug, category.name]));
+  const docs = new Map();
+
+  for (const image of db.images) {
+    if (!isPublished(image)) continue;
+    docs.set(`image:${image.id}`, { type: 'image', id: image.id, fields: imageFields(image, categoryNames) });
+  }
+
+  for (const entry of db.guestbook) {
+    if (entry.hidden) continue;
+    docs.set(`guestbook:${entry.id}`, {
+      type: 'guestbook',
+      id: entry.id,
+      fields: { submitter: `${entry.name} ${entry.relationship || ''}`, message: entry.message }
+    });
+  }
+
+  return docs;
+}
+
+function removeDocument(key) {
+  const doc = documents.get(key);
+  if (!doc) return;
+  for (const term of doc.terms.keys()) {
+    const entries = postings.get(term);
+    entries.delete(key);
+    if (entries.size === 0) postings.delete(term);
+  }
+  documents.delete(key);
+}
+
+function addDocument(key, { type, id, fields }, signature) {
+  const terms = new Map();
+  for (const [field, text] of Object.entries(fields)) {
+    for (const term of tokenize(text)) {
+      terms.set(term, Math.max(terms.get(term) || 0, FIELD_WEIGHTS[field]));
+    }
+  }
+
+  for (const [term, weight] of terms) {
+    if (!postings.has(term)) postings.set(term, new Map());
+    postings.get(term).set(key, weight);
+  }
+  documents.set(key, { signature, terms, type, id });
+}
+
+/**
+ * Bring the index in line with a store document
+ * Only documents that were added, removed or whose searchable text changed are touched.
+ * @param {Object} db - Metadata store document
+ */
+export function syncIndex(db) {
+  const current = collectDocuments(db);
+
+  for (const key of documents.keys()) {
+    if (!current.has(key)) removeDocument(key);
+  }
+
+  for (const [key, doc] of current) {
+    const signature = JSON.stringify(doc.fields);
+    if (documents.get(key)?.signature === signature) continue;
+    removeDocument(key);
+    addDocument(key, doc, signature);
+  }
+
+  indexedRevision = db.contentRevision;
+}
+
+storeEvents.on('change', syncIndex);
+
+// Make sure the index reflects the store, including writes from other processes
+async function ensureIndex() {
+  if (!syncing) {
+    syncing = readStore()
+      .then(db => {
+        if (db.contentRevision !== indexedRevision) syncIndex(db);
+      })
+      .finally(() => {
+        syncing = null;
+      });
+  }
+  return syncing;
+}
+
+// Edit distance where swapping two neighbouring letters counts as one typo
+// (optimal string alignment), giving up once it is over max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos allowed for a query word of this length
+function allowedTypos(word) {
+  if (word.length < MIN_FUZZY_LENGTH) return 0;
+  return word.length < 8 ? 1 : 2;
+}
+
+// Best score per document for one query word
+function matchWord(word) {
+  const scores = new Map();
+  const typos = allowedTypos(word);
+
+  for (const [term, entries] of postings) {
+    let quality = 0;
+    if (term === word) {
+      quality = EXACT_SCORE;
+    } else if (word.length >= MIN_PREFIX_LENGTH && term.startsWith(word)) {
+      quality = PREFIX_SCORE;
+    } else if (typos > 0 && editDistance(word, term, typos) <= typos) {
+      quality = FUZZY_SCORE;
+    }
+    if (!quality) continue;
+
+    for (const [key, weight] of entries) {
+      scores.set(key, Math.max(scores.get(key) || 0, quality * weight));
+    }
+  }
+
+  return scores;
+}
+
+/**
+ * Search the index
+ * Documents matching more of the query words rank first, then by score.
+ * @param {string} query - Free text
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} { total, hits: [{ type, id, score }] }
+ */
+export async function search(query, { limit = 20 } = {}) {
+  await ensureIndex();
+
+  const words = [...new Set(tokenize(query))].slice(0, MAX_QUERY_TERMS);
+  const totals = new Map();
+
+  for (const word of words) {
+    for (const [key, score] of matchWord(word)) {
+      const total = totals.get(key) || { matched: 0, score: 0 };
+      total.matched += 1;
+      total.score += score;
+      totals.set(key, total);
+    }
+  }
+
+  const ranked = [...totals.entries()]
+    .sort(([, a], [, b]) => b.matched - a.matched || b.score - a.score)
+    .map(([key, total]) => {
+      const { type, id } = documents.get(key);
+      return { type, id, score: Math.round(total.score * 100) / 100 };
+    });
+
+  return { total: ranked.length, hits: ranked.slice(0, limit) };
+}
@@ -0,0 +1,69 @@
+/**
+ * Spam protection for public endpoints
+ *
+ * Rate limits count requests per client IP (or another key) in fixed time windows, in memory, so limits apply
+ * per server process and reset on restart - enough to stop a script flooding a form. Behind a
+ * proxy (e.g. Render) set TRUST_PROXY so req.ip is the visitor's address rather than the proxy's.
+ *
+ * Forms also carry a honeypot: a field hidden from people that bots filling in every field
+ * give away.
+ */
+
+// Name of the honeypot form field
+export const HONEYPOT_FIELD = 'website';
+
+// Forget finished windows once this many clients are being tracked
+const PRUNE_THRESHOLD = 10000;
+
+/**
+ * Create rate limiting middleware
+ * Limits are functions so they are read from the environment when a request arrives.
+ * @param {Object} options - { max: () => number, windowMs: () => number, message, key }
+ *   key: (req) => string - what requests are counted by, the client IP by default
+ * @returns {Function} Express middleware answering 429 with Retry-After once a client is over max
+ */
+export function rateLimit({ max, windowMs, message = 'Too many requests. Please try again later.', key = req => req.ip }) {
+  const clients = new Map(); // key -> { count, resetAt }
+
+  return (req, res, next) => {
+    const now = Date.now();
+
+    if (clients.size > PRUNE_THRESHOLD) {
+      for (const [id, client] of clients) {
+        if (client.resetAt <= now) clients.delete(id);
+      }
+    }
+
+    const id = key(req);
+    let client = clients.get(id);
+    if (!client || client.resetAt <= now) {
+      client = { count: 0, resetAt: now + windowMs() };
+      clients.set(id, client);
+    }
+    client.count += 1;
+
+    if (client.count > max()) {
+      res.set('Retry-After', String(Math.ceil((client.resetAt - now) / 1000)));
+      return res.status(429).json({ error: message });
+    }
+    next();
+  };
+}
+
+/**
+ * Create honeypot middleware
+ * Posts with the honeypot field filled in are answered like a success, so the bot has nothing
+ * to learn from, and dropped. Must run after the body has been parsed.
+ * @param {Object} response - JSON body to answer with
+ * @param {number} status - Status the endpoint answers a real post with
+ * @returns {Function} Express middleware
+ */
+export function honeypot(response, status = 201) {
+  return (req, res, next) => {
+    if (req.body?.[HONEYPOT_FIELD]) {
+      console.warn(`🍯 Honeypot caught a post to ${req.originalUrl} from ${req.ip}`);
+      return res.status(status).json(response);
+    }
+    next();
+  };
+}
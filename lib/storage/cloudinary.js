@@ -0,0 +1,284 @@
+import { v2 as cloudinary } from 'cloudinary';
+import { extname } from 'path';
+import { getPresets, presetSize } from '../presets.js';
+
+// Size of each part sent to Cloudinary's chunked upload API
+const UPLOAD_CHUNK_SIZE = 20 * 1024 * 1024;
+
+const VIDEO_EXTENSIONS = /^\.(mp4|mov|avi|wmv|flv|webm|mkv)$/i;
+
+// Heights of the MP4 renditions offered next to the HLS stream
+const VIDEO_HEIGHTS = [360, 720, 1080];
+
+// Adaptive streaming profile (CLOUDINARY_STREAMING_PROFILE, default "auto")
+function streamingProfile() {
+  return process.env.CLOUDINARY_STREAMING_PROFILE?.trim() || 'auto';
+}
+
+// Videos get their HLS renditions generated right after upload instead of on first view,
+// which Cloudinary requires for large videos
+function videoUploadOptions(filename = '', mimetype = '') {
+  if (!mimetype.startsWith('video/') && !VIDEO_EXTENSIONS.test(extname(filename))) return {};
+  return {
+    eager: [{ streaming_profile: streamingProfile(), format: 'm3u8' }],
+    eager_async: true
+  };
+}
+
+/**
+ * Cloudinary storage provider
+ * Uploads go to Cloudinary folders and URLs are built with on-the-fly transformations
+ */
+export function createCloudinaryStorage() {
+  // Lazy Cloudinary configuration - only configure when needed
+  let configured = false;
+
+  function isConfigured() {
+    if (configured) return true;
+
+    // Get and validate Cloudinary credentials
+    const cloudName = process.env.CLOUDINARY_CLOUD_NAME?.trim();
+    const apiKey = process.env.CLOUDINARY_API_KEY?.trim();
+    const apiSecret = process.env.CLOUDINARY_API_SECRET?.trim();
+
+    // Check if credentials are valid
+    if (!cloudName || !apiKey || !apiSecret) {
+      console.error('⚠️  Cloudinary credentials missing or empty:');
+      console.error('   CLOUDINARY_CLOUD_NAME:', cloudName || 'MISSING');
+      console.error('   CLOUDINARY_API_KEY:', apiKey ? '***' + apiKey.slice(-4) : 'MISSING');
+      console.error('   CLOUDINARY_API_SECRET:', apiSecret ? '***' + apiSecret.slice(-4) : 'MISSING');
+      return false;
+    }
+
+    cloudinary.config({
+      cloud_name: cloudName,
+      api_key: apiKey,
+      api_secret: apiSecret
+    });
+
+    // Debug: Show masked credentials for verification
+    console.log('✅ Cloudinary credentials loaded successfully');
+    console.log('   Cloud Name:', cloudName);
+    console.log('   API Key:', '***' + apiKey.slice(-4));
+    console.log('   API Secret:', '***' + apiSecret.slice(-4));
+    console.log('   ⚠️  If upload fails, verify these match your Cloudinary dashboard');
+    configured = true;
+    return true;
+  }
+
+  /**
+   * Convert a Cloudinary upload/admin API resource to our storage format
+   */
+  function toStoredFile(resource) {
+    return {
+      url: resource.secure_url,
+      publicId: resource.public_id,
+      width: resource.width,
+      height: resource.height,
+      format: resource.format,
+      resourceType: resource.resource_type || 'image',
+      createdAt: resource.created_at,
+      etag: resource.etag,
+      ...(resource.phash && { phash: resource.phash }),
+      ...(resource.duration && { duration: resource.duration })
+    };
+  }
+
+  async function upload(buffer, { folder, resourceType = 'auto', filename, mimetype, phash = false } = {}) {
+    const result = await new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        {
+          folder,
+          resource_type: resourceType, // 'auto' detects image or video
+          phash, // perceptual hash, used to find resized copies
+          ...videoUploadOptions(filename, mimetype)
+        },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve(result);
+        }
+      );
+
+      uploadStream.end(buffer);
+    });
+
+    return toStoredFile(result);
+  }
+
+  // upload_large sends the file in chunks, which Cloudinary requires for videos over 100MB
+  async function uploadFile(filePath, { folder, resourceType = 'auto', filename, mimetype, phash = false } = {}) {
+    const result = await new Promise((resolve, reject) => {
+      cloudinary.uploader.upload_large(
+        filePath,
+        {
+          folder,
+          resource_type: resourceType,
+          phash,
+          chunk_size: UPLOAD_CHUNK_SIZE,
+          ...videoUploadOptions(filename, mimetype)
+        },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve(result);
+        }
+      );
+    });
+
+    return toStoredFile(result);
+  }
+
+  async function destroy(publicId, { resourceType } = {}) {
+    const options = resourceType ? { resource_type: resourceType } : {};
+    await cloudinary.uploader.destroy(publicId, options);
+  }
+
+  async function move(publicId, folder, { resourceType = 'image' } = {}) {
+    const name = publicId.split('/').pop();
+    const result = await cloudinary.uploader.rename(publicId, `${folder}/${name}`, {
+      resource_type: resourceType,
+      overwrite: false
+    });
+    return toStoredFile(result);
+  }
+
+  // Follows next_cursor so folders with more than 500 assets are listed completely.
+  // The Admin API lists one resource type per call, so images and videos are fetched separately.
+  async function list(folder) {
+    const files = [];
+
+    for (const resourceType of ['image', 'video']) {
+      let nextCursor;
+      do {
+        const result = await cloudinary.api.resources({
+          type: 'upload',
+          resource_type: resourceType,
+          prefix: folder,
+          max_results: 500,
+          next_cursor: nextCursor
+        });
+
+        files.push(...(result.resources || []).map(toStoredFile));
+        nextCursor = result.next_cursor;
+      } while (nextCursor);
+    }
+
+    return files;
+  }
+
+  // Perceptual hash of a stored image, computed by Cloudinary (an Admin API call)
+  async function perceptualHash(publicId, { resourceType = 'image' } = {}) {
+    const resource = await cloudinary.api.resource(publicId, { resource_type: resourceType, phash: true });
+    return resource.phash || null;
+  }
+
+  /**
+   * Video URLs: a poster frame from the video, an HLS stream and MP4 renditions
+   */
+  function getVideoUrls(publicId, originalUrl) {
+    const videoUrl = options => cloudinary.url(publicId, { resource_type: 'video', ...options });
+    const posterUrl = size => videoUrl({ format: 'jpg', transformation: [{ start_offset: 'auto', quality: 'auto', ...size }] });
+    const mp4Url = size => videoUrl({
+      format: 'mp4',
+      transformation: [{ ...size, crop: 'limit', quality: 'auto', video_codec: 'auto' }]
+    });
+
+    return {
+      url: mp4Url({ width: 1280, height: 1280 }),
+      thumbnail: posterUrl({ width: 400, height: 400, crop: 'fill' }),
+      lightbox: mp4Url({ width: 1920, height: 1920 }),
+      original: originalUrl,
+      poster: posterUrl({ width: 1280, height: 1280, crop: 'limit' }),
+      hls: videoUrl({ format: 'm3u8', transformation: [{ streaming_profile: streamingProfile() }] }),
+      sources: VIDEO_HEIGHTS.map(height => ({ height, type: 'video/mp4', url: mp4Url({ height }) }))
+    };
+  }
+
+  /**
+   * URL of a resized image (see lib/presets.js), or null for files Cloudinary can't transform
+   * @param {string} publicId - Cloudinary public ID
+   * @param {Object} size - { width, height?, crop, gravity? }
+   * @returns {string|null}
+   */
+  function resize(publicId, { width, height, crop, gravity }) {
+    if (!publicId || !publicId.includes('josh-farewell')) return null;
+
+    return cloudinary.url(publicId, {
+      transformation: [{
+        fetch_format: 'auto', // converts to WebP/AVIF when supported
+        quality: 'auto', // optimizes quality based on image
+        flags: 'progressive', // Progressive JPEG loading
+        width,
+        ...(height && { height }),
+        crop,
+        ...(gravity && crop === 'fill' && { gravity })
+      }]
+    });
+  }
+
+  /**
+   * Generate optimized Cloudinary URLs with transformations
+   * The sizes come from the thumb, gallery and lightbox presets.
+   * @param {string} publicId - Cloudinary public ID
+   * @param {string} originalUrl - Original Cloudinary URL (fallback)
+   * @param {Object} options - { resourceType }
+   * @returns {Object} Object with optimized URLs
+   */
+  function getUrls(publicId, originalUrl, { resourceType = 'image' } = {}) {
+    // If no publicId, return original URL (for non-Cloudinary images)
+    if (!publicId || !publicId.includes('josh-farewell')) {
+      return {
+        url: originalUrl,
+        thumbnail: originalUrl,
+        lightbox: originalUrl
+      };
+    }
+
+    if (resourceType === 'video') {
+      return getVideoUrls(publicId, originalUrl);
+    }
+
+    try {
+      const presets = getPresets();
+      return {
+        url: resize(publicId, presetSize(presets.gallery)), // Default URL for gallery
+        thumbnail: resize(publicId, presetSize(presets.thumb)), // Smaller thumbnail
+        lightbox: resize(publicId, presetSize(presets.lightbox)), // Larger for lightbox
+        original: originalUrl // Keep original as fallback
+      };
+    } catch (error) {
+      console.warn('Error generating optimized URLs, using original:', error.message);
+      return {
+        url: originalUrl,
+        thumbnail: originalUrl,
+        lightbox: originalUrl,
+        original: originalUrl
+      };
+    }
+  }
+
+  // Provide helpful error messages for common issues
+  function describeError(error) {
+    if (error.http_code === 401) {
+      if (error.message?.includes('Invalid Signature')) {
+        return 'Invalid API Secret. Please check your CLOUDINARY_API_SECRET in the .env file matches your Cloudinary dashboard.';
+      }
+      return 'Authentication failed. Please verify your Cloudinary credentials in the .env file.';
+    }
+    return error.message;
+  }
+
+  return {
+    name: 'cloudinary',
+    notConfiguredMessage: 'Cloudinary is not configured. Please check your .env file.',
+    isConfigured,
+    upload,
+    uploadFile,
+    destroy,
+    move,
+    list,
+    perceptualHash,
+    getUrls,
+    resize,
+    describeError
+  };
+}
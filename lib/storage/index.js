@@ -0,0 +1,75 @@
+import { createCloudinaryStorage } from './cloudinary.js';
+import { createLocalStorage } from './local.js';
+import { createS3Storage } from './s3.js';
+
+/**
+ * Storage provider interface
+ *
+ * Every provider returns an object with:
+ * - name: provider identifier
+ * - notConfiguredMessage: error shown when credentials are missing
+ * - isConfigured(): boolean - lazily validates settings, logs what is missing
+ * - upload(buffer, { folder, resourceType, filename, mimetype, phash }): Promise<StoredFile>
+ * - uploadFile(filePath, { folder, resourceType, filename, mimetype, phash }): Promise<StoredFile>
+ *   same as upload, but streams a file from disk so large videos never sit in memory
+ * - destroy(publicId, { resourceType }): Promise<void>
+ * - move(publicId, folder, { resourceType }): Promise<StoredFile> - same file name, new folder
+ * - list(folder): Promise<StoredFile[]> - every file stored under a folder
+ * - perceptualHash(publicId, { resourceType }) (optional): Promise<string|null> - perceptual hash
+ *   of a stored image, for providers that can compute one (Cloudinary)
+ * - getUrls(publicId, originalUrl, options): { url, thumbnail, lightbox, original }
+ *   options: { resourceType, derived }; for videos the result also has
+ *   poster (image URL or null), hls (HLS playlist URL or null) and sources ([{ height, type, url }])
+ * - resize(publicId, { width, height, crop, gravity }) (optional): string|null - URL of a resized
+ *   image, for providers with a transformation service (see lib/presets.js)
+ * - read(publicId) (optional): Promise<Readable> - the stored file, for providers that keep files on
+ *   this server; others are downloaded from their URL
+ * - processVideo(publicId) (optional): Promise<{ width, height, duration, derived }|null> - generate
+ *   a stored video's poster and renditions (local provider, see lib/video.js); null without ffmpeg
+ * - describeError(error): string - user-facing message for a failed operation
+ * - mount(app, { canServe }) (optional): register routes that serve the stored files;
+ *   canServe(req, publicId) resolves to whether this request may have the file
+ *
+ * StoredFile: { url, publicId, width, height, format, resourceType, createdAt, etag?, phash?, duration?, derived? }
+ *   etag is the MD5 of the content when the provider knows it (list results include it where available);
+ *   phash is a perceptual hash, only from providers that can compute one (Cloudinary, on request);
+ *   duration is a video's length in seconds; derived describes files generated from a video by
+ *   processVideo and must be passed back to getUrls
+ */
+const providers = {
+  cloudinary: createCloudinaryStorage,
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+// Folder that holds every upload, one subfolder per category
+export const STORAGE_ROOT = 'josh-farewell';
+
+let storage = null;
+
+/**
+ * Get the storage provider selected by STORAGE_PROVIDER (defaults to cloudinary)
+ * @returns {Object} Storage provider
+ */
+export function getStorage() {
+  if (storage) return storage;
+
+  const name = (process.env.STORAGE_PROVIDER || 'cloudinary').trim().toLowerCase();
+  const createProvider = providers[name];
+
+  if (!createProvider) {
+    throw new Error(`Unknown STORAGE_PROVIDER "${name}". Must be one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  storage = createProvider();
+  return storage;
+}
+
+/**
+ * Get the storage folder for a category
+ * @param {string} category - Category name
+ * @returns {string} Folder path, e.g. josh-farewell/family
+ */
+export function categoryFolder(category) {
+  return `${STORAGE_ROOT}/${category}`;
+}
@@ -0,0 +1,223 @@
+import express from 'express';
+import { createReadStream } from 'fs';
+import { writeFile, copyFile, unlink, mkdir, readdir, stat, rename, rm } from 'fs/promises';
+import { randomBytes } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join, extname, relative, resolve, sep, basename } from 'path';
+import { contentHash } from '../duplicates.js';
+import { processVideo, renditionFile, DERIVED_SUFFIX, POSTER_FILE, HLS_PLAYLIST } from '../video.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const VIDEO_EXTENSIONS = /^(mp4|mov|avi|wmv|flv|webm|mkv)$/i;
+
+/**
+ * Local filesystem storage provider
+ * Files are written under LOCAL_STORAGE_DIR and served by the Express app at /media.
+ * Videos get a poster frame and streaming renditions from ffmpeg (see lib/video.js).
+ */
+export function createLocalStorage() {
+  const rootDir = resolve(process.env.LOCAL_STORAGE_DIR?.trim() || join(__dirname, '../../uploads'));
+  const mountPath = '/media';
+  // Absolute base URL for the media route (the frontend may be on another origin)
+  const baseUrl = (process.env.PUBLIC_BASE_URL?.trim() || '').replace(/\/$/, '');
+
+  // Resolve a public ID to a file path, refusing anything outside the storage root
+  function pathFor(publicId) {
+    const filePath = resolve(rootDir, publicId);
+    if (!filePath.startsWith(rootDir + sep)) {
+      throw new Error(`Invalid public ID: ${publicId}`);
+    }
+    return filePath;
+  }
+
+  function urlFor(publicId) {
+    return `${baseUrl}${mountPath}/${publicId.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  function describe(publicId, createdAt) {
+    const format = extname(publicId).slice(1).toLowerCase();
+    return {
+      url: urlFor(publicId),
+      publicId,
+      format,
+      resourceType: VIDEO_EXTENSIONS.test(format) ? 'video' : 'image',
+      createdAt
+    };
+  }
+
+  function isConfigured() {
+    return true;
+  }
+
+  function newPublicId(folder, filename, mimetype) {
+    let extension = extname(filename).toLowerCase();
+    if (!extension && mimetype.includes('/')) {
+      extension = '.' + mimetype.split('/')[1].replace(/[^a-z0-9]/gi, '');
+    }
+    return `${folder}/${Date.now()}-${randomBytes(4).toString('hex')}${extension}`;
+  }
+
+  function stored(publicId, mimetype) {
+    const file = describe(publicId, new Date().toISOString());
+    // Trust the MIME type over the extension when the client sent one
+    if (mimetype.startsWith('video/')) file.resourceType = 'video';
+    return file;
+  }
+
+  async function upload(buffer, { folder, filename = '', mimetype = '' } = {}) {
+    const publicId = newPublicId(folder, filename, mimetype);
+    const filePath = pathFor(publicId);
+
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFile(filePath, buffer);
+    return stored(publicId, mimetype);
+  }
+
+  // Copy rather than rename: the temporary file may be on another filesystem
+  async function uploadFile(sourcePath, { folder, filename = '', mimetype = '' } = {}) {
+    const publicId = newPublicId(folder, filename, mimetype);
+    const filePath = pathFor(publicId);
+
+    await mkdir(dirname(filePath), { recursive: true });
+    await copyFile(sourcePath, filePath);
+    return stored(publicId, mimetype);
+  }
+
+  async function destroy(publicId) {
+    try {
+      await unlink(pathFor(publicId));
+    } catch (error) {
+      // Already gone is as good as deleted
+      if (error.code !== 'ENOENT') throw error;
+    }
+    await rm(pathFor(publicId + DERIVED_SUFFIX), { recursive: true, force: true });
+  }
+
+  async function move(publicId, folder) {
+    const newPublicId = `${folder}/${basename(publicId)}`;
+    const newPath = pathFor(newPublicId);
+
+    await mkdir(dirname(newPath), { recursive: true });
+    await rename(pathFor(publicId), newPath);
+    // Generated video files travel with the video
+    await rename(pathFor(publicId + DERIVED_SUFFIX), pathFor(newPublicId + DERIVED_SUFFIX)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+    return describe(newPublicId, new Date().toISOString());
+  }
+
+  async function list(folder) {
+    const files = [];
+
+    async function walk(dir) {
+      let entries;
+      try {
+        entries = await readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const entryPath = join(dir, entry.name);
+        if (entry.isDirectory()) {
+          // Generated video files are not stored files of their own
+          if (!entry.name.endsWith(DERIVED_SUFFIX)) await walk(entryPath);
+        } else if (entry.isFile()) {
+          const publicId = relative(rootDir, entryPath).split(sep).join('/');
+          const { birthtime } = await stat(entryPath);
+          files.push({ ...describe(publicId, birthtime.toISOString()), etag: await contentHash(entryPath) });
+        }
+      }
+    }
+
+    await walk(pathFor(folder));
+    return files;
+  }
+
+  // No transformation service locally - every image variant is the original file.
+  // Videos point at the files ffmpeg generated, when it did (options.derived).
+  function getUrls(publicId, originalUrl, { resourceType, derived } = {}) {
+    if (resourceType !== 'video') {
+      return {
+        url: originalUrl,
+        thumbnail: originalUrl,
+        lightbox: originalUrl,
+        original: originalUrl
+      };
+    }
+
+    const derivedUrl = file => urlFor(`${publicId}${DERIVED_SUFFIX}/${file}`);
+    const poster = derived?.poster ? derivedUrl(POSTER_FILE) : null;
+    const sources = (derived?.heights || []).map(height => ({
+      height,
+      type: 'video/mp4',
+      url: derivedUrl(renditionFile(height))
+    }));
+
+    return {
+      url: sources.at(-1)?.url || originalUrl,
+      thumbnail: poster || originalUrl,
+      lightbox: originalUrl,
+      original: originalUrl,
+      poster,
+      hls: sources.length > 0 ? derivedUrl(HLS_PLAYLIST) : null,
+      sources
+    };
+  }
+
+  function describeError(error) {
+    return error.message;
+  }
+
+  // The file itself, for archives - /media URLs may not be reachable from the server
+  async function read(publicId) {
+    const filePath = pathFor(publicId);
+    await stat(filePath); // missing files fail here, not halfway through a stream
+    return createReadStream(filePath);
+  }
+
+  // Poster frame and streaming renditions of a stored video (run by the "video" job)
+  function processStoredVideo(publicId) {
+    return processVideo(pathFor(publicId), pathFor(publicId + DERIVED_SUFFIX));
+  }
+
+  // Serve uploaded files from the Express app - only those canServe(req, publicId) allows
+  function mount(app, { canServe = async () => true } = {}) {
+    const serve = express.static(rootDir, { fallthrough: false, maxAge: '7d' });
+    app.use(mountPath, async (req, res, next) => {
+      try {
+        let publicId;
+        try {
+          publicId = decodeURIComponent(req.path.slice(1));
+        } catch {
+          return res.status(404).json({ error: 'File not found' });
+        }
+        if (!(await canServe(req, publicId))) {
+          return res.status(404).json({ error: 'File not found' });
+        }
+        serve(req, res, next);
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  return {
+    name: 'local',
+    notConfiguredMessage: 'Local storage is not configured.',
+    isConfigured,
+    upload,
+    uploadFile,
+    destroy,
+    move,
+    list,
+    getUrls,
+    read,
+    processVideo: processStoredVideo,
+    describeError,
+    mount
+  };
+}
@@ -0,0 +1,188 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  CopyObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { randomBytes } from 'crypto';
+import { createReadStream } from 'fs';
+import { stat } from 'fs/promises';
+import { extname } from 'path';
+
+const VIDEO_EXTENSIONS = /^(mp4|mov|avi|wmv|flv|webm|mkv)$/i;
+
+/**
+ * S3-compatible storage provider (AWS S3, Cloudflare R2, MinIO, Backblaze B2, ...)
+ * Objects must be publicly readable through the bucket policy or S3_PUBLIC_URL (e.g. a CDN)
+ */
+export function createS3Storage() {
+  const bucket = process.env.S3_BUCKET?.trim();
+  const region = process.env.S3_REGION?.trim() || 'us-east-1';
+  const endpoint = process.env.S3_ENDPOINT?.trim();
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID?.trim();
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY?.trim();
+  // Most S3-compatible services need path-style URLs (https://endpoint/bucket/key)
+  const forcePathStyle = process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : Boolean(endpoint);
+
+  let client = null;
+
+  function isConfigured() {
+    if (client) return true;
+
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      console.error('⚠️  S3 storage settings missing or empty:');
+      console.error('   S3_BUCKET:', bucket || 'MISSING');
+      console.error('   S3_ACCESS_KEY_ID:', accessKeyId ? '***' + accessKeyId.slice(-4) : 'MISSING');
+      console.error('   S3_SECRET_ACCESS_KEY:', secretAccessKey ? '***' + secretAccessKey.slice(-4) : 'MISSING');
+      return false;
+    }
+
+    client = new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      credentials: { accessKeyId, secretAccessKey }
+    });
+
+    console.log('✅ S3 storage configured');
+    console.log('   Bucket:', bucket);
+    console.log('   Endpoint:', endpoint || `AWS (${region})`);
+    return true;
+  }
+
+  function urlFor(key) {
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    const publicUrl = process.env.S3_PUBLIC_URL?.trim().replace(/\/$/, '');
+
+    if (publicUrl) return `${publicUrl}/${encodedKey}`;
+    if (endpoint) {
+      const base = endpoint.replace(/\/$/, '');
+      return forcePathStyle
+        ? `${base}/${bucket}/${encodedKey}`
+        : base.replace('://', `://${bucket}.`) + `/${encodedKey}`;
+    }
+    return `https://${bucket}.s3.${region}.amazonaws.com/${encodedKey}`;
+  }
+
+  function describe(key, createdAt) {
+    const format = extname(key).slice(1).toLowerCase();
+    return {
+      url: urlFor(key),
+      publicId: key,
+      format,
+      resourceType: VIDEO_EXTENSIONS.test(format) ? 'video' : 'image',
+      createdAt
+    };
+  }
+
+  function newKey(folder, filename, mimetype) {
+    let extension = extname(filename).toLowerCase();
+    if (!extension && mimetype.includes('/')) {
+      extension = '.' + mimetype.split('/')[1].replace(/[^a-z0-9]/gi, '');
+    }
+    return `${folder}/${Date.now()}-${randomBytes(4).toString('hex')}${extension}`;
+  }
+
+  async function put(key, body, { mimetype, contentLength }) {
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: body,
+      ContentType: mimetype || undefined,
+      ContentLength: contentLength
+    }));
+
+    const stored = describe(key, new Date().toISOString());
+    if (mimetype.startsWith('video/')) stored.resourceType = 'video';
+    return stored;
+  }
+
+  async function upload(buffer, { folder, filename = '', mimetype = '' } = {}) {
+    return put(newKey(folder, filename, mimetype), buffer, { mimetype });
+  }
+
+  // A stream body needs its length up front
+  async function uploadFile(filePath, { folder, filename = '', mimetype = '' } = {}) {
+    const { size } = await stat(filePath);
+    return put(newKey(folder, filename, mimetype), createReadStream(filePath), { mimetype, contentLength: size });
+  }
+
+  async function destroy(key) {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  }
+
+  // S3 has no rename - copy to the new key, then delete the old one
+  async function move(key, folder) {
+    const newKey = `${folder}/${key.split('/').pop()}`;
+
+    await client.send(new CopyObjectCommand({
+      Bucket: bucket,
+      CopySource: `${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`,
+      Key: newKey
+    }));
+    await destroy(key);
+    return describe(newKey, new Date().toISOString());
+  }
+
+  async function list(folder) {
+    const files = [];
+    let continuationToken;
+
+    do {
+      const result = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: `${folder}/`,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of result.Contents || []) {
+        const file = describe(object.Key, object.LastModified?.toISOString());
+        // Multipart uploads have an ETag like "<hash>-<parts>" that is not the MD5 of the content
+        const etag = object.ETag?.replace(/"/g, '');
+        if (etag && !etag.includes('-')) file.etag = etag;
+        files.push(file);
+      }
+      continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return files;
+  }
+
+  // No transformation service - every variant is the original object.
+  // Videos are not processed either: no poster or streaming renditions, just the file.
+  function getUrls(publicId, originalUrl, { resourceType } = {}) {
+    return {
+      url: originalUrl,
+      thumbnail: originalUrl,
+      lightbox: originalUrl,
+      original: originalUrl,
+      ...(resourceType === 'video' && { poster: null, hls: null, sources: [] })
+    };
+  }
+
+  function describeError(error) {
+    if (error.name === 'AccessDenied' || error.name === 'InvalidAccessKeyId' || error.name === 'SignatureDoesNotMatch') {
+      return 'S3 authentication failed. Please verify S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY in the .env file.';
+    }
+    if (error.name === 'NoSuchBucket') {
+      return `S3 bucket "${bucket}" does not exist. Please check S3_BUCKET in the .env file.`;
+    }
+    return error.message;
+  }
+
+  return {
+    name: 's3',
+    notConfiguredMessage: 'S3 storage is not configured. Please check your .env file.',
+    isConfigured,
+    upload,
+    uploadFile,
+    destroy,
+    move,
+    list,
+    getUrls,
+    describeError
+  };
+}
@@ -0,0 +1,305 @@
+import { readFile, rename, mkdir, open, unlink, stat, copyFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { DEFAULT_CATEGORIES } from './categories.js';
+import { STORE_VERSION, migrateStore } from './migrations.js';
+import { assertValidChanges } from './schema.js';
+import { recordAudit } from './audit.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Metadata store
+ *
+ * All metadata lives in one JSON document (data/store.json by default). Writes are
+ * transactional: updateStore() takes a write lock, re-reads the latest document, applies
+ * the change and replaces the file with an atomic rename, so concurrent requests and the
+ * scripts never overwrite each other's changes.
+ *
+ * Image records are checked against the schema in lib/schema.js on every write, and older
+ * documents are migrated to the current version when the store is first opened (see
+ * lib/migrations.js).
+ */
+export const LEGACY_IMAGES_PATH = join(__dirname, '../data/images.json');
+
+/**
+ * Path of the metadata document (METADATA_STORE_PATH, resolved lazily so .env has been loaded)
+ * @returns {string} Absolute path
+ */
+export function getStorePath() {
+  return resolve(process.env.METADATA_STORE_PATH?.trim() || join(__dirname, '../data/store.json'));
+}
+
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 10000;
+// A lock older than this was left behind by a crashed process
+const LOCK_STALE_MS = 30000;
+
+export { STORE_VERSION };
+
+// Collections in the document, each an array of records
+export const STORE_COLLECTIONS = ['images', 'categories', 'users', 'events', 'albums', 'guestbook', 'reactions', 'comments'];
+
+function emptyStore() {
+  return {
+    version: STORE_VERSION,
+    revision: 0,
+    contentRevision: 0,
+    images: [],
+    categories: DEFAULT_CATEGORIES.map(category => ({ ...category })),
+    users: [],
+    events: [],
+    albums: [],
+    guestbook: [],
+    reactions: [],
+    comments: []
+  };
+}
+
+// Fill in collections that older documents may be missing; a document without a version
+// is from before there were versions
+function withDefaults(db) {
+  return { ...emptyStore(), version: 1, ...db };
+}
+
+async function readDocument() {
+  try {
+    const data = await readFile(getStorePath(), 'utf-8');
+    return withDefaults(JSON.parse(data));
+  } catch (error) {
+    if (error.code === 'ENOENT') return emptyStore();
+    throw error;
+  }
+}
+
+// Write to a temporary file first so readers never see a half-written document
+async function writeDocument(db) {
+  const storePath = getStorePath();
+  const tempPath = `${storePath}.${process.pid}.tmp`;
+  const handle = await open(tempPath, 'w');
+  try {
+    await handle.writeFile(JSON.stringify(db, null, 2));
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await rename(tempPath, storePath);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Cross-process lock: a lock file created exclusively, removed when the write is done
+async function acquireLock() {
+  const lockPath = `${getStorePath()}.lock`;
+  const startedAt = Date.now();
+
+  while (true) {
+    try {
+      const handle = await open(lockPath, 'wx');
+      await handle.writeFile(String(process.pid));
+      await handle.close();
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    try {
+      const { mtimeMs } = await stat(lockPath);
+      if (Date.now() - mtimeMs > LOCK_STALE_MS) {
+        console.warn('⚠️  Removing stale metadata store lock:', lockPath);
+        await unlink(lockPath).catch(() => {});
+        continue;
+      }
+    } catch {
+      // Lock disappeared between open and stat - just retry
+      continue;
+    }
+
+    if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+      throw new Error(`Timed out waiting for metadata store lock (${lockPath})`);
+    }
+    await sleep(LOCK_RETRY_MS);
+  }
+}
+
+async function releaseLock() {
+  await unlink(`${getStorePath()}.lock`).catch(() => {});
+}
+
+/**
+ * Emits 'change' with the new document after every committed write in this process, except
+ * quiet ones (writes from other processes, e.g. the scripts, show up as a different
+ * db.contentRevision)
+ */
+export const storeEvents = new EventEmitter();
+
+// In-process write queue so requests in this server wait in line instead of polling the lock file
+let writeQueue = Promise.resolve();
+let initialized = null;
+
+// Bring an older document up to the current version, keeping a copy of the old file
+async function migrateDocument() {
+  const { version } = await readDocument();
+  if (version >= STORE_VERSION || !existsSync(getStorePath())) return;
+
+  await copyFile(getStorePath(), `${getStorePath()}.v${version}.bak`);
+  // Records are migrated as they are - npm run validate reports any that still don't match the schema
+  const applied = await transaction(db => migrateStore(db), { validate: false });
+  for (const { version, description, changed } of applied) {
+    console.log(`🔧 Migrated the metadata store to version ${version}: ${description} (${changed} records)`);
+  }
+  await recordAudit('system', 'store.migrate', { before: { version }, after: { version: STORE_VERSION, applied } });
+}
+
+/**
+ * Create the store on first use, importing a legacy data/images.json if one exists, and
+ * migrate it if it is older than this version of the app
+ */
+function ensureStore() {
+  if (!initialized) {
+    initialized = (async () => {
+      await mkdir(dirname(getStorePath()), { recursive: true });
+      if (!existsSync(getStorePath()) && existsSync(LEGACY_IMAGES_PATH)) {
+        const { imported } = await importLegacyImages(LEGACY_IMAGES_PATH);
+        console.log(`📦 Imported ${imported} records from legacy ${LEGACY_IMAGES_PATH}`);
+      }
+      await migrateDocument();
+    })().catch(error => {
+      initialized = null;
+      throw error;
+    });
+  }
+  return initialized;
+}
+
+/**
+ * Read the current metadata document
+ * @returns {Promise<Object>} A fresh copy of the store; changing it does not persist anything
+ */
+export async function readStore() {
+  await ensureStore();
+  return readDocument();
+}
+
+/**
+ * Apply a change to the metadata store atomically
+ * The mutator receives the latest document and may change it in place. If it throws, or
+ * leaves an image record with a problem against the schema it didn't have before, nothing
+ * is written.
+ * @param {Function} mutator - (db) => result, may be async
+ * Every write bumps db.revision (what backups compare); all but quiet ones also bump
+ * db.contentRevision (what the search index compares) and emit the change event.
+ * @param {Object} options - { validate: false to write records as they are, e.g. a restored backup;
+ *   quiet: true for writes search doesn't index (visitors' reactions) }
+ * @returns {Promise<*>} Whatever the mutator returned
+ * @throws {StoreValidationError} When an added or changed image record is malformed
+ */
+export async function updateStore(mutator, options) {
+  await ensureStore();
+  return transaction(mutator, options);
+}
+
+function transaction(mutator, { validate = true, quiet = false } = {}) {
+  let committed = null;
+  const run = writeQueue.then(async () => {
+    await acquireLock();
+    try {
+      const db = await readDocument();
+      // Only records the write touches are checked (see assertValidChanges)
+      const previous = validate ? new Map(db.images.map(image => [image.id, JSON.stringify(image)])) : null;
+      const result = await mutator(db);
+      if (validate) assertValidChanges(db, previous);
+      db.revision = (db.revision || 0) + 1;
+      if (!quiet) db.contentRevision = (db.contentRevision || 0) + 1;
+      await writeDocument(db);
+      committed = quiet ? null : db;
+      return result;
+    } finally {
+      await releaseLock();
+    }
+  });
+
+  // Notify listeners outside the lock; a failing listener must not fail the write
+  run.then(() => {
+    if (!committed) return;
+    try {
+      storeEvents.emit('change', committed);
+    } catch (error) {
+      console.error('Metadata store change listener failed:', error);
+    }
+  }, () => {});
+
+  // Keep the queue going even when this transaction fails
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Group image records by category: { josh: [], family: [], friends: [] }
+ * @param {Object[]} images - Image records
+ * @param {string[]} categories - Category slugs to include
+ * @returns {Object} Images keyed by category
+ */
+export function groupByCategory(images, categories) {
+  const grouped = {};
+  for (const category of categories) {
+    grouped[category] = [];
+  }
+  for (const image of images) {
+    if (grouped[image.category]) {
+      grouped[image.category].push(image);
+    }
+  }
+  return grouped;
+}
+
+/**
+ * Import a legacy images.json file ({ josh: [...], family: [...], friends: [...] })
+ * Records already in the store (same id, or same legacyId once migrated) are skipped, so
+ * importing twice is harmless. The array an image sits in wins over its category property,
+ * as it always has. Imported records go through the migrations.
+ * @param {string} legacyPath - Path to the legacy images.json
+ * @returns {Promise<Object>} { imported, skipped }
+ */
+export async function importLegacyImages(legacyPath) {
+  const legacy = JSON.parse(await readFile(legacyPath, 'utf-8'));
+  await mkdir(dirname(getStorePath()), { recursive: true });
+
+  return transaction(db => {
+    const knownIds = new Set(db.images.flatMap(image => [image.id, image.legacyId]).filter(Boolean));
+    let imported = 0;
+    let skipped = 0;
+
+    for (const [category, images] of Object.entries(legacy)) {
+      if (!Array.isArray(images)) continue;
+
+      // Keep arrays for categories the store doesn't know about yet
+      if (!db.categories.some(c => c.slug === category)) {
+        db.categories.push({
+          slug: category,
+          name: category.charAt(0).toUpperCase() + category.slice(1),
+          description: '',
+          coverImageId: null,
+          order: db.categories.length
+        });
+      }
+
+      for (const image of images) {
+        if (knownIds.has(String(image.id))) {
+          skipped++;
+          continue;
+        }
+        db.images.push({ ...image, category });
+        knownIds.add(String(image.id));
+        imported++;
+      }
+    }
+
+    // Every migration is safe to run again, so the store's own records are left as they are
+    migrateStore(db, { from: 1 });
+    return { imported, skipped };
+  }, { validate: false });
+}
@@ -0,0 +1,154 @@
+import { randomUUID } from 'crypto';
+import { getStorage, categoryFolder, STORAGE_ROOT } from './storage/index.js';
+import { readStore, updateStore } from './store.js';
+import { categorySlugs } from './categories.js';
+import { defineJob, enqueue } from './jobs.js';
+import { recordAudit } from './audit.js';
+
+/**
+ * Reconciliation with the storage provider
+ *
+ * Every file under the storage root is matched to the metadata store by publicId:
+ *
+ *   added      files in a category folder without a record get one, with an empty caption
+ *   missing    records whose file is gone are flagged with missingAt - never removed, so
+ *              an admin can look into it; a file that comes back clears the flag (restored)
+ *   orphaned   files no record points at that can't be added: outside any category folder
+ *              (e.g. a deleted category or an abandoned submission), or the same bytes as an
+ *              image already in the gallery (same etag, which is the MD5 of the content)
+ *
+ * Records that match are left exactly as they are - captions, order, edits and ids survive.
+ *
+ * Runs as the "sync-storage" background job (when the gallery is empty, or when an admin
+ * asks for one) and from `npm run sync-cloudinary`. A dry run reports the same diff without
+ * changing anything.
+ */
+
+// Image record for a file found in storage
+function toImageRecord(file, category) {
+  return {
+    id: randomUUID(),
+    url: file.url,
+    publicId: file.publicId,
+    category,
+    caption: '',
+    uploadedAt: file.createdAt ? new Date(file.createdAt).toISOString() : new Date().toISOString(),
+    width: file.width,
+    height: file.height,
+    format: file.format,
+    resourceType: file.resourceType || 'image',
+    ...(file.etag && { contentHash: file.etag }),
+    ...(file.duration && { duration: file.duration }),
+    status: 'published'
+  };
+}
+
+// Category whose folder holds a file directly, or null
+function folderCategory(publicId, categories) {
+  const folder = publicId.slice(0, publicId.lastIndexOf('/'));
+  return categories.find(category => categoryFolder(category) === folder) || null;
+}
+
+/**
+ * Compare the store with the files in storage, and apply the result when asked
+ * @param {Object} db - Metadata store document (changed in place when apply is true)
+ * @param {Object[]} files - StoredFiles under the storage root
+ * @param {Object} options - { apply }
+ * @returns {Object} { listed, added, missing, restored, orphaned, unchanged } - lists of
+ *   { id?, publicId, category?, caption?, url?, duplicateOf? }; unchanged is a count
+ */
+export function diffStorage(db, files, { apply = false } = {}) {
+  const categories = categorySlugs(db);
+  const remote = new Set(files.map(file => file.publicId));
+  const recorded = new Set(db.images.map(image => image.publicId).filter(Boolean));
+  // Guestbook photos are stored under the root too, but aren't gallery images
+  for (const entry of db.guestbook) {
+    if (entry.photo?.publicId) recorded.add(entry.photo.publicId);
+  }
+
+  const report = { listed: files.length, added: [], missing: [], restored: [], orphaned: [], unchanged: 0 };
+  const now = new Date().toISOString();
+
+  for (const image of db.images) {
+    if (!image.publicId) continue;
+    if (!remote.has(image.publicId)) {
+      report.missing.push({ id: image.id, publicId: image.publicId, category: image.category, caption: image.caption || '' });
+      if (apply && !image.missingAt) image.missingAt = now;
+    } else if (image.missingAt) {
+      report.restored.push({ id: image.id, publicId: image.publicId });
+      if (apply) delete image.missingAt;
+    } else {
+      report.unchanged++;
+    }
+  }
+
+  const hashes = new Map(db.images.filter(image => image.contentHash).map(image => [image.contentHash, image.id]));
+  for (const file of files) {
+    if (recorded.has(file.publicId)) continue;
+
+    const category = folderCategory(file.publicId, categories);
+    if (file.etag && hashes.has(file.etag)) {
+      report.orphaned.push({ publicId: file.publicId, url: file.url, duplicateOf: hashes.get(file.etag) });
+    } else if (!category) {
+      report.orphaned.push({ publicId: file.publicId, url: file.url });
+    } else {
+      const record = toImageRecord(file, category);
+      report.added.push({ id: record.id, publicId: file.publicId, category });
+      if (file.etag) hashes.set(file.etag, record.id);
+      if (apply) db.images.push(record);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Reconcile the metadata store with the storage provider
+ * A reconcile that is applied is written to the audit log.
+ * @param {Object} options - { dryRun, progress(done, total), actor (for the audit log) }
+ * @returns {Promise<Object>} The diff (see diffStorage), with dryRun
+ * @throws When the provider is not configured, can't be listed, or lists nothing while the
+ *   store has images (more likely a wrong configuration than every file being gone)
+ */
+export async function reconcileStorage({ dryRun = false, progress, actor = 'system' } = {}) {
+  const storage = getStorage();
+  if (!storage.isConfigured()) {
+    throw new Error(storage.notConfiguredMessage);
+  }
+
+  // List outside the store lock - this is slow. Providers list by prefix, which also
+  // matches e.g. "josh-farewell-old", so only files inside the root folder count.
+  progress?.(0, 1);
+  const files = (await storage.list(STORAGE_ROOT)).filter(file => file.publicId.startsWith(`${STORAGE_ROOT}/`));
+  console.log(`📁 Found ${files.length} files in ${STORAGE_ROOT}`);
+  progress?.(1, 1);
+
+  const reconcile = db => {
+    if (files.length === 0 && db.images.some(image => image.publicId)) {
+      throw new Error(`The ${storage.name} storage provider listed no files under ${STORAGE_ROOT} - check its configuration`);
+    }
+    return { dryRun, ...diffStorage(db, files, { apply: !dryRun }) };
+  };
+  if (dryRun) return reconcile(await readStore());
+
+  const report = await updateStore(reconcile);
+  const { added, missing, restored } = report;
+  if (added.length + missing.length + restored.length > 0) {
+    await recordAudit(actor, 'storage.reconcile', {
+      imageIds: [...added, ...missing, ...restored].map(item => item.id),
+      after: { added, missing, restored }
+    });
+  }
+  return report;
+}
+
+defineJob('sync-storage', (payload, { job, progress }) => reconcileStorage({ progress, actor: job.createdBy || 'system' }));
+
+/**
+ * Reconcile in the background, unless a reconcile is already waiting or running
+ * @param {string|null} createdBy - Username of the admin who asked for it
+ * @returns {Promise<Object>} The job
+ */
+export function queueSync(createdBy = null) {
+  return enqueue('sync-storage', {}, { createdBy, unique: true });
+}
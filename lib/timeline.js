@@ -0,0 +1,139 @@
+import { sortImages } from './query.js';
+
+/**
+ * Timeline
+ *
+ * Josh's life as a story: published media grouped by year, and within a year by the events
+ * admins define ({ id, name, startDate, endDate, description, imageIds }).
+ *
+ * An image belongs to an event when an admin attached it (imageIds), or when the date it was
+ * taken falls within the event's dates. Each image appears once: in the first event it was
+ * attached to, otherwise the first event covering its date, otherwise loose in its year.
+ * Images without a date taken can only be placed by attaching them to an event; the rest are
+ * listed as undated. Unlike the gallery's date sort (imageDate in lib/query.js), the timeline
+ * doesn't fall back to the upload date: that says when a photo was shared, not when it was
+ * taken, and would put a scanned childhood photo in the year of the farewell.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+
+/**
+ * Events in chronological order
+ * @param {Object} db - Metadata store document
+ * @returns {Object[]} Event records
+ */
+export function listEvents(db) {
+  return [...db.events].sort((a, b) =>
+    a.startDate.localeCompare(b.startDate) || a.endDate.localeCompare(b.endDate) || a.name.localeCompare(b.name)
+  );
+}
+
+/**
+ * Validate event fields from a request body
+ * @param {Object} body - { name, startDate, endDate?, description? }
+ * @param {Object} existing - Current event when updating (fields not in body are kept)
+ * @returns {Object} { fields } or { error }
+ */
+export function parseEventFields(body, existing = null) {
+  const fields = {};
+
+  if (body.name !== undefined || !existing) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return { error: `name is required and must be under ${MAX_NAME_LENGTH} characters` };
+    }
+    fields.name = name;
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'string' || !DATE_PATTERN.test(body[field]) || Number.isNaN(Date.parse(body[field]))) {
+      return { error: `${field} must be a date such as 1998-07-04` };
+    }
+    fields[field] = body[field];
+  }
+  if (!existing && !fields.startDate) {
+    return { error: 'startDate is required' };
+  }
+
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string' || body.description.length > MAX_DESCRIPTION_LENGTH) {
+      return { error: `description must be text under ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    fields.description = body.description;
+  }
+
+  // A new event without an end date lasts one day
+  const startDate = fields.startDate || existing.startDate;
+  const endDate = fields.endDate || existing?.endDate || startDate;
+  if (endDate < startDate) {
+    return { error: 'endDate must not be before startDate' };
+  }
+  if (!existing) fields.endDate = endDate;
+
+  return { fields };
+}
+
+// Whether an ISO date falls on or between two YYYY-MM-DD dates
+function withinDates(date, startDate, endDate) {
+  const day = date.slice(0, 10);
+  return day >= startDate && day <= endDate;
+}
+
+/**
+ * Build the timeline
+ * @param {Object} db - Metadata store document (for the events)
+ * @param {Object[]} images - Published images to place (already filtered)
+ * @returns {Object} { years: [{ year, events: [{ ...event, images }], images }], undated: [...] }
+ */
+export function buildTimeline(db, images) {
+  const events = listEvents(db).map(event => ({ ...event, images: [] }));
+  const byId = new Map(images.map(image => [image.id, image]));
+  const placed = new Set();
+
+  // Attached images first, in the order they were attached
+  for (const event of events) {
+    for (const id of event.imageIds) {
+      const image = byId.get(id);
+      if (image && !placed.has(id)) {
+        event.images.push(image);
+        placed.add(id);
+      }
+    }
+  }
+
+  const years = new Map();
+  const yearEntry = year => {
+    if (!years.has(year)) years.set(year, { year, events: [], images: [] });
+    return years.get(year);
+  };
+  const undated = [];
+
+  for (const image of sortImages(images, 'takenAt', 'asc')) {
+    if (placed.has(image.id)) continue;
+    // No fallback to uploadedAt here (see above); undated images stay in upload order
+    if (!image.takenAt) {
+      undated.push(image);
+      continue;
+    }
+
+    const event = events.find(event => withinDates(image.takenAt, event.startDate, event.endDate));
+    if (event) {
+      event.images.push(image);
+    } else {
+      yearEntry(Number(image.takenAt.slice(0, 4))).images.push(image);
+    }
+  }
+
+  // Events sit in the year they start; empty events are shown too, so admins can fill them
+  for (const { imageIds, ...event } of events) {
+    yearEntry(Number(event.startDate.slice(0, 4))).events.push({ ...event, imageCount: event.images.length });
+  }
+
+  return {
+    years: [...years.values()].sort((a, b) => a.year - b.year),
+    undated
+  };
+}
@@ -0,0 +1,161 @@
+import { getStorage } from './storage/index.js';
+import { readStore, updateStore } from './store.js';
+import { removeImageReferences } from './media.js';
+import { defineJob, enqueue } from './jobs.js';
+import { recordAudit } from './audit.js';
+
+/**
+ * Trash
+ *
+ * Deleting an image moves it to the trash instead of destroying it: its status becomes
+ * "trashed", with deletedAt, deletedBy and the status to restore (previousStatus). It
+ * disappears from the gallery, albums, timeline, search and archives, but its file and its
+ * place in albums and events, its reactions and comments are all kept, so a restore puts
+ * everything back.
+ *
+ * After TRASH_RETENTION_DAYS (default 30) the "purge-trash" background job deletes the file
+ * and the record for good. Nothing else deletes a gallery image's file.
+ */
+
+export const TRASHED = 'trashed';
+
+// How often the server looks for trash that is due to be purged
+const PURGE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+let retentionDays = null;
+
+/**
+ * Days trashed images are kept (TRASH_RETENTION_DAYS), read once
+ * A value that isn't a positive whole number is reported and the default is used, so a typo
+ * like "30d" can't break deleting and purging.
+ * @returns {number}
+ */
+export function trashRetentionDays() {
+  if (retentionDays !== null) return retentionDays;
+
+  const configured = process.env.TRASH_RETENTION_DAYS?.trim();
+  const days = Number(configured);
+  if (!configured) {
+    retentionDays = DEFAULT_RETENTION_DAYS;
+  } else if (Number.isInteger(days) && days > 0) {
+    retentionDays = days;
+  } else {
+    console.warn(`⚠️  TRASH_RETENTION_DAYS must be a positive whole number of days, not "${configured}" - keeping trash for ${DEFAULT_RETENTION_DAYS} days`);
+    retentionDays = DEFAULT_RETENTION_DAYS;
+  }
+  return retentionDays;
+}
+
+/**
+ * When a trashed image will be purged
+ * @param {Object} image - Trashed image record
+ * @returns {string} ISO date
+ */
+export function purgeDate(image) {
+  return new Date(Date.parse(image.deletedAt) + trashRetentionDays() * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function isDue(image, now = Date.now()) {
+  return image.status === TRASHED && Date.parse(purgeDate(image)) <= now;
+}
+
+/**
+ * Move an image to the trash
+ * @param {Object} db - Metadata store document (changed in place)
+ * @param {string} id - Image id
+ * @param {string} username - Who deleted it
+ * @returns {Object} { image } or { status, error }
+ */
+export function moveToTrash(db, id, username) {
+  const image = db.images.find(img => img.id === id);
+  if (!image) return { status: 404, error: 'Image not found' };
+  if (image.status === TRASHED) return { status: 409, error: 'The image is already in the trash' };
+
+  image.previousStatus = image.status || 'published';
+  image.status = TRASHED;
+  image.deletedAt = new Date().toISOString();
+  image.deletedBy = username;
+  return { image };
+}
+
+/**
+ * Take an image out of the trash, back to the status it had
+ * @param {Object} db - Metadata store document (changed in place)
+ * @param {string} id - Image id
+ * @returns {Object} { image } or { status, error }
+ */
+export function restoreFromTrash(db, id) {
+  const image = db.images.find(img => img.id === id && img.status === TRASHED);
+  if (!image) return { status: 404, error: 'Image not found in the trash' };
+
+  image.status = image.previousStatus || 'published';
+  delete image.previousStatus;
+  delete image.deletedAt;
+  delete image.deletedBy;
+  return { image };
+}
+
+defineJob('purge-trash', async () => {
+  const storage = getStorage();
+  if (!storage.isConfigured()) {
+    throw new Error(storage.notConfiguredMessage);
+  }
+
+  const due = (await readStore()).images.filter(image => isDue(image));
+  const destroyed = [];
+  const failed = [];
+  // Files first, outside the store lock; a file that can't be deleted keeps its record for the next run
+  for (const image of due) {
+    try {
+      if (image.publicId) await storage.destroy(image.publicId, { resourceType: image.resourceType });
+      destroyed.push(image.id);
+    } catch (error) {
+      console.error(`Failed to purge ${image.publicId}:`, error);
+      failed.push({ id: image.id, error: storage.describeError(error) });
+    }
+  }
+
+  const purged = await updateStore(db => {
+    const purged = [];
+    for (const id of destroyed) {
+      const image = db.images.find(img => img.id === id);
+      if (!image) continue;
+      if (image.status !== TRASHED) {
+        // Restored while its file was being deleted - keep the record, flagged like a file
+        // that went missing from storage
+        image.missingAt = new Date().toISOString();
+        continue;
+      }
+      db.images = db.images.filter(img => img.id !== id);
+      removeImageReferences(db, id);
+      purged.push(image);
+    }
+    return purged;
+  });
+  for (const image of purged) {
+    await recordAudit('system', 'image.purge', { imageIds: [image.id], before: image });
+  }
+
+  if (purged.length > 0) console.log(`🗑️  Purged ${purged.length} image(s) from the trash`);
+  return { purged: purged.map(image => image.id), failed };
+});
+
+async function queuePurgeIfDue() {
+  const db = await readStore();
+  if (db.images.some(image => isDue(image))) {
+    await enqueue('purge-trash', {}, { unique: true });
+  }
+}
+
+/**
+ * Purge expired trash now and then every hour (the server calls this once the job queue runs)
+ */
+export function schedulePurge() {
+  const check = () => queuePurgeIfDue().catch(error => {
+    console.error('Failed to check the trash:', error);
+  });
+  check();
+  setInterval(check, PURGE_CHECK_INTERVAL_MS).unref();
+}
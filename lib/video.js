@@ -0,0 +1,197 @@
+import { spawn } from 'child_process';
+import { mkdir, rm, stat, writeFile } from 'fs/promises';
+import { join } from 'path';
+
+/**
+ * Video processing with ffmpeg
+ *
+ * Cloudinary generates poster frames and streaming renditions on its side. For storage
+ * providers that only keep files (local disk), the "video" background job runs ffmpeg to
+ * produce the equivalents next to the video, in a "<file>.derived" folder:
+ *
+ *   poster.jpg                   frame from early in the video
+ *   360p.mp4, 720p.mp4           MP4 renditions (LOCAL_VIDEO_HEIGHTS, smaller than the original)
+ *   hls/master.m3u8              HLS playlist pointing at hls/<height>p/index.m3u8
+ *
+ * ffmpeg and ffprobe are looked up on the PATH (FFMPEG_PATH / FFPROBE_PATH override). Without
+ * them videos are still stored, just without poster, duration or renditions.
+ */
+
+export const DERIVED_SUFFIX = '.derived';
+export const POSTER_FILE = 'poster.jpg';
+export const HLS_PLAYLIST = 'hls/master.m3u8';
+
+// Largest side of the poster frame
+const POSTER_MAX_WIDTH = 1280;
+// Length of each HLS segment in seconds
+const HLS_SEGMENT_SECONDS = 6;
+
+let ffmpegMissing = false;
+
+function ffmpegPath() {
+  return process.env.FFMPEG_PATH?.trim() || 'ffmpeg';
+}
+
+function ffprobePath() {
+  return process.env.FFPROBE_PATH?.trim() || 'ffprobe';
+}
+
+// Heights of the renditions to produce (LOCAL_VIDEO_HEIGHTS, default "360,720")
+function renditionHeights() {
+  return (process.env.LOCAL_VIDEO_HEIGHTS || '360,720')
+    .split(',')
+    .map(Number)
+    .filter(height => Number.isInteger(height) && height > 0)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * File name of the MP4 rendition of a given height
+ * @param {number} height
+ * @returns {string}
+ */
+export function renditionFile(height) {
+  return `${height}p.mp4`;
+}
+
+// Run a command, resolving with its stdout; the error carries the end of stderr
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(new Error(`${command} exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+      }
+    });
+  });
+}
+
+/**
+ * Read a video's duration and dimensions
+ * @param {string} filePath
+ * @returns {Promise<Object>} { duration (seconds), width, height, hasAudio }
+ */
+export async function probeVideo(filePath) {
+  const output = await run(ffprobePath(), [
+    '-v', 'error',
+    '-show_entries', 'format=duration:stream=codec_type,width,height',
+    '-of', 'json',
+    filePath
+  ]);
+  const { format = {}, streams = [] } = JSON.parse(output);
+  const video = streams.find(stream => stream.codec_type === 'video') || {};
+
+  return {
+    duration: Math.round(Number(format.duration) * 100) / 100 || null,
+    width: video.width || null,
+    height: video.height || null,
+    hasAudio: streams.some(stream => stream.codec_type === 'audio')
+  };
+}
+
+// Encode one MP4 rendition, then cut it into HLS segments without re-encoding
+async function encodeRendition(source, dir, height, hasAudio) {
+  const mp4 = join(dir, renditionFile(height));
+  await run(ffmpegPath(), [
+    '-y', '-v', 'error',
+    '-i', source,
+    '-map', '0:v:0', ...(hasAudio ? ['-map', '0:a:0'] : []),
+    '-vf', `scale=-2:${height}`,
+    '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p',
+    ...(hasAudio ? ['-c:a', 'aac', '-b:a', '128k'] : []),
+    '-movflags', '+faststart',
+    mp4
+  ]);
+
+  const hlsDir = join(dir, 'hls', `${height}p`);
+  await mkdir(hlsDir, { recursive: true });
+  await run(ffmpegPath(), [
+    '-y', '-v', 'error',
+    '-i', mp4,
+    '-c', 'copy',
+    '-f', 'hls',
+    '-hls_time', String(HLS_SEGMENT_SECONDS),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', join(hlsDir, '%03d.ts'),
+    join(hlsDir, 'index.m3u8')
+  ]);
+
+  return (await stat(mp4)).size;
+}
+
+/**
+ * Produce the poster frame and streaming renditions of a stored video
+ * @param {string} filePath - The video
+ * @param {string} dir - Folder for the generated files (replaced if it exists)
+ * @returns {Promise<Object|null>} { duration, width, height, derived: { poster, heights } }
+ *   (derived is left out if encoding failed), or null when ffmpeg is not available
+ */
+export async function processVideo(filePath, dir) {
+  if (ffmpegMissing) return null;
+
+  let info;
+  try {
+    info = await probeVideo(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      ffmpegMissing = true;
+      console.warn('⚠️  ffprobe/ffmpeg not found - videos are stored without poster frames or streaming renditions. Install ffmpeg or set FFMPEG_PATH and FFPROBE_PATH.');
+      return null;
+    }
+    console.error(`Could not read video ${filePath}:`, error.message);
+    return null;
+  }
+
+  const { duration, width, height, hasAudio } = info;
+  const result = { duration, width, height };
+  if (!height) return result;
+
+  // Renditions smaller than the original; a small video gets one at its own size
+  let heights = renditionHeights().filter(target => target < height);
+  if (heights.length === 0) heights = [height - (height % 2)];
+
+  try {
+    await rm(dir, { recursive: true, force: true });
+    await mkdir(dir, { recursive: true });
+
+    await run(ffmpegPath(), [
+      '-y', '-v', 'error',
+      '-ss', String(Math.min(1, (duration || 0) / 2)),
+      '-i', filePath,
+      '-frames:v', '1',
+      '-vf', `scale='min(${POSTER_MAX_WIDTH},iw)':-2`,
+      '-q:v', '3',
+      join(dir, POSTER_FILE)
+    ]);
+
+    const variants = [];
+    for (const target of heights) {
+      const size = await encodeRendition(filePath, dir, target, hasAudio);
+      variants.push({
+        height: target,
+        width: Math.round((width * target) / height / 2) * 2,
+        bandwidth: duration ? Math.round((size * 8) / duration) : 0
+      });
+    }
+
+    const master = ['#EXTM3U', '#EXT-X-VERSION:3'];
+    for (const variant of variants) {
+      master.push(`#EXT-X-STREAM-INF:BANDWIDTH=${variant.bandwidth},RESOLUTION=${variant.width}x${variant.height}`);
+      master.push(`${variant.height}p/index.m3u8`);
+    }
+    await writeFile(join(dir, HLS_PLAYLIST), master.join('\n') + '\n');
+
+    return { ...result, derived: { poster: true, heights } };
+  } catch (error) {
+    console.error(`Could not process video ${filePath}:`, error.message);
+    await rm(dir, { recursive: true, force: true });
+    return result;
+  }
+}
@@ -0,0 +1,296 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { readStore, updateStore } from '../lib/store.js';
+import { requireRole } from '../lib/auth.js';
+import { validateImageIds } from '../lib/media.js';
+import { listAlbums, findAlbum, parseAlbumFields, toAlbumResponse, albumImages } from '../lib/albums.js';
+import { slugify } from '../lib/categories.js';
+import { limitArchives, sendArchive } from '../lib/archive.js';
+import { recordAudit, auditSnapshot } from '../lib/audit.js';
+
+const router = express.Router();
+
+// Checks that need the rest of the store: the cover must be in the album, share slugs are unique
+function checkAlbum(db, album) {
+  if (album.coverImageId && !album.imageIds.includes(album.coverImageId)) {
+    return { status: 400, error: 'Cover image must be an image in this album' };
+  }
+  if (album.shareSlug && db.albums.some(other => other.id !== album.id && other.shareSlug === album.shareSlug)) {
+    return { status: 409, error: `Share slug "${album.shareSlug}" is already used by another album` };
+  }
+  return null;
+}
+
+// Apply a change to one album inside a store transaction and answer with the result
+async function changeAlbum(req, res, action, auditAction, change) {
+  try {
+    const result = await updateStore(db => {
+      const album = findAlbum(db, { id: req.params.id });
+      if (!album) return { status: 404, error: 'Album not found' };
+      const before = auditSnapshot(album);
+
+      const updated = change(db, { ...album, imageIds: [...album.imageIds] });
+      if (updated.error) return updated;
+
+      const problem = checkAlbum(db, updated);
+      if (problem) return problem;
+
+      Object.assign(album, updated, { updatedAt: new Date().toISOString() });
+      return { before, after: auditSnapshot(album), album: toAlbumResponse(album, db, { withImages: true }) };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { before, after } = result;
+    await recordAudit(req, auditAction, {
+      // Images added to or removed from the album
+      imageIds: [
+        ...after.imageIds.filter(id => !before.imageIds.includes(id)),
+        ...before.imageIds.filter(id => !after.imageIds.includes(id))
+      ],
+      target: { type: 'album', id: after.id },
+      before,
+      after
+    });
+
+    res.json(result.album);
+  } catch (error) {
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({ error: `Failed ${action}` });
+  }
+}
+
+/**
+ * GET /api/albums
+ * List albums, newest first, with imageCount and coverUrl (public)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const db = await readStore();
+    res.json(listAlbums(db).map(album => toAlbumResponse(album, db)));
+  } catch (error) {
+    console.error('Error reading albums:', error);
+    res.status(500).json({ error: 'Failed to read albums' });
+  }
+});
+
+/**
+ * GET /api/albums/shared/:shareSlug
+ * Get an album with its images by share slug (public)
+ */
+router.get('/shared/:shareSlug', async (req, res) => {
+  try {
+    const db = await readStore();
+    const album = findAlbum(db, { shareSlug: req.params.shareSlug });
+
+    if (!album) {
+      return res.status(404).json({ error: 'Album not found' });
+    }
+
+    res.json(toAlbumResponse(album, db, { withImages: true }));
+  } catch (error) {
+    console.error('Error reading album:', error);
+    res.status(500).json({ error: 'Failed to read album' });
+  }
+});
+
+// Answer with a ZIP of an album's originals (or a job for a large album)
+async function archiveAlbum(req, res, lookup) {
+  try {
+    const db = await readStore();
+    const album = findAlbum(db, lookup);
+
+    if (!album) {
+      return res.status(404).json({ error: 'Album not found' });
+    }
+
+    await sendArchive(req, res, albumImages(album, db), slugify(album.name) || 'album');
+  } catch (error) {
+    console.error('Error archiving album:', error);
+    res.status(500).json({ error: 'Failed to build archive' });
+  }
+}
+
+/**
+ * GET /api/albums/shared/:shareSlug/archive
+ * Download an album's original files as a ZIP, by share slug (public)
+ * Same responses as GET /api/albums/:id/archive
+ */
+router.get('/shared/:shareSlug/archive', limitArchives, (req, res) => {
+  archiveAlbum(req, res, { shareSlug: req.params.shareSlug });
+});
+
+/**
+ * GET /api/albums/:id/archive
+ * Download an album's original files as a ZIP with a manifest, in album order (public)
+ * Large albums answer 202 with a background job instead - see GET /api/archives/:id
+ */
+router.get('/:id/archive', limitArchives, (req, res) => {
+  archiveAlbum(req, res, { id: req.params.id });
+});
+
+/**
+ * GET /api/albums/:id
+ * Get an album with its images in album order (public)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const db = await readStore();
+    const album = findAlbum(db, { id: req.params.id });
+
+    if (!album) {
+      return res.status(404).json({ error: 'Album not found' });
+    }
+
+    res.json(toAlbumResponse(album, db, { withImages: true }));
+  } catch (error) {
+    console.error('Error reading album:', error);
+    res.status(500).json({ error: 'Failed to read album' });
+  }
+});
+
+/**
+ * POST /api/albums
+ * Create an album (admin only)
+ * Body: { name, description?, coverImageId?, shareSlug?, imageIds? } - images from any category, in order
+ */
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const { fields, error } = parseAlbumFields(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await updateStore(db => {
+      const imageIds = req.body.imageIds || [];
+      const idsError = validateImageIds(db, imageIds);
+      if (idsError) return { status: 400, error: idsError };
+
+      const now = new Date().toISOString();
+      const album = {
+        id: randomUUID(),
+        description: '',
+        coverImageId: null,
+        shareSlug: null,
+        ...fields,
+        imageIds: [...new Set(imageIds)],
+        createdAt: now,
+        updatedAt: now
+      };
+
+      const problem = checkAlbum(db, album);
+      if (problem) return problem;
+
+      db.albums.push(album);
+      return { created: auditSnapshot(album), album: toAlbumResponse(album, db, { withImages: true }) };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordAudit(req, 'album.create', {
+      imageIds: result.created.imageIds,
+      target: { type: 'album', id: result.created.id },
+      after: result.created
+    });
+
+    res.status(201).json(result.album);
+  } catch (error) {
+    console.error('Error creating album:', error);
+    res.status(500).json({ error: 'Failed to create album' });
+  }
+});
+
+/**
+ * PATCH /api/albums/:id
+ * Update an album (admin only)
+ * Body: { name?, description?, coverImageId?, shareSlug? } - null clears the cover or share slug
+ */
+router.patch('/:id', requireRole('admin'), (req, res) => {
+  changeAlbum(req, res, 'to update album', 'album.update', (db, album) => {
+    const { fields, error } = parseAlbumFields(req.body || {}, album);
+    if (error) return { status: 400, error };
+    return { ...album, ...fields };
+  });
+});
+
+/**
+ * PUT /api/albums/:id/images
+ * Set the album's images and their order (admin only)
+ * Body: { ids: ["<image id>", ...] } - images left out are removed from the album (not deleted)
+ */
+router.put('/:id/images', requireRole('admin'), (req, res) => {
+  changeAlbum(req, res, 'to set album images', 'album.images', (db, album) => {
+    const { ids } = req.body || {};
+    const idsError = validateImageIds(db, ids);
+    if (idsError) return { status: 400, error: idsError };
+
+    const imageIds = [...new Set(ids)];
+    return {
+      ...album,
+      imageIds,
+      coverImageId: imageIds.includes(album.coverImageId) ? album.coverImageId : null
+    };
+  });
+});
+
+/**
+ * POST /api/albums/:id/images
+ * Add images to the end of an album (admin only)
+ * Body: { ids: ["<image id>", ...] } - images already in the album keep their place
+ */
+router.post('/:id/images', requireRole('admin'), (req, res) => {
+  changeAlbum(req, res, 'to add album images', 'album.images', (db, album) => {
+    const { ids } = req.body || {};
+    const idsError = validateImageIds(db, ids);
+    if (idsError) return { status: 400, error: idsError };
+
+    return { ...album, imageIds: [...new Set([...album.imageIds, ...ids])] };
+  });
+});
+
+/**
+ * DELETE /api/albums/:id/images/:imageId
+ * Remove an image from an album; the image itself is kept (admin only)
+ */
+router.delete('/:id/images/:imageId', requireRole('admin'), (req, res) => {
+  changeAlbum(req, res, 'to remove album image', 'album.images', (db, album) => {
+    const { imageId } = req.params;
+    if (!album.imageIds.includes(imageId)) {
+      return { status: 404, error: 'Image is not in this album' };
+    }
+
+    return {
+      ...album,
+      imageIds: album.imageIds.filter(id => id !== imageId),
+      coverImageId: album.coverImageId === imageId ? null : album.coverImageId
+    };
+  });
+});
+
+/**
+ * DELETE /api/albums/:id
+ * Delete an album; its images stay in the library (admin only)
+ */
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await updateStore(db => {
+      const album = db.albums.find(album => album.id === req.params.id);
+      db.albums = db.albums.filter(album => album.id !== req.params.id);
+      return album || null;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Album not found' });
+    }
+    await recordAudit(req, 'album.delete', { target: { type: 'album', id: deleted.id }, before: deleted });
+
+    res.json({ message: 'Album deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting album:', error);
+    res.status(500).json({ error: 'Failed to delete album' });
+  }
+});
+
+export default router;
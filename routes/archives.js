@@ -0,0 +1,51 @@
+import express from 'express';
+import { getArchiveJob, archiveFilePath, toJobResponse } from '../lib/archive.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/archives/:id
+ * Progress of an archive being built in the background (public - the id is the secret)
+ * Returns { id, name, status: building | ready | failed, total, done, downloadUrl, expiresAt, ... }
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await getArchiveJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Archive not found or expired' });
+    }
+
+    res.json(toJobResponse(job));
+  } catch (error) {
+    console.error('Error reading archive job:', error);
+    res.status(500).json({ error: 'Failed to read archive' });
+  }
+});
+
+/**
+ * GET /api/archives/:id/download
+ * Download a finished archive
+ */
+router.get('/:id/download', async (req, res) => {
+  try {
+    const job = await getArchiveJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Archive not found or expired' });
+    }
+    if (job.status !== 'ready') {
+      return res.status(409).json({ error: `The archive is not ready (${job.status})`, status: job.status });
+    }
+
+    res.download(archiveFilePath(job.id), `${job.name}.zip`, error => {
+      if (error && !res.headersSent) {
+        console.error('Error sending archive:', error);
+        res.status(404).json({ error: 'Archive not found or expired' });
+      }
+    });
+  } catch (error) {
+    console.error('Error reading archive job:', error);
+    res.status(500).json({ error: 'Failed to read archive' });
+  }
+});
+
+export default router;
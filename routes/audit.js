@@ -0,0 +1,54 @@
+import express from 'express';
+import { readStore } from '../lib/store.js';
+import { requireRole } from '../lib/auth.js';
+import { queryAudit } from '../lib/audit.js';
+
+const router = express.Router();
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// ISO timestamp for a ?from / ?to value; a bare date covers the whole day
+function parseDateFilter(value, endOfDay) {
+  if (value === undefined || value === '') return { date: undefined };
+  const text = String(value);
+  const time = Date.parse(DATE_ONLY.test(text) && endOfDay ? `${text}T23:59:59.999Z` : text);
+  if (Number.isNaN(time)) return { error: `Invalid date: ${text}` };
+  return { date: new Date(time).toISOString() };
+}
+
+/**
+ * GET /api/audit
+ * The audit log of changes, newest first (admin only)
+ * Query: ?imageId (its id or legacyId - entries from before the id changed are included), ?actor (username, "guest", "system" or "script:<name>"),
+ *   ?action ("image.update", or "image" for every image action), ?from, ?to (ISO dates or
+ *   YYYY-MM-DD, inclusive), ?limit (default 100, max 1000), ?cursor (nextCursor of the previous page)
+ * Returns { entries: [{ id, at, action, actor, ip, imageIds, target, before, after }], nextCursor }
+ */
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const { imageId, actor, action, cursor } = req.query;
+    const from = parseDateFilter(req.query.from, false);
+    const to = parseDateFilter(req.query.to, true);
+    if (from.error || to.error) {
+      return res.status(400).json({ error: from.error || to.error });
+    }
+    if (cursor !== undefined && !/^\d+$/.test(cursor)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+
+    // An image's history spans both of its ids
+    let imageIds;
+    if (imageId) {
+      const image = (await readStore()).images.find(img => img.id === imageId || img.legacyId === imageId);
+      imageIds = image ? [image.id, image.legacyId].filter(Boolean) : [imageId];
+    }
+
+    res.json(await queryAudit({ imageId: imageIds, actor, action, from: from.date, to: to.date, limit, cursor }));
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    res.status(500).json({ error: 'Failed to read audit log' });
+  }
+});
+
+export default router;
@@ -0,0 +1,228 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { updateStore, readStore } from '../lib/store.js';
+import {
+  ROLES,
+  SESSION_COOKIE,
+  authenticateUser,
+  hashPassword,
+  issueToken,
+  revokeTokens,
+  requireAuth,
+  requireRole,
+  setSessionCookie,
+  toPublicUser
+} from '../lib/auth.js';
+import { recordAudit } from '../lib/audit.js';
+import { rateLimit } from '../lib/spam.js';
+
+const router = express.Router();
+
+// Login attempts per IP address and username (LOGIN_RATE_LIMIT per LOGIN_RATE_WINDOW_MINUTES)
+const limitLogins = rateLimit({
+  max: () => Number(process.env.LOGIN_RATE_LIMIT || 10),
+  windowMs: () => Number(process.env.LOGIN_RATE_WINDOW_MINUTES || 15) * 60 * 1000,
+  message: 'Too many login attempts. Please try again later.',
+  key: req => `${req.ip}:${String(req.body?.username || '').toLowerCase()}`
+});
+
+/**
+ * POST /api/auth/login
+ * Log in with username and password
+ * Returns a bearer token and also sets the session cookie (used by the admin page)
+ */
+router.post('/login', limitLogins, async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const user = await authenticateUser(String(username), String(password));
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    const { token, expiresAt } = issueToken(user);
+    setSessionCookie(req, res, token);
+
+    res.json({ token, expiresAt, user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Clear the session cookie and revoke the user's tokens, so a copied token stops working too
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    if (req.user) {
+      await updateStore(db => {
+        const user = db.users.find(u => u.id === req.user.id);
+        if (user) revokeTokens(user);
+      });
+    }
+
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the logged-in user
+ */
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+/**
+ * GET /api/auth/users
+ * List users (admin only)
+ */
+router.get('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const db = await readStore();
+    res.json(db.users.map(toPublicUser));
+  } catch (error) {
+    console.error('Error reading users:', error);
+    res.status(500).json({ error: 'Failed to read users' });
+  }
+});
+
+/**
+ * POST /api/auth/users
+ * Create a user (admin only)
+ * Body: { username, password, role: "admin" | "contributor" }
+ */
+router.post('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password, role = 'contributor' } = req.body || {};
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Must be: ${ROLES.join(' or ')}` });
+    }
+
+    const passwordHash = await hashPassword(String(password));
+    const user = await updateStore(db => {
+      if (db.users.some(u => u.username === username)) {
+        return null;
+      }
+      const user = {
+        id: randomUUID(),
+        username: String(username),
+        role,
+        passwordHash,
+        createdAt: new Date().toISOString()
+      };
+      db.users.push(user);
+      return user;
+    });
+
+    if (!user) {
+      return res.status(409).json({ error: 'Username already exists' });
+    }
+    await recordAudit(req, 'user.create', { target: { type: 'user', id: user.id }, after: toPublicUser(user) });
+
+    res.status(201).json({ user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+/**
+ * PATCH /api/auth/users/:id
+ * Change a user's role or password (admin only)
+ * A new password logs the user out everywhere.
+ * Body: { role?, password? }
+ */
+router.patch('/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, password } = req.body || {};
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Must be: ${ROLES.join(' or ')}` });
+    }
+
+    const passwordHash = password ? await hashPassword(String(password)) : null;
+    const result = await updateStore(db => {
+      const user = db.users.find(u => u.id === id);
+      if (!user) return { status: 404, error: 'User not found' };
+
+      // Never leave the site without an admin
+      const otherAdmins = db.users.filter(u => u.role === 'admin' && u.id !== id);
+      if (role && role !== 'admin' && user.role === 'admin' && otherAdmins.length === 0) {
+        return { status: 400, error: 'Cannot demote the last admin' };
+      }
+
+      const before = toPublicUser(user);
+      if (role) user.role = role;
+      if (passwordHash) {
+        user.passwordHash = passwordHash;
+        revokeTokens(user);
+      }
+      return { before, user };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordAudit(req, 'user.update', {
+      target: { type: 'user', id },
+      before: result.before,
+      // The password itself is never logged, only that it changed
+      after: { ...toPublicUser(result.user), ...(passwordHash && { passwordChanged: true }) }
+    });
+
+    res.json({ user: toPublicUser(result.user) });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+/**
+ * DELETE /api/auth/users/:id
+ * Delete a user (admin only)
+ */
+router.delete('/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await updateStore(db => {
+      const user = db.users.find(u => u.id === id);
+      if (!user) return { status: 404, error: 'User not found' };
+
+      if (user.role === 'admin' && !db.users.some(u => u.role === 'admin' && u.id !== id)) {
+        return { status: 400, error: 'Cannot delete the last admin' };
+      }
+
+      db.users = db.users.filter(u => u.id !== id);
+      return { user };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordAudit(req, 'user.delete', { target: { type: 'user', id }, before: toPublicUser(result.user) });
+
+    res.json({ message: 'User deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+export default router;
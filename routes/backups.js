@@ -0,0 +1,143 @@
+import express from 'express';
+import archiver from 'archiver';
+import { join } from 'path';
+import { requireRole } from '../lib/auth.js';
+import {
+  backupIntervalHours,
+  backupKeep,
+  createBackup,
+  deleteBackup,
+  listBackups,
+  queueBackup,
+  readBackup,
+  restoreBackup,
+  validateBackup
+} from '../lib/backup.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/backups
+ * Backups of the metadata store, newest first (admin only)
+ * Returns { backups: [{ id, kind, createdAt, createdBy, revision, counts, media }], intervalHours, keep }
+ */
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ backups: await listBackups(), intervalHours: backupIntervalHours(), keep: backupKeep() });
+  } catch (error) {
+    console.error('Error listing backups:', error);
+    res.status(500).json({ error: 'Failed to list backups' });
+  }
+});
+
+/**
+ * POST /api/backups
+ * Take a backup now (admin only)
+ * Body: { media?: true } - also copy every original file, which runs as a background job
+ * Returns 201 with the backup, or 202 with the job (see GET /api/jobs/:id) when media is included
+ */
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    if (req.body?.media === true) {
+      return res.status(202).json(await queueBackup({ media: true, createdBy: req.user.username }));
+    }
+    res.status(201).json(await createBackup({ createdBy: req.user.username }));
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    res.status(500).json({ error: 'Failed to create backup' });
+  }
+});
+
+/**
+ * GET /api/backups/:id
+ * One backup with its media manifest (admin only)
+ */
+router.get('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const backup = await readBackup(req.params.id);
+    if (!backup) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+    const { store: _store, dir: _dir, ...summary } = backup;
+    res.json(summary);
+  } catch (error) {
+    console.error('Error reading backup:', error);
+    res.status(500).json({ error: 'Failed to read backup' });
+  }
+});
+
+/**
+ * GET /api/backups/:id/download
+ * Download a backup to keep it somewhere else (admin only): backup.json, or a ZIP with
+ * backup.json and media/ when the backup includes the media files
+ * The backup holds password hashes - keep it private.
+ */
+router.get('/:id/download', requireRole('admin'), async (req, res) => {
+  try {
+    const backup = await readBackup(req.params.id);
+    if (!backup) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    if (!backup.media?.included) {
+      return res.download(join(backup.dir, 'backup.json'), `${backup.id}.json`);
+    }
+
+    res.attachment(`${backup.id}.zip`);
+    const archive = archiver('zip', { store: true });
+    archive.on('error', error => {
+      console.error('Error streaming backup:', error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+    archive.directory(backup.dir, false);
+    await archive.finalize();
+  } catch (error) {
+    console.error('Error downloading backup:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to download backup' });
+  }
+});
+
+/**
+ * POST /api/backups/:id/restore
+ * Replace the metadata store with a backup (admin only)
+ * The backup is validated first; a "pre-restore" backup of the current store is taken so the
+ * restore can be undone. Media files are not uploaded again - see `npm run restore -- --media`.
+ * Returns { restored, counts, safetyBackup }, or 400 with { error, problems } for an invalid backup
+ */
+router.post('/:id/restore', requireRole('admin'), async (req, res) => {
+  try {
+    const backup = await readBackup(req.params.id);
+    if (!backup) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    const problems = validateBackup(backup);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'The backup is not valid', problems });
+    }
+
+    res.json(await restoreBackup(backup, { actor: req.user.username }));
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    res.status(500).json({ error: 'Failed to restore backup' });
+  }
+});
+
+/**
+ * DELETE /api/backups/:id
+ * Delete a backup (admin only)
+ */
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!await deleteBackup(req.params.id)) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+    res.json({ message: 'Backup deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting backup:', error);
+    res.status(500).json({ error: 'Failed to delete backup' });
+  }
+});
+
+export default router;
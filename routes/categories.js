@@ -0,0 +1,397 @@
+import express from 'express';
+import { posix } from 'path';
+import { getStorage, categoryFolder } from '../lib/storage/index.js';
+import { readStore, updateStore } from '../lib/store.js';
+import { requireRole } from '../lib/auth.js';
+import { isPublished, moveToFolder, PENDING_FOLDER } from '../lib/media.js';
+import { listCategories, isCategory, validateSlug, slugify } from '../lib/categories.js';
+import { recordAudit, auditSnapshot } from '../lib/audit.js';
+import { StoreValidationError } from '../lib/schema.js';
+
+const router = express.Router();
+
+// Category as returned by the API: stored fields plus image count and cover URL
+function toCategoryResponse(category, db) {
+  const images = db.images.filter(image => image.category === category.slug && isPublished(image));
+  const cover = images.find(image => image.id === category.coverImageId);
+
+  return {
+    ...category,
+    imageCount: images.length,
+    coverUrl: cover ? (cover.thumbnail || cover.url) : (images[0]?.thumbnail || images[0]?.url || null)
+  };
+}
+
+// Images of a category whose file is in its folder (pending submissions stay in the pending folder)
+function imagesWithFiles(db, slug) {
+  return db.images.filter(image => (
+    image.category === slug && image.publicId && !image.publicId.startsWith(`${PENDING_FOLDER}/`)
+  ));
+}
+
+/**
+ * Move image files to another folder
+ * Runs outside the store lock because it talks to the storage provider.
+ * @returns {Promise<Object>} { moved: Map<id, { from, url, publicId }>, failed: [{ id, error }], undo }
+ *   undo() moves the files back, for when the change can't be saved after all
+ */
+async function moveFiles(images, folder) {
+  const moved = new Map();
+  const failed = [];
+
+  for (const image of images) {
+    try {
+      const { url, publicId } = await moveToFolder(image, folder);
+      moved.set(image.id, { from: image.publicId, url, publicId });
+    } catch (error) {
+      console.error(`Failed to move ${image.publicId} to ${folder}:`, error.message);
+      failed.push({ id: image.id, error: getStorage().describeError(error) });
+    }
+  }
+
+  async function undo() {
+    for (const [id, { from, publicId }] of moved) {
+      const image = images.find(image => image.id === id);
+      await moveToFolder({ ...image, publicId }, posix.dirname(from)).catch(error => {
+        console.error(`Failed to move ${publicId} back to ${from}:`, error.message);
+      });
+    }
+  }
+
+  return { moved, failed, undo };
+}
+
+// The record pointing at its file's new location, unless the record changed files meanwhile
+function withMovedFile(image, move) {
+  return move && image.publicId === move.from ? { ...image, url: move.url, publicId: move.publicId } : image;
+}
+
+// Re-point every image in a category at another one, applying moved file locations
+// Returns the ids of images whose file still has to move: ones that arrived after the files were moved
+function reassignImages(db, fromSlug, toSlug, { moved, failed }) {
+  const handled = new Set([...moved.keys(), ...failed.map(({ id }) => id)]);
+  const late = imagesWithFiles(db, fromSlug).filter(image => !handled.has(image.id)).map(image => image.id);
+  db.images = db.images.map(image => {
+    if (image.category !== fromSlug) return image;
+    return { ...withMovedFile(image, moved.get(image.id)), category: toSlug };
+  });
+  return late;
+}
+
+// Move the files of images that joined a category while its files were being moved (e.g. an
+// upload during a rename); the store already has them in the new category
+// Returns [{ id, error }] for files that could not be moved
+async function moveLateFiles(ids, slug) {
+  if (ids.length === 0) return [];
+  const db = await readStore();
+  const { moved, failed, undo } = await moveFiles(
+    imagesWithFiles(db, slug).filter(image => ids.includes(image.id)),
+    categoryFolder(slug)
+  );
+
+  try {
+    await updateStore(db => {
+      db.images = db.images.map(image => withMovedFile(image, moved.get(image.id)));
+    });
+  } catch (error) {
+    await undo();
+    throw error;
+  }
+  return failed;
+}
+
+/**
+ * GET /api/categories
+ * List categories in display order (public)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const db = await readStore();
+    res.json(listCategories(db).map(category => toCategoryResponse(category, db)));
+  } catch (error) {
+    console.error('Error reading categories:', error);
+    res.status(500).json({ error: 'Failed to read categories' });
+  }
+});
+
+/**
+ * POST /api/categories
+ * Create a category (admin only)
+ * Body: { name, slug?, description?, coverImageId? } - slug defaults to the slugified name
+ */
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, description = '', coverImageId = null } = req.body || {};
+    const slug = req.body?.slug || slugify(name || '');
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Category name is required' });
+    }
+    const slugError = validateSlug(slug);
+    if (slugError) {
+      return res.status(400).json({ error: slugError });
+    }
+
+    const result = await updateStore(db => {
+      if (isCategory(db, slug)) {
+        return { status: 409, error: `Category "${slug}" already exists` };
+      }
+      if (coverImageId && !db.images.some(image => image.id === coverImageId)) {
+        return { status: 400, error: 'Cover image not found' };
+      }
+
+      const category = {
+        slug,
+        name: String(name).trim(),
+        description: String(description),
+        coverImageId,
+        order: Math.max(-1, ...db.categories.map(c => c.order)) + 1
+      };
+      db.categories.push(category);
+      return { category: toCategoryResponse(category, db) };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordAudit(req, 'category.create', { target: { type: 'category', id: slug }, after: result.category });
+
+    res.status(201).json(result.category);
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(500).json({ error: 'Failed to create category' });
+  }
+});
+
+/**
+ * PUT /api/categories/order
+ * Reorder categories (admin only)
+ * Body: { slugs: ["family", "josh", ...] } - every existing slug, in the new order
+ */
+router.put('/order', requireRole('admin'), async (req, res) => {
+  try {
+    const { slugs } = req.body || {};
+
+    if (!Array.isArray(slugs)) {
+      return res.status(400).json({ error: 'slugs must be an array of category slugs' });
+    }
+
+    const result = await updateStore(db => {
+      const existing = db.categories.map(c => c.slug).sort();
+      if (new Set(slugs).size !== slugs.length || [...slugs].sort().join() !== existing.join()) {
+        return { status: 400, error: `slugs must list every category exactly once: ${existing.join(', ')}` };
+      }
+
+      const before = listCategories(db).map(category => category.slug);
+      for (const category of db.categories) {
+        category.order = slugs.indexOf(category.slug);
+      }
+      return { before, categories: listCategories(db).map(category => toCategoryResponse(category, db)) };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordAudit(req, 'category.reorder', { before: { order: result.before }, after: { order: slugs } });
+
+    res.json(result.categories);
+  } catch (error) {
+    console.error('Error reordering categories:', error);
+    res.status(500).json({ error: 'Failed to reorder categories' });
+  }
+});
+
+/**
+ * PATCH /api/categories/:slug
+ * Update a category (admin only)
+ * Body: { name?, description?, coverImageId?, slug? }
+ * Changing the slug renames the category: every image file is moved to the new storage folder
+ */
+router.patch('/:slug', requireRole('admin'), async (req, res) => {
+  const storage = getStorage();
+
+  try {
+    const { slug } = req.params;
+    const { name, description, coverImageId } = req.body || {};
+    const newSlug = req.body?.slug;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: 'Category name cannot be empty' });
+    }
+
+    const db = await readStore();
+    if (!isCategory(db, slug)) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    if (coverImageId && !db.images.some(image => image.id === coverImageId && image.category === slug)) {
+      return res.status(400).json({ error: 'Cover image must be an image in this category' });
+    }
+
+    const renaming = newSlug !== undefined && newSlug !== slug;
+    let moveResult = { moved: new Map(), failed: [] };
+
+    if (renaming) {
+      const slugError = validateSlug(newSlug);
+      if (slugError) {
+        return res.status(400).json({ error: slugError });
+      }
+      if (isCategory(db, newSlug)) {
+        return res.status(409).json({ error: `Category "${newSlug}" already exists` });
+      }
+      if (!storage.isConfigured()) {
+        return res.status(500).json({ error: storage.notConfiguredMessage });
+      }
+      moveResult = await moveFiles(imagesWithFiles(db, slug), categoryFolder(newSlug));
+    }
+
+    // Checked again under the lock: another request may have renamed or deleted a category meanwhile
+    let result;
+    try {
+      result = await updateStore(db => {
+        const category = db.categories.find(c => c.slug === slug);
+        if (!category) return { status: 404, error: 'Category not found' };
+        if (renaming && isCategory(db, newSlug)) {
+          return { status: 409, error: `Category "${newSlug}" already exists` };
+        }
+
+        const before = auditSnapshot(category);
+        const imageIds = renaming ? db.images.filter(image => image.category === slug).map(image => image.id) : [];
+        if (name !== undefined) category.name = String(name).trim();
+        if (description !== undefined) category.description = String(description);
+        if (coverImageId !== undefined) category.coverImageId = coverImageId || null;
+
+        let late = [];
+        if (renaming) {
+          category.slug = newSlug;
+          late = reassignImages(db, slug, newSlug, moveResult);
+        }
+        return { before, imageIds, late, category: toCategoryResponse(category, db) };
+      });
+    } catch (error) {
+      await moveResult.undo?.();
+      throw error;
+    }
+
+    if (result.error) {
+      await moveResult.undo?.();
+      return res.status(result.status).json({ error: result.error });
+    }
+    if (result.late.length > 0) {
+      moveResult.failed.push(...await moveLateFiles(result.late, newSlug));
+    }
+    const { before, imageIds, category } = result;
+    await recordAudit(req, 'category.update', {
+      imageIds,
+      target: { type: 'category', id: slug },
+      before,
+      after: { ...category, ...(renaming && { failedMoves: moveResult.failed }) }
+    });
+
+    res.json({
+      ...category,
+      ...(renaming && { movedFiles: moveResult.moved.size, failedMoves: moveResult.failed })
+    });
+  } catch (error) {
+    if (error instanceof StoreValidationError) {
+      return res.status(400).json({ error: error.message, problems: error.problems });
+    }
+    console.error('Error updating category:', error);
+    res.status(500).json({ error: storage.describeError(error) || 'Failed to update category' });
+  }
+});
+
+/**
+ * DELETE /api/categories/:slug
+ * Delete a category (admin only)
+ * A category that still has images needs ?moveTo=<slug>; its images are moved there first
+ */
+router.delete('/:slug', requireRole('admin'), async (req, res) => {
+  const storage = getStorage();
+
+  try {
+    const { slug } = req.params;
+    const { moveTo } = req.query;
+
+    const db = await readStore();
+    if (!isCategory(db, slug)) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const imageCount = db.images.filter(image => image.category === slug).length;
+    let moveResult = { moved: new Map(), failed: [] };
+
+    if (imageCount > 0) {
+      if (!moveTo) {
+        return res.status(409).json({
+          error: `Category "${slug}" still has ${imageCount} images. Pass ?moveTo=<category> to move them first.`
+        });
+      }
+      if (moveTo === slug || !isCategory(db, moveTo)) {
+        return res.status(400).json({ error: 'moveTo must be another existing category' });
+      }
+      if (!storage.isConfigured()) {
+        return res.status(500).json({ error: storage.notConfiguredMessage });
+      }
+      moveResult = await moveFiles(imagesWithFiles(db, slug), categoryFolder(moveTo));
+    }
+
+    // Checked again under the lock: another request may have renamed or deleted a category meanwhile
+    let result;
+    try {
+      result = await updateStore(db => {
+        if (!isCategory(db, slug)) return { status: 404, error: 'Category not found' };
+        const before = auditSnapshot(db.categories.find(c => c.slug === slug));
+        const imageIds = db.images.filter(image => image.category === slug).map(image => image.id);
+
+        let late = [];
+        if (imageIds.length > 0) {
+          if (!moveTo) {
+            // An upload landed while we were checking
+            return { status: 409, error: `Category "${slug}" is no longer empty. Pass ?moveTo=<category> to move its images first.` };
+          }
+          if (moveTo === slug || !isCategory(db, moveTo)) {
+            return { status: 409, error: `Category "${moveTo}" no longer exists. Nothing was deleted.` };
+          }
+          late = reassignImages(db, slug, moveTo, moveResult);
+        }
+        db.categories = db.categories.filter(c => c.slug !== slug);
+        // Close the gap in the display order
+        listCategories(db).forEach((category, index) => {
+          category.order = index;
+        });
+        return { before, imageIds, late };
+      });
+    } catch (error) {
+      await moveResult.undo?.();
+      throw error;
+    }
+
+    if (result.error) {
+      await moveResult.undo?.();
+      return res.status(result.status).json({ error: result.error });
+    }
+    if (result.late.length > 0) {
+      moveResult.failed.push(...await moveLateFiles(result.late, moveTo));
+    }
+    await recordAudit(req, 'category.delete', {
+      imageIds: result.imageIds,
+      target: { type: 'category', id: slug },
+      before: result.before,
+      after: moveTo ? { movedTo: moveTo, failedMoves: moveResult.failed } : null
+    });
+
+    res.json({
+      message: 'Category deleted successfully',
+      movedImages: result.imageIds.length,
+      failedMoves: moveResult.failed
+    });
+  } catch (error) {
+    if (error instanceof StoreValidationError) {
+      return res.status(400).json({ error: error.message, problems: error.problems });
+    }
+    console.error('Error deleting category:', error);
+    res.status(500).json({ error: storage.describeError(error) || 'Failed to delete category' });
+  }
+});
+
+export default router;
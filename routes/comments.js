@@ -0,0 +1,165 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { readStore, updateStore } from '../lib/store.js';
+import { requireRole } from '../lib/auth.js';
+import { isPublished } from '../lib/media.js';
+import { rateLimit, honeypot } from '../lib/spam.js';
+import { parseModeration, setHidden } from '../lib/moderation.js';
+import { recordAudit, auditSnapshot } from '../lib/audit.js';
+import {
+  parseCommentFields,
+  toPublicComment,
+  buildThreads,
+  countComments,
+  commentSubtree
+} from '../lib/interactions.js';
+
+// Mounted at /api/images/:id/comments
+const router = express.Router({ mergeParams: true });
+
+// Comments one visitor can post per window (COMMENT_RATE_LIMIT per hour)
+const limitComments = rateLimit({
+  max: () => Number(process.env.COMMENT_RATE_LIMIT || 10),
+  windowMs: () => 60 * 60 * 1000,
+  message: 'You have posted several comments in a short time. Please try again later.'
+});
+
+const findImage = (db, id) => db.images.find(image => image.id === id && isPublished(image));
+
+const commentsOn = (db, imageId) => db.comments.filter(comment => comment.imageId === imageId);
+
+/**
+ * GET /api/images/:id/comments
+ * Comments on an image as threads, oldest first (public)
+ * Returns { total, comments: [{ id, parentId, name, message, createdAt, replies: [...] }] }
+ * Admins can add ?include=hidden to also get hidden comments, with moderation details
+ */
+router.get('/', async (req, res) => {
+  try {
+    const db = await readStore();
+    if (!findImage(db, req.params.id)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const includeHidden = req.user?.role === 'admin' && req.query.include === 'hidden';
+    const threads = buildThreads(commentsOn(db, req.params.id), { includeHidden });
+
+    res.json({ total: countComments(threads), comments: threads });
+  } catch (error) {
+    console.error('Error reading comments:', error);
+    res.status(500).json({ error: 'Failed to read comments' });
+  }
+});
+
+/**
+ * POST /api/images/:id/comments
+ * Comment on an image, or reply to a comment (public)
+ * Body: { name, message, parentId? }
+ */
+router.post('/', limitComments, honeypot({ message: 'Thank you for your comment.' }), async (req, res) => {
+  try {
+    const { fields, error } = parseCommentFields(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await updateStore(db => {
+      if (!findImage(db, req.params.id)) return { status: 404, error: 'Image not found' };
+
+      if (fields.parentId) {
+        const parent = db.comments.find(c => c.id === fields.parentId && c.imageId === req.params.id);
+        if (!parent || parent.hidden) return { status: 400, error: 'The comment you are replying to was not found' };
+      }
+
+      const comment = {
+        id: randomUUID(),
+        imageId: req.params.id,
+        ...fields,
+        hidden: false,
+        createdAt: new Date().toISOString()
+      };
+      db.comments.push(comment);
+      return { comment };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({ message: 'Thank you for your comment.', comment: toPublicComment(result.comment) });
+  } catch (error) {
+    console.error('Error adding comment:', error);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+/**
+ * PATCH /api/images/:id/comments/:commentId
+ * Hide a comment (and the replies under it) from visitors, or show it again (admin only)
+ * Body: { hidden: true | false, reason? }
+ */
+router.patch('/:commentId', requireRole('admin'), async (req, res) => {
+  try {
+    const moderation = parseModeration(req.body);
+    if (moderation.error) {
+      return res.status(400).json({ error: moderation.error });
+    }
+
+    const updated = await updateStore(db => {
+      const comment = db.comments.find(c => c.id === req.params.commentId && c.imageId === req.params.id);
+      if (!comment) return null;
+
+      const before = auditSnapshot(comment);
+      setHidden(comment, moderation, req.user.username);
+      return { before, comment };
+    });
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    await recordAudit(req, 'comment.update', {
+      imageIds: [req.params.id],
+      target: { type: 'comment', id: updated.comment.id },
+      before: updated.before,
+      after: updated.comment
+    });
+
+    res.json(updated.comment);
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(500).json({ error: 'Failed to update comment' });
+  }
+});
+
+/**
+ * DELETE /api/images/:id/comments/:commentId
+ * Delete a comment and the replies under it (admin only)
+ */
+router.delete('/:commentId', requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await updateStore(db => {
+      const comments = commentsOn(db, req.params.id);
+      if (!comments.some(c => c.id === req.params.commentId)) return [];
+
+      const ids = commentSubtree(comments, req.params.commentId);
+      db.comments = db.comments.filter(c => !ids.has(c.id));
+      return comments.filter(c => ids.has(c.id));
+    });
+
+    if (!deleted.length) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    await recordAudit(req, 'comment.delete', {
+      imageIds: [req.params.id],
+      target: { type: 'comment', id: req.params.commentId },
+      before: deleted
+    });
+
+    res.json({ message: 'Comment deleted successfully', deleted: deleted.length });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
+export default router;
@@ -0,0 +1,187 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { getStorage } from '../lib/storage/index.js';
+import { readStore, updateStore } from '../lib/store.js';
+import { requireRole } from '../lib/auth.js';
+import { acceptUploads, getUploadedFiles, getRejectedFiles, storeFiles, destroyStoredFiles } from '../lib/media.js';
+import { rateLimit, honeypot } from '../lib/spam.js';
+import { parseModeration, setHidden } from '../lib/moderation.js';
+import { recordAudit, auditSnapshot } from '../lib/audit.js';
+import {
+  GUESTBOOK_FOLDER,
+  parseEntryFields,
+  parseGuestbookQuery,
+  paginateEntries,
+  toPublicEntry
+} from '../lib/guestbook.js';
+
+const router = express.Router();
+
+// Messages one visitor can post per window (GUESTBOOK_RATE_LIMIT per GUESTBOOK_RATE_WINDOW_MINUTES)
+const limitPosts = rateLimit({
+  max: () => Number(process.env.GUESTBOOK_RATE_LIMIT || 5),
+  windowMs: () => Number(process.env.GUESTBOOK_RATE_WINDOW_MINUTES || 60) * 60 * 1000,
+  message: 'You have posted several messages in a short time. Please try again later.'
+});
+
+const isPhoto = file => file.mimetype.startsWith('image/') || /\.(heic|heif)$/i.test(file.originalname);
+
+/**
+ * GET /api/guestbook
+ * List messages, newest first (public)
+ * Query: ?limit=20 &cursor=... - returns { items, nextCursor, total }
+ * Admins can add ?include=hidden to also get hidden messages, with moderation details
+ */
+router.get('/', async (req, res) => {
+  const { options, error } = parseGuestbookQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const db = await readStore();
+    const moderating = req.user?.role === 'admin' && req.query.include === 'hidden';
+    const entries = moderating ? db.guestbook : db.guestbook.filter(entry => !entry.hidden);
+    const page = paginateEntries(entries, options);
+
+    res.json({ ...page, items: moderating ? page.items : page.items.map(toPublicEntry) });
+  } catch (error) {
+    console.error('Error reading guestbook:', error);
+    res.status(500).json({ error: 'Failed to read guestbook' });
+  }
+});
+
+/**
+ * POST /api/guestbook
+ * Public: leave a message, optionally with a photo
+ *
+ * Body (JSON, or multipart/form-data to attach a photo):
+ * - name: who is writing (required)
+ * - relationship: e.g. "neighbour", "college roommate" (optional)
+ * - message: the tribute (required)
+ * - photo / file: one image (optional)
+ */
+router.post('/', limitPosts, acceptUploads(), honeypot({ message: 'Thank you for your message.' }), async (req, res) => {
+  try {
+    const { fields, error } = parseEntryFields(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const files = getUploadedFiles(req, ['photo', 'file']);
+    if (files.length > 1) {
+      return res.status(400).json({ error: 'Please attach at most one photo' });
+    }
+    if (getRejectedFiles(req, ['photo', 'file']).length > 0 || (files.length === 1 && !isPhoto(files[0]))) {
+      return res.status(400).json({ error: 'Only photos can be attached to a message' });
+    }
+
+    let photo = null;
+    if (files.length === 1) {
+      const storage = getStorage();
+      if (!storage.isConfigured()) {
+        return res.status(500).json({ error: storage.notConfiguredMessage });
+      }
+
+      const [result] = await storeFiles(files, { folder: GUESTBOOK_FOLDER, category: null });
+      if (result.error) {
+        return res.status(500).json({ error: 'Your photo could not be uploaded. Please try again.' });
+      }
+      // Keep the file details; gallery fields don't apply to a message photo
+      const { id, category, caption, status, ...stored } = result.image;
+      photo = stored;
+    }
+
+    const entry = {
+      id: randomUUID(),
+      ...fields,
+      photo,
+      hidden: false,
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      await updateStore(db => {
+        db.guestbook.push(entry);
+      });
+    } catch (error) {
+      if (photo) await destroyStoredFiles([photo]);
+      throw error;
+    }
+
+    res.status(201).json({ message: 'Thank you for your message.', entry: toPublicEntry(entry) });
+  } catch (error) {
+    console.error('Guestbook error:', error);
+    res.status(500).json({ error: 'Failed to post message' });
+  }
+});
+
+/**
+ * PATCH /api/guestbook/:id
+ * Hide a message from visitors, or show it again (admin only)
+ * Body: { hidden: true | false, reason? }
+ */
+router.patch('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const moderation = parseModeration(req.body);
+    if (moderation.error) {
+      return res.status(400).json({ error: moderation.error });
+    }
+
+    const updated = await updateStore(db => {
+      const entry = db.guestbook.find(e => e.id === req.params.id);
+      if (!entry) return null;
+
+      const before = auditSnapshot(entry);
+      setHidden(entry, moderation, req.user.username);
+      return { before, entry };
+    });
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    await recordAudit(req, 'guestbook.update', {
+      target: { type: 'guestbook', id: updated.entry.id },
+      before: updated.before,
+      after: updated.entry
+    });
+
+    res.json(updated.entry);
+  } catch (error) {
+    console.error('Error updating message:', error);
+    res.status(500).json({ error: 'Failed to update message' });
+  }
+});
+
+/**
+ * DELETE /api/guestbook/:id
+ * Delete a message and its photo (admin only)
+ */
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  const storage = getStorage();
+
+  try {
+    const db = await readStore();
+    const entry = db.guestbook.find(e => e.id === req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    if (entry.photo?.publicId) {
+      await storage.destroy(entry.photo.publicId, { resourceType: entry.photo.resourceType });
+    }
+
+    await updateStore(db => {
+      db.guestbook = db.guestbook.filter(e => e.id !== entry.id);
+    });
+    await recordAudit(req, 'guestbook.delete', { target: { type: 'guestbook', id: entry.id }, before: entry });
+
+    res.json({ message: 'Message deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting message:', error);
+    res.status(500).json({ error: storage.describeError(error) || 'Failed to delete message' });
+  }
+});
+
+export default router;
@@ -1,317 +1,469 @@
 import express from 'express';
-import { readFile, writeFile, mkdir } from 'fs/promises';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { existsSync } from 'fs';
-import { v2 as cloudinary } from 'cloudinary';
+import { posix } from 'path';
+import { getStorage, categoryFolder } from '../lib/storage/index.js';
+import { readStore, updateStore, groupByCategory, getStorePath } from '../lib/store.js';
+import { isPublished, moveToFolder, withOptimizedUrls, validateImageIds } from '../lib/media.js';
+import { categorySlugs, isCategory, invalidCategoryMessage, DEFAULT_CATEGORIES } from '../lib/categories.js';
+import { requireRole } from '../lib/auth.js';
+import { parseImageQuery, filterAndSortImages, paginateImages, sortImages } from '../lib/query.js';
+import { findDuplicateClusters } from '../lib/duplicates.js';
+import { interactionCounts } from '../lib/interactions.js';
+import { limitArchives, sendArchive } from '../lib/archive.js';
+import { queueSync, reconcileStorage } from '../lib/sync.js';
+import { recordAudit } from '../lib/audit.js';
+import { StoreValidationError } from '../lib/schema.js';
 
 const router = express.Router();
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Path to the images metadata file
-const IMAGES_DB_PATH = join(__dirname, '../data/images.json');
-const DATA_DIR = join(__dirname, '../data');
-
-// Configure Cloudinary (will use env vars if available)
-try {
-  cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
-  });
-} catch (error) {
-  console.warn('Cloudinary not configured:', error.message);
-}
 
-// Ensure data directory exists
-async function ensureDataDirectory() {
-  if (!existsSync(DATA_DIR)) {
-    await mkdir(DATA_DIR, { recursive: true });
+// When the store is empty, ask for a sync from the storage provider at most this often
+const SYNC_REQUEST_INTERVAL_MS = 10 * 60 * 1000;
+let syncRequestedAt = 0;
+
+// Images for the gallery - only published ones; pending guest submissions stay hidden.
+// An empty store is filled from the storage provider by a background sync job, so the
+// request that finds it empty doesn't wait for the provider.
+async function initializeImagesDatabase() {
+  const db = await readStore();
+  const categories = categorySlugs(db);
+  const counts = interactionCounts(db);
+
+  if (db.images.length === 0 && Date.now() - syncRequestedAt > SYNC_REQUEST_INTERVAL_MS && getStorage().isConfigured()) {
+    syncRequestedAt = Date.now();
+    const job = await queueSync();
+    console.log(`Database is empty, syncing from storage in the background (job ${job.id})`);
   }
+
+  return { images: db.images.filter(isPublished), categories, counts };
+}
+
+// Image as listed in the gallery: optimized URLs plus reaction and comment counts
+function toGalleryImage(image, counts) {
+  return { ...withOptimizedUrls(image), ...counts(image.id) };
 }
 
 /**
- * Generate optimized Cloudinary URL with transformations
- * @param {string} publicId - Cloudinary public ID
- * @param {string} originalUrl - Original Cloudinary URL (fallback)
- * @param {Object} options - Transformation options
- * @returns {Object} Object with optimized URLs
+ * GET /api/images
+ * Get all images grouped by category (in manual order unless ?sort is given)
+ *
+ * Query (all optional):
+ * - sort: order | uploadedAt | takenAt, direction: asc | desc
+ * - type: image | video, tag: comma-separated tags (all must match)
+ * - from / to: date range on the date taken (upload date when unknown)
+ * - limit / cursor: paginate - returns { items, nextCursor, total } across categories
+ *   instead of the grouped object; ?category= narrows the page to one category
+ * Each image includes reactions: { candle, heart } and commentCount.
  */
-function generateOptimizedUrls(publicId, originalUrl, options = {}) {
-  const {
-    thumbnail = false,
-    width = 800,
-    quality = 'auto',
-    format = 'auto'
-  } = options;
-
-  // If no publicId, return original URL (for non-Cloudinary images)
-  if (!publicId || !publicId.includes('josh-farewell')) {
-    return {
-      url: originalUrl,
-      thumbnail: originalUrl,
-      lightbox: originalUrl
-    };
+router.get('/', async (req, res) => {
+  const { options, error } = parseImageQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
   }
 
   try {
-    // Base transformations: auto format, auto quality, responsive
-    const baseTransformations = {
-      fetch_format: format, // 'auto' converts to WebP/AVIF when supported
-      quality: quality, // 'auto' optimizes quality based on image
-      flags: 'progressive' // Progressive JPEG loading
-    };
+    // Initialize database (will fetch from storage if empty or missing)
+    const { images, categories, counts } = await initializeImagesDatabase();
 
-    // Thumbnail for gallery grid (smaller, faster loading)
-    const thumbnailTransforms = {
-      ...baseTransformations,
-      width: 400,
-      height: 400,
-      crop: 'fill',
-      gravity: 'auto'
-    };
+    if (options.limit) {
+      const inCategory = req.query.category
+        ? images.filter(image => image.category === req.query.category)
+        : images;
+      const page = paginateImages(inCategory, options);
+      return res.json({ ...page, items: page.items.map(image => toGalleryImage(image, counts)) });
+    }
 
-    // Gallery view (medium size)
-    const galleryTransforms = {
-      ...baseTransformations,
-      width: width,
-      height: width,
-      crop: 'limit' // Maintain aspect ratio, don't crop
-    };
+    // Group by category; the array an image is in always matches its category property,
+    // which the frontend filters on. Keys are in category display order.
+    const result = groupByCategory(
+      filterAndSortImages(images, options).map(image => toGalleryImage(image, counts)),
+      categories
+    );
+    
+    console.log('Successfully read images:', Object.fromEntries(
+      Object.entries(result).map(([category, categoryImages]) => [category, categoryImages.length])
+    ));
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error reading images:', error);
+    console.error('Error details:', {
+      code: error.code,
+      path: getStorePath(),
+      message: error.message
+    });
+    // Return empty structure on error instead of 500
+    res.json(groupByCategory([], DEFAULT_CATEGORIES.map(category => category.slug)));
+  }
+});
 
-    // Lightbox/full view (larger but still optimized)
-    const lightboxTransforms = {
-      ...baseTransformations,
-      width: 1200,
-      height: 1200,
-      crop: 'limit'
-    };
+/**
+ * GET /api/images/duplicates
+ * Clusters of exact and near-duplicate images already in the library (admin only)
+ * Exact duplicates share a contentHash; near-duplicates (resized or re-encoded copies) have
+ * perceptual hashes within PHASH_DISTANCE bits. Images without hashes can't be compared -
+ * run `npm run hash-images` to backfill them.
+ */
+router.get('/duplicates', requireRole('admin'), async (req, res) => {
+  try {
+    const db = await readStore();
+    const images = db.images.filter(image => !['rejected', 'trashed'].includes(image.status));
+    const clusters = findDuplicateClusters(images);
 
-    // Generate URLs using Cloudinary URL helper
-    const thumbnailUrl = cloudinary.url(publicId, {
-      transformation: [thumbnailTransforms]
+    res.json({
+      clusters: clusters.map(cluster => ({
+        reason: cluster.reason,
+        images: cluster.images.map(image => ({
+          ...withOptimizedUrls(image),
+          contentHash: image.contentHash,
+          phash: image.phash
+        }))
+      })),
+      duplicateImages: clusters.reduce((total, cluster) => total + cluster.images.length - 1, 0),
+      unhashed: images.filter(image => !image.contentHash).length
     });
+  } catch (error) {
+    console.error('Error finding duplicates:', error);
+    res.status(500).json({ error: 'Failed to find duplicates' });
+  }
+});
 
-    const galleryUrl = cloudinary.url(publicId, {
-      transformation: [galleryTransforms]
-    });
+/**
+ * GET /api/images/reconcile
+ * Dry run of a reconcile with the storage provider: what POST would change (admin only)
+ * Returns { dryRun: true, listed, added, missing, restored, orphaned, unchanged } - see lib/sync.js
+ */
+router.get('/reconcile', requireRole('admin'), async (req, res) => {
+  const storage = getStorage();
+  try {
+    res.json(await reconcileStorage({ dryRun: true }));
+  } catch (error) {
+    console.error('Error comparing with storage:', error);
+    res.status(500).json({ error: storage.describeError(error) || 'Failed to list stored files' });
+  }
+});
 
-    const lightboxUrl = cloudinary.url(publicId, {
-      transformation: [lightboxTransforms]
-    });
+/**
+ * POST /api/images/reconcile
+ * Reconcile with the storage provider in the background (admin only): adds records for new
+ * files, flags records whose file is gone with missingAt and reports orphaned files
+ * Returns 202 with the job (see /api/jobs/:id); its result is the same report as GET
+ */
+router.post('/reconcile', requireRole('admin'), async (req, res) => {
+  try {
+    res.status(202).json(await queueSync(req.user.username));
+  } catch (error) {
+    console.error('Error starting reconcile:', error);
+    res.status(500).json({ error: 'Failed to start reconcile' });
+  }
+});
 
-    return {
-      url: galleryUrl, // Default URL for gallery
-      thumbnail: thumbnailUrl, // Smaller thumbnail
-      lightbox: lightboxUrl, // Larger for lightbox
-      original: originalUrl // Keep original as fallback
-    };
+// Answer with a ZIP of the selected images' originals, in the order given
+async function archiveSelection(req, res, ids) {
+  try {
+    const db = await readStore();
+    const idsError = validateImageIds(db, ids);
+    if (idsError || ids.length === 0) {
+      return res.status(400).json({ error: idsError || 'Choose at least one image (ids)' });
+    }
+
+    const byId = new Map(db.images.map(image => [image.id, image]));
+    await sendArchive(req, res, [...new Set(ids)].map(id => byId.get(id)), 'photos');
   } catch (error) {
-    console.warn('Error generating optimized URLs, using original:', error.message);
-    return {
-      url: originalUrl,
-      thumbnail: originalUrl,
-      lightbox: originalUrl,
-      original: originalUrl
-    };
+    console.error('Error archiving images:', error);
+    res.status(500).json({ error: 'Failed to build archive' });
   }
 }
 
-// Fetch images from Cloudinary folder
-async function fetchFromCloudinary(folderPath, category) {
+/**
+ * GET /api/images/archive?ids=<id>,<id>,...
+ * Download a selection of images' original files as a ZIP with a manifest (public)
+ * Large selections answer 202 with a background job instead - see GET /api/archives/:id
+ */
+router.get('/archive', limitArchives, (req, res) => {
+  const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+  archiveSelection(req, res, ids);
+});
+
+/**
+ * POST /api/images/archive
+ * Same as GET /api/images/archive, for selections too long for a URL (public)
+ * Body: { ids: [...] }
+ */
+router.post('/archive', limitArchives, (req, res) => {
+  archiveSelection(req, res, req.body?.ids);
+});
+
+/**
+ * GET /api/images/:category/archive
+ * Download every image in a category as a ZIP of the original files, in the category's
+ * order, with a manifest.csv of captions and dates (public)
+ * Files are named after their captions. Categories with more than ARCHIVE_SYNC_MAX_FILES
+ * images answer 202 with a background job instead - see GET /api/archives/:id
+ */
+router.get('/:category/archive', limitArchives, async (req, res) => {
   try {
-    const result = await cloudinary.api.resources({
-      type: 'upload',
-      prefix: folderPath,
-      max_results: 500
-    });
-    
-    return (result.resources || []).map(resource => {
-      const publicId = resource.public_id;
-      const originalUrl = resource.secure_url;
-      
-      // Generate optimized URLs
-      const optimizedUrls = generateOptimizedUrls(publicId, originalUrl, {
-        width: 800,
-        quality: 'auto',
-        format: 'auto'
-      });
+    const db = await readStore();
+    if (!isCategory(db, req.params.category)) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const images = db.images.filter(image => image.category === req.params.category && isPublished(image));
+    await sendArchive(req, res, sortImages(images, 'order'), req.params.category);
+  } catch (error) {
+    console.error('Error archiving category:', error);
+    res.status(500).json({ error: 'Failed to build archive' });
+  }
+});
+
+/**
+ * GET /api/images/:id/metadata
+ * Everything stored about one image, including admin-only fields such as the GPS
+ * coordinates kept with EXIF_STORE_GPS and the content hashes (admin only)
+ */
+router.get('/:id/metadata', requireRole('admin'), async (req, res) => {
+  try {
+    const db = await readStore();
+    const image = db.images.find(img => img.id === req.params.id);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
 
-      return {
-        id: resource.public_id?.replace(/\//g, '_') + '_' + (resource.created_at || Date.now()),
-        url: optimizedUrls.url, // Optimized gallery URL
-        thumbnail: optimizedUrls.thumbnail, // Thumbnail for grid
-        lightbox: optimizedUrls.lightbox, // Larger for lightbox
-        original: optimizedUrls.original, // Original as fallback
-        publicId: publicId,
-        category: category,
-        caption: '',
-        uploadedAt: resource.created_at ? new Date(resource.created_at).toISOString() : new Date().toISOString(),
-        width: resource.width,
-        height: resource.height,
-        format: resource.format,
-        resourceType: resource.resource_type || 'image'
-      };
+    res.json({
+      ...withOptimizedUrls(image),
+      contentHash: image.contentHash,
+      phash: image.phash,
+      ...(image.private && { private: image.private })
     });
   } catch (error) {
-    console.error(`Error fetching from Cloudinary ${folderPath}:`, error.message);
-    return [];
+    console.error('Error reading image metadata:', error);
+    res.status(500).json({ error: 'Failed to read image metadata' });
   }
-}
+});
 
-// Initialize images database - fetch from Cloudinary if empty
-async function initializeImagesDatabase() {
-  await ensureDataDirectory();
-  
-  if (!existsSync(IMAGES_DB_PATH)) {
-    console.log('Database file not found, attempting to fetch from Cloudinary...');
-    const imagesDb = { josh: [], family: [], friends: [] };
+/**
+ * GET /api/images/:category
+ * Get images by category slug (see GET /api/categories)
+ * Accepts the same query parameters as GET /api/images; with limit/cursor it returns
+ * { items, nextCursor, total } instead of an array
+ */
+router.get('/:category', async (req, res) => {
+  const { options, error } = parseImageQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { category } = req.params;
     
-    // Try to fetch from Cloudinary
-    const categories = ['josh', 'family', 'friends'];
-    for (const category of categories) {
-      const folderPath = `josh-farewell/${category}`;
-      imagesDb[category] = await fetchFromCloudinary(folderPath, category);
-      console.log(`Fetched ${imagesDb[category].length} images from Cloudinary folder: ${folderPath}`);
+    // Initialize database (will fetch from storage if empty or missing)
+    const { images, counts } = await initializeImagesDatabase();
+    const categoryImages = images.filter(image => image.category === category);
+
+    if (options.limit) {
+      const page = paginateImages(categoryImages, options);
+      return res.json({ ...page, items: page.items.map(image => toGalleryImage(image, counts)) });
     }
-    
-    // Save to file
-    await writeFile(IMAGES_DB_PATH, JSON.stringify(imagesDb, null, 2));
-    console.log('Created images database from Cloudinary');
-    return imagesDb;
+
+    res.json(filterAndSortImages(categoryImages, options).map(image => toGalleryImage(image, counts)));
+  } catch (error) {
+    console.error('Error reading images:', error);
+    res.json([]);
   }
-  
-  // Read existing database
-  const data = await readFile(IMAGES_DB_PATH, 'utf-8');
-  const imagesDb = JSON.parse(data);
-  
-  // Check if database is empty, try to fetch from Cloudinary
-  const totalImages = (imagesDb.josh?.length || 0) + (imagesDb.family?.length || 0) + (imagesDb.friends?.length || 0);
-  if (totalImages === 0) {
-    console.log('Database is empty, attempting to fetch from Cloudinary...');
-    const categories = ['josh', 'family', 'friends'];
-    for (const category of categories) {
-      const folderPath = `josh-farewell/${category}`;
-      imagesDb[category] = await fetchFromCloudinary(folderPath, category);
-      console.log(`Fetched ${imagesDb[category].length} images from Cloudinary folder: ${folderPath}`);
+});
+
+// Limits for editable metadata
+const MAX_CAPTION_LENGTH = 2000;
+const MAX_ALT_LENGTH = 500;
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Validate the editable fields of a PATCH body
+ * @param {Object} body - Request body
+ * @returns {Object} { updates } or { error }
+ */
+function parseImageUpdates(body) {
+  const updates = {};
+
+  if (body.caption !== undefined) {
+    if (typeof body.caption !== 'string' || body.caption.length > MAX_CAPTION_LENGTH) {
+      return { error: `caption must be a string of at most ${MAX_CAPTION_LENGTH} characters` };
     }
-    
-    // Save updated database
-    await writeFile(IMAGES_DB_PATH, JSON.stringify(imagesDb, null, 2));
+    updates.caption = body.caption;
+  }
+
+  if (body.alt !== undefined) {
+    if (typeof body.alt !== 'string' || body.alt.length > MAX_ALT_LENGTH) {
+      return { error: `alt must be a string of at most ${MAX_ALT_LENGTH} characters` };
+    }
+    updates.alt = body.alt;
+  }
+
+  if (body.takenAt !== undefined) {
+    if (body.takenAt === null || body.takenAt === '') {
+      updates.takenAt = null;
+    } else if (typeof body.takenAt !== 'string' || Number.isNaN(Date.parse(body.takenAt))) {
+      return { error: 'takenAt must be a date such as "1998-07-04" or null' };
+    } else {
+      updates.takenAt = new Date(body.takenAt).toISOString();
+    }
+  }
+
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string')) {
+      return { error: 'tags must be an array of strings' };
+    }
+    const tags = [...new Set(body.tags.map(tag => tag.trim()).filter(Boolean))];
+    if (tags.length > MAX_TAGS || tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      return { error: `At most ${MAX_TAGS} tags of up to ${MAX_TAG_LENGTH} characters each` };
+    }
+    updates.tags = tags;
   }
-  
-  return imagesDb;
+
+  return { updates };
 }
 
 /**
- * GET /api/images
- * Get all images grouped by category
- * Fixes category property on images to match their array, but keeps images in their original arrays
+ * PUT /api/images/order
+ * Save a manual sort order for a category (admin only)
+ * Body: { category, ids: [...] } - listed images come first in this order, the rest follow
  */
-router.get('/', async (req, res) => {
+router.put('/order', requireRole('admin'), async (req, res) => {
   try {
-    // Initialize database (will fetch from Cloudinary if empty or missing)
-    const images = await initializeImagesDatabase();
-    
-    // Fix category property on images to match their array, but keep them in original arrays
-    // This ensures frontend can filter correctly using the category property
-    const result = {
-      josh: [],
-      family: [],
-      friends: []
-    };
-    
-    // Process each category array
-    ['josh', 'family', 'friends'].forEach(arrayCategory => {
-      if (images[arrayCategory] && Array.isArray(images[arrayCategory])) {
-        result[arrayCategory] = images[arrayCategory].map(image => {
-          // If image doesn't have optimized URLs, generate them
-          if (image.publicId && (!image.thumbnail || !image.lightbox)) {
-            const optimizedUrls = generateOptimizedUrls(image.publicId, image.url || image.original, {
-              width: 800,
-              quality: 'auto',
-              format: 'auto'
-            });
-            
-            return {
-              ...image,
-              url: optimizedUrls.url,
-              thumbnail: image.thumbnail || optimizedUrls.thumbnail,
-              lightbox: image.lightbox || optimizedUrls.lightbox,
-              original: image.original || optimizedUrls.original,
-              category: arrayCategory
-            };
-          }
-          
-          // Ensure category property matches the array it's in
-          // This is the source of truth for filtering
-          return {
-            ...image,
-            category: arrayCategory
-          };
-        });
+    const { category, ids } = req.body || {};
+
+    if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string') || new Set(ids).size !== ids.length) {
+      return res.status(400).json({ error: 'ids must be an array of unique image ids' });
+    }
+
+    const result = await updateStore(db => {
+      if (!isCategory(db, category)) {
+        return { status: 400, error: invalidCategoryMessage(db) };
+      }
+
+      const categoryImages = sortImages(db.images.filter(image => image.category === category), 'order');
+      const unknown = ids.filter(id => !categoryImages.some(image => image.id === id));
+      if (unknown.length > 0) {
+        return { status: 400, error: `Not in category "${category}": ${unknown.join(', ')}` };
       }
+
+      const before = categoryImages.map(image => image.id);
+      const ordered = [
+        ...ids.map(id => categoryImages.find(image => image.id === id)),
+        ...categoryImages.filter(image => !ids.includes(image.id))
+      ];
+      ordered.forEach((image, index) => {
+        image.order = index;
+      });
+
+      return { before, ids: ordered.map(image => image.id) };
     });
-    
-    console.log('Successfully read images:', {
-      josh: result.josh.length,
-      family: result.family.length,
-      friends: result.friends.length
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordAudit(req, 'image.reorder', {
+      imageIds: result.ids,
+      target: { type: 'category', id: category },
+      before: { order: result.before },
+      after: { order: result.ids }
     });
-    
-    res.json(result);
+
+    res.json({ message: 'Order saved', category, ids: result.ids });
   } catch (error) {
-    console.error('Error reading images:', error);
-    console.error('Error details:', {
-      code: error.code,
-      path: IMAGES_DB_PATH,
-      message: error.message
-    });
-    // Return empty structure on error instead of 500
-    res.json({ josh: [], family: [], friends: [] });
+    if (error instanceof StoreValidationError) {
+      return res.status(400).json({ error: error.message, problems: error.problems });
+    }
+    console.error('Error saving order:', error);
+    res.status(500).json({ error: 'Failed to save order' });
   }
 });
 
 /**
- * GET /api/images/:category
- * Get images by category (josh, family, friends)
+ * PATCH /api/images/:id
+ * Edit an image's metadata (admin only)
+ * Body: { caption?, alt?, takenAt?, tags?, category? }
+ * Changing the category moves the file to the new category's storage folder
  */
-router.get('/:category', async (req, res) => {
+router.patch('/:id', requireRole('admin'), async (req, res) => {
+  const storage = getStorage();
+
   try {
-    const { category } = req.params;
-    
-    // Initialize database (will fetch from Cloudinary if empty or missing)
-    const images = await initializeImagesDatabase();
-    
-    if (images[category]) {
-      // Optimize URLs if needed
-      const optimizedImages = images[category].map(image => {
-        if (image.publicId && (!image.thumbnail || !image.lightbox)) {
-          const optimizedUrls = generateOptimizedUrls(image.publicId, image.url || image.original, {
-            width: 800,
-            quality: 'auto',
-            format: 'auto'
-          });
-          
-          return {
-            ...image,
-            url: optimizedUrls.url,
-            thumbnail: image.thumbnail || optimizedUrls.thumbnail,
-            lightbox: image.lightbox || optimizedUrls.lightbox,
-            original: image.original || optimizedUrls.original
-          };
+    const { id } = req.params;
+    const { category } = req.body || {};
+
+    const { updates, error } = parseImageUpdates(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const db = await readStore();
+    const image = db.images.find(img => img.id === id);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    // Moving categories: pending submissions only change category, published images move their file
+    let moved = null;
+    if (category !== undefined && category !== image.category) {
+      if (!isCategory(db, category)) {
+        return res.status(400).json({ error: invalidCategoryMessage(db) });
+      }
+      if (isPublished(image) && image.publicId) {
+        if (!storage.isConfigured()) {
+          return res.status(500).json({ error: storage.notConfiguredMessage });
         }
-        return image;
+        moved = await moveToFolder(image, categoryFolder(category));
+      }
+    }
+
+    // The record wasn't saved: put the file back where the record still says it is
+    const moveBack = async () => {
+      if (!moved) return;
+      await moveToFolder(moved, posix.dirname(image.publicId)).catch(error => {
+        console.error(`Failed to move ${moved.publicId} back to ${image.publicId}:`, error);
       });
-      
-      res.json(optimizedImages);
-    } else {
-      res.json([]);
+    };
+
+    let result;
+    try {
+      result = await updateStore(db => {
+        const index = db.images.findIndex(img => img.id === id);
+        if (index === -1) return null;
+        const before = db.images[index];
+
+        let record = { ...db.images[index], ...updates, updatedAt: new Date().toISOString() };
+        if (moved) {
+          // New file location; cached URL variants were dropped by moveToFolder
+          const { thumbnail, lightbox, original, ...rest } = record;
+          record = { ...rest, url: moved.url, publicId: moved.publicId };
+        }
+        if (category !== undefined && category !== db.images[index].category) {
+          // Land at the end of the new category's manual order
+          const { order, ...rest } = record;
+          record = { ...rest, category };
+        }
+
+        db.images[index] = record;
+        return { before, record };
+      });
+    } catch (error) {
+      await moveBack();
+      throw error;
+    }
+
+    if (!result) {
+      await moveBack();
+      return res.status(404).json({ error: 'Image not found' });
     }
+    await recordAudit(req, 'image.update', { imageIds: [id], before: result.before, after: result.record });
+
+    res.json(result.record);
   } catch (error) {
-    console.error('Error reading images:', error);
-    res.json([]);
+    if (error instanceof StoreValidationError) {
+      return res.status(400).json({ error: error.message, problems: error.problems });
+    }
+    console.error('Error updating image:', error);
+    res.status(500).json({ error: storage.describeError(error) || 'Failed to update image' });
   }
 });
 
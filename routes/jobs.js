@@ -0,0 +1,78 @@
+import express from 'express';
+import { requireRole } from '../lib/auth.js';
+import { JOB_STATUSES, JobError, listJobs, getJob, retryJob, cancelJob } from '../lib/jobs.js';
+
+const router = express.Router();
+
+function sendJobError(res, error, fallback) {
+  if (error instanceof JobError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+/**
+ * GET /api/jobs
+ * Background jobs, newest first (admin only)
+ * Query: ?status=queued|running|succeeded|failed|cancelled, ?type=sync-storage|exif|video|archive|purge-trash|backup,
+ *   ?limit (default 50, max 500)
+ * Returns { jobs, counts: { queued, running, succeeded, failed, cancelled } }
+ */
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+    res.json(await listJobs({ status, type, limit }));
+  } catch (error) {
+    sendJobError(res, error, 'Failed to read jobs');
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * One job, with its progress, result or error (admin only)
+ */
+router.get('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    sendJobError(res, error, 'Failed to read job');
+  }
+});
+
+/**
+ * POST /api/jobs/:id/retry
+ * Run a failed or cancelled job again (admin only)
+ */
+router.post('/:id/retry', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await retryJob(req.params.id));
+  } catch (error) {
+    sendJobError(res, error, 'Failed to retry job');
+  }
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a queued job, or remove a finished one from the list (admin only)
+ * A running job can't be cancelled (409).
+ */
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { job, removed } = await cancelJob(req.params.id);
+    res.json({ message: removed ? 'Job removed' : 'Job cancelled', job });
+  } catch (error) {
+    sendJobError(res, error, 'Failed to cancel job');
+  }
+});
+
+export default router;
@@ -0,0 +1,104 @@
+import express from 'express';
+import { readStore, updateStore } from '../lib/store.js';
+import { isPublished } from '../lib/media.js';
+import { rateLimit } from '../lib/spam.js';
+import { REACTION_TYPES, visitorId, reactionSummary } from '../lib/interactions.js';
+
+// Mounted at /api/images/:id/reactions
+const router = express.Router({ mergeParams: true });
+
+// Reactions one visitor can add or take back per window (REACTION_RATE_LIMIT per hour)
+// Reactions are saved quietly (see updateStore), so they don't set off search re-indexing
+const limitReactions = rateLimit({
+  max: () => Number(process.env.REACTION_RATE_LIMIT || 60),
+  windowMs: () => 60 * 60 * 1000,
+  message: 'Too many reactions in a short time. Please try again later.'
+});
+
+const findImage = (db, id) => db.images.find(image => image.id === id && isPublished(image));
+
+/**
+ * GET /api/images/:id/reactions
+ * Reaction counts for an image, and which ones this visitor left (public)
+ * Returns { counts: { candle, heart }, mine: ["heart"] }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const db = await readStore();
+    if (!findImage(db, req.params.id)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    res.json(reactionSummary(db, req.params.id, visitorId(req)));
+  } catch (error) {
+    console.error('Error reading reactions:', error);
+    res.status(500).json({ error: 'Failed to read reactions' });
+  }
+});
+
+/**
+ * POST /api/images/:id/reactions
+ * Leave a reaction (public) - once per visitor and type; repeating it changes nothing
+ * Body: { type: "candle" | "heart" }
+ */
+router.post('/', limitReactions, async (req, res) => {
+  try {
+    const { type } = req.body || {};
+    if (!REACTION_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${REACTION_TYPES.join(', ')}` });
+    }
+
+    const visitor = visitorId(req, res);
+    const result = await updateStore(db => {
+      if (!findImage(db, req.params.id)) return null;
+
+      const exists = db.reactions.some(reaction =>
+        reaction.imageId === req.params.id && reaction.type === type && reaction.visitorId === visitor
+      );
+      if (!exists) {
+        db.reactions.push({ imageId: req.params.id, type, visitorId: visitor, createdAt: new Date().toISOString() });
+      }
+      return { created: !exists, summary: reactionSummary(db, req.params.id, visitor) };
+    }, { quiet: true });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    res.status(result.created ? 201 : 200).json(result.summary);
+  } catch (error) {
+    console.error('Error adding reaction:', error);
+    res.status(500).json({ error: 'Failed to add reaction' });
+  }
+});
+
+/**
+ * DELETE /api/images/:id/reactions/:type
+ * Take back this visitor's reaction (public)
+ */
+router.delete('/:type', limitReactions, async (req, res) => {
+  try {
+    const visitor = visitorId(req);
+    const summary = await updateStore(db => {
+      if (!findImage(db, req.params.id)) return null;
+
+      if (visitor) {
+        db.reactions = db.reactions.filter(reaction =>
+          !(reaction.imageId === req.params.id && reaction.type === req.params.type && reaction.visitorId === visitor)
+        );
+      }
+      return reactionSummary(db, req.params.id, visitor);
+    }, { quiet: true });
+
+    if (!summary) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    res.json(summary);
+  } catch (error) {
+    console.error('Error removing reaction:', error);
+    res.status(500).json({ error: 'Failed to remove reaction' });
+  }
+});
+
+export default router;
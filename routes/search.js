@@ -0,0 +1,58 @@
+import express from 'express';
+import { readStore } from '../lib/store.js';
+import { withOptimizedUrls } from '../lib/media.js';
+import { toPublicEntry } from '../lib/guestbook.js';
+import { search } from '../lib/search.js';
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_QUERY_LENGTH = 200;
+
+/**
+ * GET /api/search
+ * Search published images by caption, tags, alt text, category name and submitter,
+ * and guestbook messages by name, relationship and message (public)
+ * Query: ?q=lake trip &limit=20
+ * Prefixes and small typos match too ("lak", "laek" find "lake").
+ */
+router.get('/', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+
+    if (!q) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+    if (q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ error: `q must be under ${MAX_QUERY_LENGTH} characters` });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({ error: `limit must be a whole number between 1 and ${MAX_LIMIT}` });
+    }
+
+    const { total, hits } = await search(q, { limit });
+    const db = await readStore();
+    const images = new Map(db.images.map(image => [image.id, image]));
+    const entries = new Map(db.guestbook.map(entry => [entry.id, entry]));
+
+    // Hits are { type: 'image', ..., image } or { type: 'guestbook', ..., entry }
+    const results = hits.flatMap(hit => {
+      if (hit.type === 'image' && images.has(hit.id)) {
+        return [{ ...hit, image: withOptimizedUrls(images.get(hit.id)) }];
+      }
+      if (hit.type === 'guestbook' && entries.has(hit.id)) {
+        return [{ ...hit, entry: toPublicEntry(entries.get(hit.id)) }];
+      }
+      return [];
+    });
+
+    res.json({ query: q, total, results });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+export default router;
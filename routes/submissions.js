@@ -0,0 +1,357 @@
+import express from 'express';
+import { posix } from 'path';
+import { getStorage, categoryFolder } from '../lib/storage/index.js';
+import { readStore, updateStore } from '../lib/store.js';
+import { requireRole } from '../lib/auth.js';
+import {
+  acceptUploads,
+  getUploadedFiles,
+  getRejectedFiles,
+  parseCaptions,
+  storeFiles,
+  destroyStoredFiles,
+  moveToFolder,
+  PENDING_FOLDER
+} from '../lib/media.js';
+import { isCategory, invalidCategoryMessage, listCategories } from '../lib/categories.js';
+import { hashIndex } from '../lib/duplicates.js';
+import { queueMediaProcessing } from '../lib/processing.js';
+import { recordAudit, auditSnapshot } from '../lib/audit.js';
+import { rateLimit, honeypot } from '../lib/spam.js';
+import { StoreValidationError } from '../lib/schema.js';
+
+const router = express.Router();
+
+// Limits for the free-text fields guests can fill in
+const MAX_NAME_LENGTH = 100;
+const MAX_RELATIONSHIP_LENGTH = 100;
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Submissions one visitor can send per window (SUBMISSION_RATE_LIMIT per SUBMISSION_RATE_WINDOW_MINUTES)
+const limitSubmissions = rateLimit({
+  max: () => Number(process.env.SUBMISSION_RATE_LIMIT || 5),
+  windowMs: () => Number(process.env.SUBMISSION_RATE_WINDOW_MINUTES || 60) * 60 * 1000,
+  message: 'You have shared several times in a short time. Please try again later.'
+});
+
+// Files in one submission (SUBMISSION_MAX_FILES)
+const maxSubmissionFiles = () => Number(process.env.SUBMISSION_MAX_FILES || 20);
+
+/**
+ * POST /api/submissions
+ * Public: share photos/videos and a story
+ * Items are stored as "pending" and stay out of GET /api/images until an admin approves them
+ *
+ * Body (multipart/form-data):
+ * - files / file: one or more images/videos
+ * - name: submitter name (required)
+ * - relationship: e.g. "cousin", "college roommate" (optional)
+ * - message: the story behind the photos (optional)
+ * - category: suggested category (optional, defaults to the last category, e.g. "friends")
+ * - captions: JSON array or single string (optional)
+ * Rate limited per IP; at most SUBMISSION_MAX_FILES files (default 20). The form should carry
+ * the hidden honeypot field (see lib/spam.js).
+ */
+router.post('/', limitSubmissions, acceptUploads({ maxFiles: maxSubmissionFiles }), honeypot({
+  message: 'Thank you for sharing. Your memories will appear once they have been reviewed.'
+}, 202), async (req, res) => {
+  const storage = getStorage();
+
+  try {
+    if (!storage.isConfigured()) {
+      return res.status(500).json({ error: storage.notConfiguredMessage });
+    }
+
+    const files = getUploadedFiles(req);
+    const rejected = getRejectedFiles(req);
+    if (files.length === 0 && rejected.length === 0) {
+      return res.status(400).json({ error: 'Please attach at least one photo or video' });
+    }
+
+    const name = (req.body.name || '').trim();
+    const relationship = (req.body.relationship || '').trim();
+    const message = (req.body.message || '').trim();
+    const db = await readStore();
+    const category = req.body.category || listCategories(db).at(-1)?.slug;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Please tell us your name' });
+    }
+    if (name.length > MAX_NAME_LENGTH || relationship.length > MAX_RELATIONSHIP_LENGTH || message.length > MAX_MESSAGE_LENGTH) {
+      return res.status(400).json({
+        error: `Name and relationship must be under ${MAX_NAME_LENGTH} characters, message under ${MAX_MESSAGE_LENGTH}`
+      });
+    }
+    if (!isCategory(db, category)) {
+      return res.status(400).json({ error: invalidCategoryMessage(db) });
+    }
+
+    const submittedAt = new Date().toISOString();
+    const stored = await storeFiles(files, {
+      folder: PENDING_FOLDER,
+      category,
+      captions: parseCaptions(req.body.captions),
+      fields: {
+        status: 'pending',
+        submittedBy: { name, relationship, message, submittedAt }
+      },
+      // Files that are already in the gallery (or waiting for review) are skipped
+      knownHashes: hashIndex(db.images)
+    });
+    const results = [...stored, ...rejected].sort((a, b) => a.index - b.index);
+    const pendingImages = results.filter(result => result.image).map(result => result.image);
+    const alreadyShared = results.filter(result => result.duplicateOf).length;
+    // Don't echo storage details back to the public - just which files to try again, and why a
+    // file of the wrong type was refused
+    const failed = results
+      .filter(result => result.error)
+      .map(({ index, filename, error, rejected }) => ({ index, filename, ...(rejected && { error }) }));
+
+    if (pendingImages.length === 0 && failed.length === 0) {
+      return res.status(200).json({
+        message: 'Thank you for sharing. These photos are already in the gallery.',
+        count: 0,
+        alreadyShared
+      });
+    }
+    if (pendingImages.length === 0 && results.every(result => !result.error || result.rejected)) {
+      return res.status(400).json({ error: 'Only photos and videos can be shared.', failed });
+    }
+    if (pendingImages.length === 0) {
+      return res.status(500).json({ error: 'Failed to submit memories. Please try again.', failed });
+    }
+
+    try {
+      await updateStore(db => {
+        db.images.push(...pendingImages);
+      });
+    } catch (error) {
+      await destroyStoredFiles(pendingImages);
+      throw error;
+    }
+    for (const image of pendingImages) {
+      await recordAudit(req, 'submission.create', { imageIds: [image.id], after: image });
+    }
+    await queueMediaProcessing(pendingImages);
+
+    res.status(202).json({
+      message: failed.length > 0
+        ? `Thank you for sharing. ${failed.length} file(s) could not be uploaded - ${failed.every(file => file.error) ? 'only photos and videos can be shared' : 'please try sending those again'}.`
+        : 'Thank you for sharing. Your memories will appear once they have been reviewed.',
+      count: pendingImages.length,
+      ...(alreadyShared > 0 && { alreadyShared }),
+      ...(failed.length > 0 && { failed })
+    });
+  } catch (error) {
+    if (error instanceof StoreValidationError) {
+      return res.status(400).json({ error: error.message, problems: error.problems });
+    }
+    console.error('Submission error:', error);
+    res.status(500).json({ error: 'Failed to submit memories' });
+  }
+});
+
+/**
+ * GET /api/submissions
+ * List submissions waiting for moderation (admin only)
+ * Query: ?status=pending (default) | rejected
+ */
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const db = await readStore();
+    const submissions = db.images
+      .filter(image => image.status === status)
+      .sort((a, b) => (a.submittedBy?.submittedAt || a.uploadedAt).localeCompare(b.submittedBy?.submittedAt || b.uploadedAt));
+
+    res.json(submissions);
+  } catch (error) {
+    console.error('Error reading submissions:', error);
+    res.status(500).json({ error: 'Failed to read submissions' });
+  }
+});
+
+// Load a pending submission or send 404
+async function findPending(id, res) {
+  const db = await readStore();
+  const image = db.images.find(img => img.id === id && img.status === 'pending');
+  if (!image) {
+    res.status(404).json({ error: 'Pending submission not found' });
+    return null;
+  }
+  return image;
+}
+
+/**
+ * PATCH /api/submissions/:id
+ * Re-categorise or re-caption a pending submission before approving it (admin only)
+ * Body: { category?, caption? }
+ */
+router.patch('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { category, caption } = req.body || {};
+
+    if (category !== undefined) {
+      const db = await readStore();
+      if (!isCategory(db, category)) {
+        return res.status(400).json({ error: invalidCategoryMessage(db) });
+      }
+    }
+
+    const result = await updateStore(db => {
+      const image = db.images.find(img => img.id === id && img.status === 'pending');
+      if (!image) return null;
+
+      const before = auditSnapshot(image);
+      if (category !== undefined) image.category = category;
+      if (caption !== undefined) image.caption = String(caption);
+      return { before, image };
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Pending submission not found' });
+    }
+    await recordAudit(req, 'submission.update', { imageIds: [id], before: result.before, after: result.image });
+
+    res.json(result.image);
+  } catch (error) {
+    if (error instanceof StoreValidationError) {
+      return res.status(400).json({ error: error.message, problems: error.problems });
+    }
+    console.error('Error updating submission:', error);
+    res.status(500).json({ error: 'Failed to update submission' });
+  }
+});
+
+/**
+ * POST /api/submissions/:id/approve
+ * Publish a pending submission into its category (admin only)
+ * Body: { category? } - overrides the category at the same time
+ */
+router.post('/:id/approve', requireRole('admin'), async (req, res) => {
+  const storage = getStorage();
+
+  try {
+    if (!storage.isConfigured()) {
+      return res.status(500).json({ error: storage.notConfiguredMessage });
+    }
+
+    const { id } = req.params;
+    const category = req.body?.category;
+
+    if (category !== undefined) {
+      const db = await readStore();
+      if (!isCategory(db, category)) {
+        return res.status(400).json({ error: invalidCategoryMessage(db) });
+      }
+    }
+
+    const image = await findPending(id, res);
+    if (!image) return;
+
+    // Move the file out of the pending folder into the category folder
+    const targetCategory = category || image.category;
+    const moved = await moveToFolder(image, categoryFolder(targetCategory));
+
+    // The record wasn't saved: put the file back in the pending folder
+    const moveBack = async () => {
+      await moveToFolder(moved, posix.dirname(image.publicId)).catch(error => {
+        console.error(`Failed to move ${moved.publicId} back to ${image.publicId}:`, error);
+      });
+    };
+
+    let result;
+    try {
+      result = await updateStore(db => {
+        // Re-read under the lock: keep changes made since (EXIF, captions) and don't
+        // publish a submission that was rejected in the meantime
+        const index = db.images.findIndex(img => img.id === id);
+        if (index === -1) return { status: 404, error: 'Pending submission not found' };
+        const before = db.images[index];
+        if (before.status !== 'pending') {
+          return { status: 409, error: `Submission is no longer pending (${before.status})` };
+        }
+
+        // New file location; cached URL variants were dropped by moveToFolder
+        const { thumbnail, lightbox, original, ...current } = before;
+        db.images[index] = {
+          ...current,
+          url: moved.url,
+          publicId: moved.publicId,
+          category: targetCategory,
+          status: 'published',
+          approvedAt: new Date().toISOString(),
+          approvedBy: req.user.username
+        };
+        return { before, approved: db.images[index] };
+      });
+    } catch (error) {
+      await moveBack();
+      throw error;
+    }
+
+    if (result.error) {
+      await moveBack();
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { before, approved } = result;
+    await recordAudit(req, 'submission.approve', { imageIds: [id], before, after: approved });
+
+    res.json(approved);
+  } catch (error) {
+    if (error instanceof StoreValidationError) {
+      return res.status(400).json({ error: error.message, problems: error.problems });
+    }
+    console.error('Error approving submission:', error);
+    res.status(500).json({ error: storage.describeError(error) || 'Failed to approve submission' });
+  }
+});
+
+/**
+ * POST /api/submissions/:id/reject
+ * Reject a pending submission: its file is deleted and the record kept as "rejected" (admin only)
+ * Body: { reason? }
+ */
+router.post('/:id/reject', requireRole('admin'), async (req, res) => {
+  const storage = getStorage();
+
+  try {
+    if (!storage.isConfigured()) {
+      return res.status(500).json({ error: storage.notConfiguredMessage });
+    }
+
+    const { id } = req.params;
+    const image = await findPending(id, res);
+    if (!image) return;
+
+    if (image.publicId) {
+      await storage.destroy(image.publicId, { resourceType: image.resourceType });
+    }
+
+    const rejected = await updateStore(db => {
+      const record = db.images.find(img => img.id === id);
+      if (!record) return null;
+
+      record.status = 'rejected';
+      record.rejectedAt = new Date().toISOString();
+      record.rejectedBy = req.user.username;
+      record.rejectionReason = req.body?.reason ? String(req.body.reason) : '';
+      // The file is gone - keep only who sent what
+      delete record.url;
+      delete record.publicId;
+      return record;
+    });
+    await recordAudit(req, 'submission.reject', { imageIds: [id], before: image, after: rejected });
+
+    res.json(rejected || { message: 'Submission rejected' });
+  } catch (error) {
+    if (error instanceof StoreValidationError) {
+      return res.status(400).json({ error: error.message, problems: error.problems });
+    }
+    console.error('Error rejecting submission:', error);
+    res.status(500).json({ error: storage.describeError(error) || 'Failed to reject submission' });
+  }
+});
+
+export default router;
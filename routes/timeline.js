@@ -0,0 +1,228 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { readStore, updateStore } from '../lib/store.js';
+import { requireRole } from '../lib/auth.js';
+import { isPublished, withOptimizedUrls, validateImageIds } from '../lib/media.js';
+import { listEvents, parseEventFields, buildTimeline } from '../lib/timeline.js';
+import { recordAudit, auditSnapshot } from '../lib/audit.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/timeline
+ * Published media grouped by year and event, oldest first (public)
+ * Query: ?category=<slug> to include one category only
+ * Returns { years: [{ year, events: [{ id, name, startDate, endDate, description, images, imageCount }], images }], undated }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const db = await readStore();
+    const images = db.images
+      .filter(isPublished)
+      .filter(image => !req.query.category || image.category === req.query.category)
+      .map(withOptimizedUrls);
+
+    res.json(buildTimeline(db, images));
+  } catch (error) {
+    console.error('Error building timeline:', error);
+    res.status(500).json({ error: 'Failed to build timeline' });
+  }
+});
+
+/**
+ * GET /api/timeline/events
+ * List events in chronological order (public)
+ */
+router.get('/events', async (req, res) => {
+  try {
+    const db = await readStore();
+    res.json(listEvents(db));
+  } catch (error) {
+    console.error('Error reading events:', error);
+    res.status(500).json({ error: 'Failed to read events' });
+  }
+});
+
+/**
+ * POST /api/timeline/events
+ * Create an event (admin only)
+ * Body: { name, startDate: "1998-07-04", endDate?, description?, imageIds? }
+ * endDate defaults to startDate (a one-day event)
+ */
+router.post('/events', requireRole('admin'), async (req, res) => {
+  try {
+    const { fields, error } = parseEventFields(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await updateStore(db => {
+      const imageIds = req.body.imageIds || [];
+      const idsError = validateImageIds(db, imageIds);
+      if (idsError) return { status: 400, error: idsError };
+
+      const now = new Date().toISOString();
+      const event = {
+        id: randomUUID(),
+        description: '',
+        ...fields,
+        imageIds: [...new Set(imageIds)],
+        createdAt: now,
+        updatedAt: now
+      };
+      db.events.push(event);
+      return { event };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordAudit(req, 'event.create', {
+      imageIds: result.event.imageIds,
+      target: { type: 'event', id: result.event.id },
+      after: result.event
+    });
+
+    res.status(201).json(result.event);
+  } catch (error) {
+    console.error('Error creating event:', error);
+    res.status(500).json({ error: 'Failed to create event' });
+  }
+});
+
+/**
+ * PATCH /api/timeline/events/:id
+ * Update an event's name, dates or description (admin only)
+ * Body: { name?, startDate?, endDate?, description? }
+ */
+router.patch('/events/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await updateStore(db => {
+      const event = db.events.find(e => e.id === req.params.id);
+      if (!event) return { status: 404, error: 'Event not found' };
+
+      const { fields, error } = parseEventFields(req.body || {}, event);
+      if (error) return { status: 400, error };
+
+      const before = auditSnapshot(event);
+      Object.assign(event, fields, { updatedAt: new Date().toISOString() });
+      return { before, event };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordAudit(req, 'event.update', {
+      target: { type: 'event', id: result.event.id },
+      before: result.before,
+      after: result.event
+    });
+
+    res.json(result.event);
+  } catch (error) {
+    console.error('Error updating event:', error);
+    res.status(500).json({ error: 'Failed to update event' });
+  }
+});
+
+/**
+ * DELETE /api/timeline/events/:id
+ * Delete an event; its images stay in the library (admin only)
+ */
+router.delete('/events/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await updateStore(db => {
+      const event = db.events.find(e => e.id === req.params.id);
+      db.events = db.events.filter(e => e.id !== req.params.id);
+      return event || null;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    await recordAudit(req, 'event.delete', { target: { type: 'event', id: deleted.id }, before: deleted });
+
+    res.json({ message: 'Event deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting event:', error);
+    res.status(500).json({ error: 'Failed to delete event' });
+  }
+});
+
+/**
+ * POST /api/timeline/events/:id/images
+ * Attach images to an event, whatever their date (admin only)
+ * Body: { ids: ["<image id>", ...] } - appended in this order; already attached ones are skipped
+ */
+router.post('/events/:id/images', requireRole('admin'), async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+
+    const result = await updateStore(db => {
+      const event = db.events.find(e => e.id === req.params.id);
+      if (!event) return { status: 404, error: 'Event not found' };
+
+      const idsError = validateImageIds(db, ids);
+      if (idsError) return { status: 400, error: idsError };
+
+      const before = auditSnapshot(event);
+      event.imageIds = [...new Set([...event.imageIds, ...ids])];
+      event.updatedAt = new Date().toISOString();
+      return { before, event };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordAudit(req, 'event.images', {
+      imageIds: result.event.imageIds.filter(id => !result.before.imageIds.includes(id)),
+      target: { type: 'event', id: result.event.id },
+      before: result.before,
+      after: result.event
+    });
+
+    res.json(result.event);
+  } catch (error) {
+    console.error('Error attaching images:', error);
+    res.status(500).json({ error: 'Failed to attach images' });
+  }
+});
+
+/**
+ * DELETE /api/timeline/events/:id/images/:imageId
+ * Detach an image from an event (admin only)
+ * The image may still show in the event if the date it was taken falls within the event's dates.
+ */
+router.delete('/events/:id/images/:imageId', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await updateStore(db => {
+      const event = db.events.find(e => e.id === req.params.id);
+      if (!event) return { status: 404, error: 'Event not found' };
+      if (!event.imageIds.includes(req.params.imageId)) {
+        return { status: 404, error: 'Image is not attached to this event' };
+      }
+
+      const before = auditSnapshot(event);
+      event.imageIds = event.imageIds.filter(id => id !== req.params.imageId);
+      event.updatedAt = new Date().toISOString();
+      return { before, event };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordAudit(req, 'event.images', {
+      imageIds: [req.params.imageId],
+      target: { type: 'event', id: result.event.id },
+      before: result.before,
+      after: result.event
+    });
+
+    res.json(result.event);
+  } catch (error) {
+    console.error('Error detaching image:', error);
+    res.status(500).json({ error: 'Failed to detach image' });
+  }
+});
+
+export default router;
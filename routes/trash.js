@@ -0,0 +1,56 @@
+import express from 'express';
+import { readStore, updateStore } from '../lib/store.js';
+import { requireRole } from '../lib/auth.js';
+import { withOptimizedUrls } from '../lib/media.js';
+import { TRASHED, purgeDate, restoreFromTrash, trashRetentionDays } from '../lib/trash.js';
+import { recordAudit, auditSnapshot } from '../lib/audit.js';
+import { StoreValidationError } from '../lib/schema.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/trash
+ * Deleted images, most recently deleted first (admin only)
+ * Returns { items: [image with deletedAt, deletedBy, purgeAt], retentionDays }
+ */
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const db = await readStore();
+    const items = db.images
+      .filter(image => image.status === TRASHED)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+      .map(image => ({ ...withOptimizedUrls(image), purgeAt: purgeDate(image) }));
+
+    res.json({ items, retentionDays: trashRetentionDays() });
+  } catch (error) {
+    console.error('Error reading trash:', error);
+    res.status(500).json({ error: 'Failed to read trash' });
+  }
+});
+
+/**
+ * POST /api/trash/:id/restore
+ * Put a deleted image back where it was, with its albums, events, reactions and comments (admin only)
+ */
+router.post('/:id/restore', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await updateStore(db => {
+      const before = auditSnapshot(db.images.find(image => image.id === req.params.id));
+      return { before, ...restoreFromTrash(db, req.params.id) };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordAudit(req, 'image.restore', { imageIds: [req.params.id], before: result.before, after: result.image });
+
+    res.json({ message: 'Image restored', image: withOptimizedUrls(result.image) });
+  } catch (error) {
+    if (error instanceof StoreValidationError) {
+      return res.status(400).json({ error: error.message, problems: error.problems });
+    }
+    console.error('Error restoring image:', error);
+    res.status(500).json({ error: 'Failed to restore image' });
+  }
+});
+
+export default router;
@@ -1,257 +1,469 @@
 import express from 'express';
-import multer from 'multer';
-import { v2 as cloudinary } from 'cloudinary';
-import { readFile, writeFile, mkdir } from 'fs/promises';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { getStorage, categoryFolder } from '../lib/storage/index.js';
+import { readStore, updateStore } from '../lib/store.js';
+import { requireRole } from '../lib/auth.js';
+import {
+  acceptUploads,
+  getUploadedFiles,
+  getRejectedFiles,
+  parseCaptions,
+  storeFiles,
+  destroyStoredFiles,
+  withoutPrivateFields,
+  isAllowedUpload
+} from '../lib/media.js';
+import { isCategory, invalidCategoryMessage } from '../lib/categories.js';
+import {
+  createSession,
+  getSession,
+  listSessions,
+  appendChunk,
+  completeSession,
+  deleteSession,
+  UploadSessionError
+} from '../lib/resumable.js';
+import { hashIndex, defaultDuplicateMode, DUPLICATE_MODES } from '../lib/duplicates.js';
+import { queueMediaProcessing } from '../lib/processing.js';
+import { moveToTrash, purgeDate } from '../lib/trash.js';
+import { recordAudit, auditSnapshot } from '../lib/audit.js';
+import { StoreValidationError } from '../lib/schema.js';
 
 const router = express.Router();
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-const IMAGES_DB_PATH = join(__dirname, '../data/images.json');
-
-// Lazy Cloudinary configuration - only configure when needed
-let cloudinaryConfigured = false;
-
-function configureCloudinary() {
-  if (cloudinaryConfigured) return true;
-  
-  // Get and validate Cloudinary credentials
-  const cloudName = process.env.CLOUDINARY_CLOUD_NAME?.trim();
-  const apiKey = process.env.CLOUDINARY_API_KEY?.trim();
-  const apiSecret = process.env.CLOUDINARY_API_SECRET?.trim();
-
-  // Check if credentials are valid
-  if (!cloudName || !apiKey || !apiSecret) {
-    console.error('⚠️  Cloudinary credentials missing or empty:');
-    console.error('   CLOUDINARY_CLOUD_NAME:', cloudName || 'MISSING');
-    console.error('   CLOUDINARY_API_KEY:', apiKey ? '***' + apiKey.slice(-4) : 'MISSING');
-    console.error('   CLOUDINARY_API_SECRET:', apiSecret ? '***' + apiSecret.slice(-4) : 'MISSING');
-    return false;
-  }
-
-  // Configure Cloudinary
-  cloudinary.config({
-    cloud_name: cloudName,
-    api_key: apiKey,
-    api_secret: apiSecret
-  });
-
-  // Debug: Show masked credentials for verification
-  console.log('✅ Cloudinary credentials loaded successfully');
-  console.log('   Cloud Name:', cloudName);
-  console.log('   API Key:', apiKey ? '***' + apiKey.slice(-4) : 'MISSING');
-  console.log('   API Secret:', apiSecret ? '***' + apiSecret.slice(-4) : 'MISSING');
-  console.log('   ⚠️  If upload fails, verify these match your Cloudinary dashboard');
-  cloudinaryConfigured = true;
-  return true;
-}
-
-// Configure multer for file uploads (temporary storage before Cloudinary)
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 100 * 1024 * 1024 // 100MB limit (increased for large images/videos)
-  },
-  fileFilter: (req, file, cb) => {
-    // Allowed file extensions (including HEIC/HEIF for Apple devices)
-    const allowedExtensions = /\.(jpeg|jpg|png|gif|webp|bmp|svg|heic|heif|mp4|mov|avi|wmv|flv|webm|mkv)$/i;
-    
-    // Allowed MIME types (more lenient - accepts image/* and video/*)
-    const isImage = file.mimetype.startsWith('image/');
-    const isVideo = file.mimetype.startsWith('video/');
-    
-    // Special handling for HEIC/HEIF files which may have application/octet-stream MIME type
-    const isHeicFile = /\.(heic|heif)$/i.test(file.originalname);
-    
-    // Check if file has allowed extension OR is an image/video MIME type OR is HEIC/HEIF
-    const hasValidExtension = allowedExtensions.test(file.originalname);
-    const hasValidMimeType = isImage || isVideo;
-    
-    if (hasValidExtension || hasValidMimeType || isHeicFile) {
-      return cb(null, true);
-    } else {
-      console.error(`Rejected file: ${file.originalname}, mimetype: ${file.mimetype}`);
-      cb(new Error(`Only image and video files are allowed. Received: ${file.mimetype || 'unknown type'}`));
-    }
-  }
-});
 
 /**
  * POST /api/upload
- * Upload one or multiple images/videos to Cloudinary and save metadata
+ * Upload one or multiple images/videos to the storage provider and save metadata
  * Supports both 'files' (multiple) and 'file' (single) field names
+ * Requires the contributor role (admins included)
+ *
+ * Every file is reported separately in `results`; the ones that uploaded are saved even if
+ * others failed (status 207), so only the failed files need to be sent again.
+ * With atomic=true (form field or query) the batch is all-or-nothing: if any file fails,
+ * the ones already uploaded are deleted again and nothing is saved.
+ *
+ * Files whose exact bytes are already in the library are handled per duplicates=
+ * (form field or query, default DUPLICATE_UPLOADS or "reject"):
+ * - reject: not uploaded, reported as a failed "duplicate" with the existing image id
+ * - merge: not uploaded, the existing image counts as the result (and gets the caption if it had none)
+ * - allow: uploaded again
  */
-router.post('/', upload.any(), async (req, res) => {
+router.post('/', requireRole('contributor'), acceptUploads(), async (req, res) => {
+  const storage = getStorage();
+
   try {
-    // Configure Cloudinary (lazy initialization)
-    if (!configureCloudinary()) {
+    // Configure the storage provider (lazy initialization)
+    if (!storage.isConfigured()) {
       return res.status(500).json({ 
-        error: 'Cloudinary is not configured. Please check your .env file.' 
+        error: storage.notConfiguredMessage 
       });
     }
 
-    // Get all uploaded files (multer.any() puts all files in req.files array)
-    // Filter by fieldname to support both 'files' and 'file' field names
-    const files = (req.files || []).filter(file => 
-      file.fieldname === 'files' || file.fieldname === 'file'
-    );
-    
-    if (files.length === 0) {
+    const files = getUploadedFiles(req);
+    const rejected = getRejectedFiles(req);
+
+    if (files.length === 0 && rejected.length === 0) {
       return res.status(400).json({ error: 'No files uploaded' });
     }
 
     const { category, captions } = req.body; // captions can be JSON array or single string
-    
-    if (!category || !['josh', 'family', 'friends'].includes(category)) {
-      return res.status(400).json({ error: 'Invalid category. Must be: josh, family, or friends' });
-    }
+    const atomic = String(req.body.atomic ?? req.query.atomic) === 'true';
+    const duplicates = req.body.duplicates ?? req.query.duplicates ?? defaultDuplicateMode();
 
-    // Parse captions if provided as JSON array
-    let captionArray = [];
-    if (captions) {
-      try {
-        captionArray = JSON.parse(captions);
-      } catch {
-        // If not JSON, treat as single caption for all files
-        captionArray = [captions];
-      }
+    if (!DUPLICATE_MODES.includes(duplicates)) {
+      return res.status(400).json({ error: `duplicates must be one of: ${DUPLICATE_MODES.join(', ')}` });
     }
-
-    // Read current images database (create default if missing)
-    let images;
-    try {
-      const data = await readFile(IMAGES_DB_PATH, 'utf-8');
-      images = JSON.parse(data);
-    } catch (error) {
-      // If file doesn't exist, create default structure
-      images = { josh: [], family: [], friends: [] };
+    
+    const db = await readStore();
+    if (!category || !isCategory(db, category)) {
+      return res.status(400).json({ error: invalidCategoryMessage(db) });
     }
 
-    // Upload all files to Cloudinary
-    const uploadPromises = files.map((file, index) => {
-      return new Promise((resolve, reject) => {
-        const uploadStream = cloudinary.uploader.upload_stream(
-          {
-            folder: `josh-farewell/${category}`,
-            resource_type: 'auto', // auto-detect image or video
-          },
-          (error, result) => {
-            if (error) reject(error);
-            else resolve(result);
-          }
-        );
-        
-        uploadStream.end(file.buffer);
-      }).then(uploadResult => {
-        // Create image metadata
-        const caption = captionArray[index] || '';
-        return {
-          id: Date.now().toString() + index,
-          url: uploadResult.secure_url,
-          publicId: uploadResult.public_id,
-          category: category,
-          caption: caption,
-          uploadedAt: new Date().toISOString(),
-          width: uploadResult.width,
-          height: uploadResult.height,
-          format: uploadResult.format,
-          resourceType: uploadResult.resource_type
-        };
-      });
+    // Upload all files to the storage provider
+    const parsedCaptions = parseCaptions(captions);
+    const stored = await storeFiles(files, {
+      folder: categoryFolder(category),
+      category,
+      captions: parsedCaptions,
+      knownHashes: duplicates === 'allow' ? null : hashIndex(db.images)
     });
+    // Files of a type we don't accept fail on their own, in the order they were sent
+    let results = [...stored, ...rejected].sort((a, b) => a.index - b.index);
+    const storedImages = results.filter(result => result.image).map(result => result.image);
 
-    // Wait for all uploads to complete
-    const uploadedImages = await Promise.all(uploadPromises);
+    // Nothing is saved when a file failed and the batch is all-or-nothing, or none succeeded
+    const summarize = checked => {
+      const uploadedImages = checked.filter(result => result.image).map(result => result.image);
+      const merged = duplicates === 'merge' ? checked.filter(result => result.duplicateOf) : [];
+      const failedCount = checked.length - uploadedImages.length - merged.length;
+      return { uploadedImages, merged, failedCount, refused: failedCount > 0 && (atomic || uploadedImages.length + merged.length === 0) };
+    };
+    const refuse = async failedCount => {
+      const cleanupFailures = await destroyStoredFiles(storedImages);
+      const onlyDuplicatesFailed = results.every(result => !result.error);
+      const onlyRefused = results.every(result => !result.error || result.rejected);
+      return res.status(onlyDuplicatesFailed ? 409 : onlyRefused ? 400 : 500).json({
+        error: `${failedCount} of ${results.length} file(s) ${onlyDuplicatesFailed ? 'were duplicates' : 'failed to upload'}${atomic ? '; no files were saved' : ''}`,
+        results: results.map(result => toFileResult(result, { duplicates, rolledBack: atomic })),
+        count: 0,
+        ...(cleanupFailures.length > 0 && { cleanupFailures })
+      });
+    };
 
-    // Add all new images to database
-    uploadedImages.forEach(newImage => {
-      images[category].push(newImage);
-    });
+    const precheck = summarize(results);
+    if (precheck.refused) {
+      return refuse(precheck.failedCount);
+    }
 
-    // Ensure the data directory exists before saving
-    const dataDir = join(__dirname, '../data');
+    // Add the new images to the metadata store; if that fails, don't leave the files behind
+    let saved;
     try {
-      await mkdir(dataDir, { recursive: true });
-    } catch (dirError) {
-      console.error('Failed to create data directory:', dataDir, dirError);
-      // Continue anyway; writeFile will still throw if it cannot write
+      saved = await updateStore(db => {
+        const checked = recheckDuplicates(db, results, duplicates);
+        const outcome = summarize(checked);
+        if (outcome.refused) return { checked, outcome };
+
+        db.images.push(...outcome.uploadedImages);
+        const captioned = outcome.merged.map(({ index, duplicateOf }) => mergeDuplicate(db, duplicateOf.id, parsedCaptions[index]));
+        return { checked, outcome, captioned };
+      });
+    } catch (error) {
+      await destroyStoredFiles(storedImages);
+      throw error;
     }
 
-    // Save updated database
-    await writeFile(IMAGES_DB_PATH, JSON.stringify(images, null, 2));
+    results = saved.checked;
+    const { uploadedImages, merged, failedCount, refused } = saved.outcome;
+    if (refused) {
+      return refuse(failedCount);
+    }
+    // Files another upload saved first are not kept twice
+    await destroyStoredFiles(storedImages.filter(image => !uploadedImages.includes(image)));
+    await auditUploads(req, uploadedImages, saved.captioned);
+    await queueMediaProcessing(uploadedImages, req.user.username);
 
-    res.status(201).json({
-      message: `${uploadedImages.length} file(s) uploaded successfully`,
-      images: uploadedImages,
-      count: uploadedImages.length
+    const alreadyInGallery = merged.length > 0 ? `, ${merged.length} already in the gallery` : '';
+    res.status(failedCount > 0 ? 207 : uploadedImages.length > 0 ? 201 : 200).json({
+      message: failedCount > 0
+        ? `${uploadedImages.length} file(s) uploaded, ${failedCount} failed${alreadyInGallery}`
+        : `${uploadedImages.length} file(s) uploaded successfully${alreadyInGallery}`,
+      images: uploadedImages.map(withoutPrivateFields),
+      count: uploadedImages.length,
+      results: results.map(result => toFileResult(result, { duplicates }))
     });
   } catch (error) {
+    if (error instanceof StoreValidationError) {
+      return res.status(400).json({ error: error.message, problems: error.problems });
+    }
     console.error('Upload error:', error);
     
     // Provide helpful error messages for common issues
-    let errorMessage = error.message || 'Failed to upload file';
-    
-    if (error.http_code === 401) {
-      if (error.message?.includes('Invalid Signature')) {
-        errorMessage = 'Invalid API Secret. Please check your CLOUDINARY_API_SECRET in the .env file matches your Cloudinary dashboard.';
-      } else {
-        errorMessage = 'Authentication failed. Please verify your Cloudinary credentials in the .env file.';
-      }
-    }
+    const errorMessage = storage.describeError(error) || 'Failed to upload file';
     
     res.status(500).json({ error: errorMessage });
   }
 });
 
+// Re-check stored files against the library under the store lock: a file that another upload
+// saved since the hashes were read becomes a duplicate of that image
+function recheckDuplicates(db, results, duplicates) {
+  if (duplicates === 'allow') return results;
+
+  const known = hashIndex(db.images);
+  const late = new Set(results.filter(result => result.image && known.has(result.image.contentHash)).map(result => result.image.id));
+  return results.map(result => {
+    // Later files in the batch point at the first copy, which may be one of the late ones
+    const image = result.image || (late.has(result.duplicateOf?.id) ? result.duplicateOf : null);
+    if (!image || !known.has(image.contentHash)) return result;
+    return { index: result.index, filename: result.filename, duplicateOf: known.get(image.contentHash) };
+  });
+}
+
+// Give an existing image the caption of a duplicate upload if it has none yet
+// Returns { before, image } when it changed, otherwise null
+function mergeDuplicate(db, id, caption) {
+  const image = db.images.find(img => img.id === id);
+  if (image && !image.caption && caption) {
+    const before = auditSnapshot(image);
+    image.caption = String(caption);
+    image.updatedAt = new Date().toISOString();
+    return { before, image };
+  }
+  return null;
+}
+
+// One audit entry per new image, and one per existing image that got a merged duplicate's caption
+async function auditUploads(req, images, captioned = []) {
+  for (const image of images) {
+    await recordAudit(req, 'image.upload', { imageIds: [image.id], after: image });
+  }
+  for (const { before, image } of captioned.filter(Boolean)) {
+    await recordAudit(req, 'image.update', { imageIds: [image.id], before, after: image });
+  }
+}
+
+// Per-file outcome as returned by the API
+function toFileResult({ index, filename, image, error, duplicateOf, rejected }, { duplicates = 'reject', rolledBack = false } = {}) {
+  if (rejected) {
+    return { index, filename, status: 'rejected', error, retryable: false };
+  }
+  if (error) {
+    return { index, filename, status: 'failed', error, retryable: true };
+  }
+  if (duplicateOf && duplicates === 'merge') {
+    return { index, filename, status: rolledBack ? 'rolledBack' : 'merged', id: duplicateOf.id };
+  }
+  if (duplicateOf) {
+    return {
+      index,
+      filename,
+      status: 'duplicate',
+      error: `Already in the gallery (image ${duplicateOf.id})`,
+      duplicateOf: duplicateOf.id,
+      retryable: false
+    };
+  }
+  if (rolledBack) {
+    return { index, filename, status: 'rolledBack' };
+  }
+  return { index, filename, status: 'succeeded', id: image.id };
+}
+
+// Session as returned by the API
+function toSessionResponse(session) {
+  return {
+    id: session.id,
+    filename: session.filename,
+    category: session.category,
+    size: session.size,
+    offset: session.offset,
+    progress: Math.floor((session.offset / session.size) * 100),
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt
+  };
+}
+
+// Load a session the current user may touch (their own, or any for admins) or send 404
+async function findSession(req, res) {
+  const session = await getSession(req.params.id);
+  if (!session || (session.createdBy !== req.user.username && req.user.role !== 'admin')) {
+    res.status(404).json({ error: 'Upload not found' });
+    return null;
+  }
+  res.set({ 'Upload-Offset': String(session.offset), 'Upload-Length': String(session.size), 'Cache-Control': 'no-store' });
+  return session;
+}
+
+function sendSessionError(res, error, fallback) {
+  if (error instanceof UploadSessionError) {
+    if (error.offset !== undefined) res.set('Upload-Offset', String(error.offset));
+    return res.status(error.status).json({ error: error.message, offset: error.offset });
+  }
+  if (error instanceof StoreValidationError) {
+    return res.status(400).json({ error: error.message, problems: error.problems });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: getStorage().describeError(error) || fallback });
+}
+
 /**
- * DELETE /api/upload/:id
- * Delete an image from Cloudinary and database
+ * POST /api/upload/sessions
+ * Start a resumable upload (for large videos and flaky connections)
+ * Requires the contributor role
+ * Body: { filename, size, mimetype?, category, caption?, duplicates? } - size in bytes,
+ *   duplicates as for POST /api/upload
+ * Then send the bytes with PATCH /api/upload/sessions/:id
  */
-router.delete('/:id', async (req, res) => {
+router.post('/sessions', requireRole('contributor'), async (req, res) => {
   try {
-    // Configure Cloudinary (lazy initialization)
-    if (!configureCloudinary()) {
-      return res.status(500).json({ 
-        error: 'Cloudinary is not configured. Please check your .env file.' 
-      });
+    const { filename, size, mimetype = '', category, caption = '', duplicates = defaultDuplicateMode() } = req.body || {};
+
+    if (!filename || typeof filename !== 'string') {
+      return res.status(400).json({ error: 'filename is required' });
+    }
+    if (!DUPLICATE_MODES.includes(duplicates)) {
+      return res.status(400).json({ error: `duplicates must be one of: ${DUPLICATE_MODES.join(', ')}` });
+    }
+    if (!isAllowedUpload(filename, String(mimetype))) {
+      return res.status(400).json({ error: `Only image and video files are allowed. Received: ${mimetype || filename}` });
     }
 
-    const { id } = req.params;
+    const db = await readStore();
+    if (!category || !isCategory(db, category)) {
+      return res.status(400).json({ error: invalidCategoryMessage(db) });
+    }
 
-    // Read current images database
-    const data = await readFile(IMAGES_DB_PATH, 'utf-8');
-    const images = JSON.parse(data);
+    const session = await createSession({
+      filename,
+      size,
+      mimetype: String(mimetype),
+      category,
+      caption: String(caption),
+      duplicates,
+      createdBy: req.user.username
+    });
 
-    // Find and remove image
-    let found = false;
-    let publicId = null;
-    
-    for (const category of ['josh', 'family', 'friends']) {
-      const index = images[category].findIndex(img => img.id === id);
-      if (index !== -1) {
-        publicId = images[category][index].publicId;
-        images[category].splice(index, 1);
-        found = true;
-        break;
-      }
+    res.status(201)
+      .set('Location', `${req.baseUrl}/sessions/${session.id}`)
+      .json(toSessionResponse(session));
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to start upload');
+  }
+});
+
+/**
+ * GET /api/upload/sessions
+ * The current user's unfinished uploads with their progress (contributor role)
+ */
+router.get('/sessions', requireRole('contributor'), async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.username);
+    res.json(sessions.map(toSessionResponse));
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to list uploads');
+  }
+});
+
+/**
+ * HEAD|GET /api/upload/sessions/:id
+ * How many bytes the server has - resume from the Upload-Offset header / offset field
+ */
+router.get('/sessions/:id', requireRole('contributor'), async (req, res) => {
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+    res.json(toSessionResponse(session));
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to read upload');
+  }
+});
+
+/**
+ * PATCH /api/upload/sessions/:id
+ * Append bytes to an upload (contributor role)
+ * Headers: Upload-Offset: <bytes the server already has>, Content-Type: application/offset+octet-stream
+ * Body: the next part of the file, any size
+ * Answers 409 with the server's offset when Upload-Offset doesn't match. Once every byte has
+ * arrived the file is sent to the storage provider and the new image is returned (201).
+ */
+router.patch('/sessions/:id', requireRole('contributor'), async (req, res) => {
+  const storage = getStorage();
+
+  try {
+    if (!storage.isConfigured()) {
+      return res.status(500).json({ error: storage.notConfiguredMessage });
+    }
+
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Upload-Offset header must be the number of bytes already uploaded' });
     }
 
-    if (!found) {
-      return res.status(404).json({ error: 'Image not found' });
+    const updated = await appendChunk(session, offset, req);
+    res.set('Upload-Offset', String(updated.offset));
+
+    if (updated.offset < updated.size) {
+      return res.json(toSessionResponse(updated));
     }
 
-    // Delete from Cloudinary
-    if (publicId) {
-      await cloudinary.uploader.destroy(publicId);
+    const result = await completeSession(updated, async dataPath => {
+      const db = await readStore();
+      if (!isCategory(db, session.category)) {
+        throw new UploadSessionError(409, `${invalidCategoryMessage(db)} (the category was removed during the upload)`, updated.offset);
+      }
+
+      const [result] = await storeFiles(
+        [{ path: dataPath, originalname: session.filename, mimetype: session.mimetype }],
+        {
+          folder: categoryFolder(session.category),
+          category: session.category,
+          captions: [session.caption],
+          knownHashes: session.duplicates === 'allow' ? null : hashIndex(db.images)
+        }
+      );
+      // The bytes stay in the session, so the client can retry with an empty PATCH
+      if (result.error) throw new Error(result.error);
+
+      let checked = result;
+      let captioned = null;
+      try {
+        await updateStore(db => {
+          [checked] = recheckDuplicates(db, [result], session.duplicates);
+          if (checked.image) {
+            db.images.push(checked.image);
+          } else if (session.duplicates === 'merge') {
+            captioned = mergeDuplicate(db, checked.duplicateOf.id, session.caption);
+          }
+        });
+      } catch (error) {
+        if (result.image) await destroyStoredFiles([result.image]);
+        throw error;
+      }
+      // Another upload saved the same file first
+      if (result.image && !checked.image) await destroyStoredFiles([result.image]);
+      await auditUploads(req, checked.image ? [checked.image] : [], [captioned]);
+      return checked;
+    });
+    if (result.image) await queueMediaProcessing([result.image], req.user.username);
+
+    if (result.duplicateOf && session.duplicates !== 'merge') {
+      return res.status(409).json({
+        error: `Already in the gallery (image ${result.duplicateOf.id})`,
+        duplicateOf: result.duplicateOf.id,
+        results: [toFileResult(result, { duplicates: session.duplicates })]
+      });
     }
 
-    // Save updated database
-    await writeFile(IMAGES_DB_PATH, JSON.stringify(images, null, 2));
+    res.status(result.image ? 201 : 200).json({
+      message: result.image ? '1 file(s) uploaded successfully' : 'This file is already in the gallery',
+      images: result.image ? [withoutPrivateFields(result.image)] : [],
+      count: result.image ? 1 : 0,
+      results: [toFileResult(result, { duplicates: session.duplicates })]
+    });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to upload file');
+  }
+});
+
+/**
+ * DELETE /api/upload/sessions/:id
+ * Abandon an upload and discard the bytes received so far (contributor role)
+ */
+router.delete('/sessions/:id', requireRole('contributor'), async (req, res) => {
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    await deleteSession(session.id);
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to cancel upload');
+  }
+});
+
+/**
+ * DELETE /api/upload/:id
+ * Move an image to the trash (admin only)
+ * It can be restored from /api/trash until it is purged after TRASH_RETENTION_DAYS.
+ */
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await updateStore(db => {
+      const before = auditSnapshot(db.images.find(img => img.id === req.params.id));
+      return { before, ...moveToTrash(db, req.params.id, req.user.username) };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    await recordAudit(req, 'image.delete', { imageIds: [req.params.id], before: result.before, after: result.image });
 
-    res.json({ message: 'Image deleted successfully' });
+    res.json({ message: 'Image moved to the trash', purgeAt: purgeDate(result.image) });
   } catch (error) {
+    if (error instanceof StoreValidationError) {
+      return res.status(400).json({ error: error.message, problems: error.problems });
+    }
     console.error('Delete error:', error);
     res.status(500).json({ error: 'Failed to delete image' });
   }
@@ -0,0 +1,43 @@
+import dotenv from 'dotenv';
+import { createBackup, backupDir } from '../lib/backup.js';
+
+dotenv.config();
+
+/**
+ * Back up the metadata store to BACKUP_DIR
+ * Usage: npm run backup [-- --media]
+ * With --media the original of every image and guestbook photo is copied into the backup too.
+ * The server also takes scheduled backups (BACKUP_INTERVAL_HOURS) and admins can take one from
+ * POST /api/backups.
+ */
+const media = process.argv.includes('--media');
+
+async function main() {
+  console.log(`💾 Backing up the metadata store${media ? ' and media files' : ''} to ${backupDir()}...\n`);
+
+  let shown = 0;
+  const backup = await createBackup({
+    media,
+    createdBy: 'script:backup',
+    progress: (done, total) => {
+      // Every 10% is plenty for a terminal
+      if (done === total || done - shown >= total / 10) {
+        console.log(`   ${done}/${total} media files`);
+        shown = done;
+      }
+    }
+  });
+
+  console.log(`\n✅ Backup ${backup.id} complete!`);
+  for (const [collection, count] of Object.entries(backup.counts)) {
+    console.log(`   - ${collection}: ${count}`);
+  }
+  if (media) {
+    console.log(`   - media files: ${backup.media.files}${backup.media.missing ? ` (⚠️  ${backup.media.missing} could not be downloaded)` : ''}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Backup failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+import dotenv from 'dotenv';
+import { getStorage, categoryFolder } from '../lib/storage/index.js';
+import { readStore, updateStore } from '../lib/store.js';
+import { categorySlugs } from '../lib/categories.js';
+import { PENDING_FOLDER } from '../lib/media.js';
+import { perceptualHashEnabled } from '../lib/duplicates.js';
+
+dotenv.config();
+
+/**
+ * Backfill content hashes (and perceptual hashes) for images uploaded before duplicate detection
+ * Usage: npm run hash-images
+ * Content hashes come from the storage provider's listing (the MD5 etag). With
+ * PERCEPTUAL_HASH=true and a provider that computes them (Cloudinary), perceptual hashes are
+ * fetched one image at a time.
+ * Safe to run again: images that already have hashes are left alone.
+ */
+const storage = getStorage();
+
+// Providers limit API calls per hour (Cloudinary's Admin API), so hashes are fetched slowly
+const PHASH_DELAY_MS = 200;
+
+async function main() {
+  console.log(`🔎 Hashing images in ${storage.name} storage...\n`);
+
+  if (!storage.isConfigured()) {
+    console.error(`❌ ${storage.notConfiguredMessage}`);
+    process.exit(1);
+  }
+
+  const db = await readStore();
+  const missing = db.images.filter(image => image.publicId && !image.contentHash);
+  console.log(`📊 ${missing.length} of ${db.images.length} images have no content hash`);
+
+  // One listing per folder gives the etag of every file in it
+  const etags = new Map();
+  const folders = [...categorySlugs(db).map(categoryFolder), PENDING_FOLDER];
+  if (missing.length > 0) {
+    for (const folder of folders) {
+      console.log(`📁 Listing ${folder}...`);
+      for (const file of await storage.list(folder)) {
+        if (file.etag) etags.set(file.publicId, file.etag);
+      }
+    }
+  }
+
+  const hashes = new Map();
+  for (const image of missing) {
+    if (etags.has(image.publicId)) {
+      hashes.set(image.id, { contentHash: etags.get(image.publicId) });
+    }
+  }
+
+  if (perceptualHashEnabled() && storage.perceptualHash) {
+    const needPhash = db.images.filter(image => image.publicId && !image.phash && image.resourceType !== 'video');
+    console.log(`\n🖼️  Fetching perceptual hashes for ${needPhash.length} images...`);
+
+    for (const image of needPhash) {
+      try {
+        const phash = await storage.perceptualHash(image.publicId, { resourceType: image.resourceType || 'image' });
+        if (phash) hashes.set(image.id, { ...hashes.get(image.id), phash });
+      } catch (error) {
+        console.error(`   ⚠️  ${image.publicId}: ${error.message}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, PHASH_DELAY_MS));
+    }
+  } else if (perceptualHashEnabled()) {
+    console.log(`\n⚠️  ${storage.name} storage can't compute perceptual hashes (Cloudinary can)`);
+  }
+
+  const updated = await updateStore(db => {
+    let count = 0;
+    for (const image of db.images) {
+      const found = hashes.get(image.id);
+      if (!found) continue;
+      if (found.contentHash && !image.contentHash) image.contentHash = found.contentHash;
+      if (found.phash && !image.phash) image.phash = found.phash;
+      count++;
+    }
+    return count;
+  });
+
+  const unresolved = missing.filter(image => !hashes.get(image.id)?.contentHash);
+  console.log('\n✅ Hashing complete!');
+  console.log(`   - Updated: ${updated} images`);
+  if (unresolved.length > 0) {
+    console.log(`   - No file found in storage for ${unresolved.length} images:`);
+    unresolved.forEach(image => console.log(`     ${image.id} (${image.publicId})`));
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Hashing failed:', error);
+  process.exit(1);
+});
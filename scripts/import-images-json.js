@@ -0,0 +1,34 @@
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+import dotenv from 'dotenv';
+import { importLegacyImages, getStorePath, LEGACY_IMAGES_PATH } from '../lib/store.js';
+
+dotenv.config();
+
+/**
+ * One-time import of a legacy images.json into the metadata store
+ * Usage: npm run import-images -- [path/to/images.json]
+ * Records whose id is already in the store are skipped, so it is safe to run again.
+ */
+async function main() {
+  const legacyPath = process.argv[2] ? resolve(process.argv[2]) : LEGACY_IMAGES_PATH;
+
+  if (!existsSync(legacyPath)) {
+    console.error(`❌ File not found: ${legacyPath}`);
+    process.exit(1);
+  }
+
+  console.log(`📥 Importing ${legacyPath}`);
+  console.log(`   into ${getStorePath()}...\n`);
+
+  const { imported, skipped } = await importLegacyImages(legacyPath);
+
+  console.log('✅ Import complete!');
+  console.log(`   - Imported: ${imported} images`);
+  console.log(`   - Skipped (already in store): ${skipped} images`);
+}
+
+main().catch(error => {
+  console.error('❌ Import failed:', error);
+  process.exit(1);
+});
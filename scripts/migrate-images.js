@@ -1,31 +1,26 @@
 import { readdir, readFile } from 'fs/promises';
-import { join, dirname } from 'path';
+import { randomUUID } from 'crypto';
+import { join, dirname, basename } from 'path';
 import { fileURLToPath } from 'url';
-import { v2 as cloudinary } from 'cloudinary';
 import dotenv from 'dotenv';
-import { writeFile } from 'fs/promises';
+import { getStorage, categoryFolder } from '../lib/storage/index.js';
+import { readStore, updateStore } from '../lib/store.js';
+import { recordAudit } from '../lib/audit.js';
+import { categorySlugs } from '../lib/categories.js';
+import { contentHash, hashIndex, perceptualHashEnabled } from '../lib/duplicates.js';
+import { mayHaveExif, processExif } from '../lib/exif.js';
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+const storage = getStorage();
 
 const PROJECT_ROOT = join(__dirname, '../..');
-const IMAGES_DB_PATH = join(__dirname, '../data/images.json');
 
-// Image directories mapping
-const imageDirs = {
-  josh: join(PROJECT_ROOT, 'josh_images'),
-  family: join(PROJECT_ROOT, 'family_images'),
-  friends: join(PROJECT_ROOT, 'friends_images')
-};
+// Image directories: <category>_images next to the server folder, e.g. ../josh_images
+const imageDirFor = (category) => join(PROJECT_ROOT, `${category}_images`);
 
 // Captions mapping (you can customize these)
 const captions = {
@@ -51,26 +46,51 @@ const captions = {
   ]
 };
 
-async function uploadImage(filePath, category, caption = '') {
+async function uploadImage(filePath, category, caption = '', knownHashes) {
   try {
+    const buffer = await readFile(filePath);
+    // Read EXIF and strip GPS tags before hashing, the same way uploads are processed
+    const exif = mayHaveExif({ originalname: basename(filePath) }) ? await processExif(buffer) : null;
+    const hash = await contentHash(buffer);
+
+    // Skip files that are already in the library (e.g. from an earlier, interrupted run)
+    if (knownHashes.has(hash)) {
+      console.log(`⏭️  Skipping ${filePath}: duplicate of image ${knownHashes.get(hash).id}`);
+      return null;
+    }
+
     console.log(`Uploading: ${filePath}`);
     
-    const result = await cloudinary.uploader.upload(filePath, {
-      folder: `josh-farewell/${category}`,
-      resource_type: 'auto'
+    const result = await storage.upload(buffer, {
+      folder: categoryFolder(category),
+      resourceType: 'auto',
+      filename: basename(filePath),
+      phash: perceptualHashEnabled()
     });
+    // The server does this in a background job; the script has no queue, so it waits
+    const video = result.resourceType === 'video' && storage.processVideo
+      ? await storage.processVideo(result.publicId)
+      : null;
 
     return {
-      id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
-      url: result.secure_url,
-      publicId: result.public_id,
+      id: randomUUID(),
+      url: result.url,
+      publicId: result.publicId,
       category: category,
       caption: caption,
       uploadedAt: new Date().toISOString(),
       width: result.width,
       height: result.height,
       format: result.format,
-      resourceType: result.resource_type
+      resourceType: result.resourceType,
+      contentHash: hash,
+      ...(result.phash && { phash: result.phash }),
+      ...(result.duration && { duration: result.duration }),
+      ...(video && { width: video.width, height: video.height }),
+      ...(video?.duration && { duration: video.duration }),
+      ...(video?.derived && { derived: video.derived }),
+      ...exif,
+      status: 'published'
     };
   } catch (error) {
     console.error(`Error uploading ${filePath}:`, error.message);
@@ -78,8 +98,8 @@ async function uploadImage(filePath, category, caption = '') {
   }
 }
 
-async function migrateCategory(category) {
-  const dirPath = imageDirs[category];
+async function migrateCategory(category, knownHashes) {
+  const dirPath = imageDirFor(category);
   const images = [];
   
   try {
@@ -95,9 +115,10 @@ async function migrateCategory(category) {
       const filePath = join(dirPath, file);
       const caption = captions[category]?.[i] || '';
       
-      const imageData = await uploadImage(filePath, category, caption);
+      const imageData = await uploadImage(filePath, category, caption, knownHashes);
       if (imageData) {
         images.push(imageData);
+        knownHashes.set(imageData.contentHash, imageData);
         console.log(`✅ Uploaded ${i + 1}/${imageFiles.length}: ${file}`);
       }
       
@@ -112,31 +133,37 @@ async function migrateCategory(category) {
 }
 
 async function main() {
-  console.log('🚀 Starting image migration to Cloudinary...\n');
+  console.log(`🚀 Starting image migration to ${storage.name} storage...\n`);
 
-  // Read or create images database
-  let imagesDb = { josh: [], family: [], friends: [] };
-  try {
-    const data = await readFile(IMAGES_DB_PATH, 'utf-8');
-    imagesDb = JSON.parse(data);
-  } catch (error) {
-    console.log('Creating new images database...');
+  if (!storage.isConfigured()) {
+    console.error(`❌ ${storage.notConfiguredMessage}`);
+    process.exit(1);
   }
 
-  // Migrate each category
-  for (const category of ['josh', 'family', 'friends']) {
-    const images = await migrateCategory(category);
-    imagesDb[category] = [...imagesDb[category], ...images];
+  // Migrate each category, saving as we go so an interrupted run keeps what it uploaded
+  const db = await readStore();
+  const categories = categorySlugs(db);
+  const knownHashes = hashIndex(db.images);
+  const migrated = {};
+  for (const category of categories) {
+    const images = await migrateCategory(category, knownHashes);
+    await updateStore(db => {
+      db.images.push(...images);
+    });
+    if (images.length > 0) {
+      await recordAudit('script:migrate-images', 'image.upload', {
+        imageIds: images.map(image => image.id),
+        after: images
+      });
+    }
+    migrated[category] = images.length;
   }
 
-  // Save to database
-  await writeFile(IMAGES_DB_PATH, JSON.stringify(imagesDb, null, 2));
-
   console.log('\n✅ Migration complete!');
   console.log(`📊 Total images migrated:`);
-  console.log(`   - Josh: ${imagesDb.josh.length}`);
-  console.log(`   - Family: ${imagesDb.family.length}`);
-  console.log(`   - Friends: ${imagesDb.friends.length}`);
+  for (const category of categories) {
+    console.log(`   - ${category}: ${migrated[category]}`);
+  }
 }
 
 main().catch(console.error);
@@ -0,0 +1,72 @@
+import { existsSync } from 'fs';
+import dotenv from 'dotenv';
+import { listBackups, loadBackupFile, readBackup, restoreBackup, restoreMedia, validateBackup } from '../lib/backup.js';
+
+dotenv.config();
+
+/**
+ * Restore the metadata store from a backup
+ * Usage: npm run restore -- [<backup id> | path/to/backup.json | path/to/backup-folder] [--media] [--dry-run]
+ * Without a backup the newest one in BACKUP_DIR is used. The backup is validated first, and
+ * a "pre-restore" backup of the current store is taken so the restore can be undone.
+ * With --media, files the restored records point at that are gone from storage are uploaded
+ * again from the backup (it must have been taken with --media). --dry-run only validates.
+ */
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const media = args.includes('--media');
+const source = args.find(arg => !arg.startsWith('--'));
+
+async function findBackup() {
+  if (!source) {
+    const [newest] = await listBackups();
+    return newest ? readBackup(newest.id) : null;
+  }
+  if (existsSync(source)) return loadBackupFile(source);
+  return readBackup(source);
+}
+
+async function main() {
+  const backup = await findBackup();
+  if (!backup) {
+    console.error(`❌ ${source ? `Backup not found: ${source}` : 'There are no backups'}`);
+    process.exit(1);
+  }
+
+  console.log(`🔍 Checking backup ${backup.id} (${backup.kind}, ${backup.createdAt})...`);
+  const problems = validateBackup(backup);
+  if (problems.length > 0) {
+    console.error(`❌ The backup is not valid:`);
+    problems.forEach(problem => console.error(`   - ${problem}`));
+    process.exit(1);
+  }
+  if (media && !backup.media?.included) {
+    console.error('❌ This backup does not include media files - run without --media');
+    process.exit(1);
+  }
+  console.log('✅ The backup is valid');
+  if (dryRun) {
+    console.log('\nRun without --dry-run to restore it.');
+    return;
+  }
+
+  const { counts, safetyBackup } = await restoreBackup(backup, { actor: 'script:restore' });
+  console.log(`\n♻️  Restored ${counts.images} images, ${counts.categories} categories and ${counts.users} users`);
+  console.log(`   The previous store was saved as backup ${safetyBackup.id}`);
+
+  if (media) {
+    console.log('\n📤 Uploading media files missing from storage...');
+    const result = await restoreMedia(backup);
+    console.log(`   - Uploaded: ${result.uploaded}`);
+    console.log(`   - Already in storage: ${result.present}`);
+    if (result.unavailable) console.log(`   - ⚠️  Not in the backup: ${result.unavailable}`);
+    result.failed.forEach(({ publicId, error }) => console.log(`   - ❌ ${publicId}: ${error}`));
+  }
+
+  console.log('\n✅ Restore complete!');
+}
+
+main().catch(error => {
+  console.error('❌ Restore failed:', error);
+  process.exit(1);
+});
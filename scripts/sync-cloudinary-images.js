@@ -1,138 +1,56 @@
-import { readFile, writeFile } from 'fs/promises';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { v2 as cloudinary } from 'cloudinary';
 import dotenv from 'dotenv';
+import { getStorage } from '../lib/storage/index.js';
+import { reconcileStorage } from '../lib/sync.js';
 
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
-const IMAGES_DB_PATH = join(__dirname, '../data/images.json');
-
-/**
- * Fetch all resources from a Cloudinary folder
- */
-async function fetchCloudinaryResources(folderPath) {
-  try {
-    // Use the resources API instead of search API
-    const result = await cloudinary.api.resources({
-      type: 'upload',
-      prefix: folderPath,
-      max_results: 500
-    });
-
-    return result.resources || [];
-  } catch (error) {
-    console.error(`Error fetching resources from ${folderPath}:`, error);
-    console.error(`Error details:`, error.message || error);
-    return [];
-  }
-}
-
 /**
- * Convert Cloudinary resource to our image format
+ * Reconcile the metadata store with the storage provider (Cloudinary unless STORAGE_PROVIDER says otherwise)
+ * Usage: npm run sync-cloudinary [-- --dry-run]
+ * Records are matched by publicId: new files get a record, records whose file is gone are
+ * flagged with missingAt and files that can't be added are listed as orphaned. Captions,
+ * order and other edits are never touched. With --dry-run only the diff is printed.
+ * The same reconcile runs from the admin API: GET/POST /api/images/reconcile.
  */
-function cloudinaryResourceToImage(resource, category) {
-  return {
-    id: resource.public_id?.replace(/\//g, '_') + '_' + (resource.created_at || Date.now()) || Date.now().toString(),
-    url: resource.secure_url,
-    publicId: resource.public_id,
-    category: category,
-    caption: '',
-    uploadedAt: resource.created_at ? new Date(resource.created_at).toISOString() : new Date().toISOString(),
-    width: resource.width,
-    height: resource.height,
-    format: resource.format,
-    resourceType: resource.resource_type || 'image'
-  };
-}
+const dryRun = process.argv.includes('--dry-run');
 
-/**
- * Sync images from Cloudinary folders to the database
- */
-async function syncCloudinaryToDatabase() {
-  console.log('🔄 Starting Cloudinary sync...\n');
+// At most this many entries of each list are printed
+const MAX_LISTED = 50;
 
-  // Test Cloudinary connection first
-  try {
-    const testResult = await cloudinary.api.ping();
-    console.log('✅ Cloudinary connection successful\n');
-  } catch (error) {
-    console.error('❌ Cloudinary connection failed:', error.message);
-    console.error('Please check your .env file has CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, and CLOUDINARY_API_SECRET');
-    return;
+function printList(title, items, describe) {
+  console.log(`\n${title}: ${items.length}`);
+  for (const item of items.slice(0, MAX_LISTED)) {
+    console.log(`   - ${describe(item)}`);
   }
-
-  const categories = ['josh', 'family', 'friends'];
-  const imagesDb = { josh: [], family: [], friends: [] };
-
-  // Try to preserve existing database (but we'll overwrite with Cloudinary data)
-  let existingData = null;
-  try {
-    const existingFile = await readFile(IMAGES_DB_PATH, 'utf-8');
-    existingData = JSON.parse(existingFile);
-    console.log('📂 Found existing database with:');
-    console.log(`   - Josh: ${existingData.josh?.length || 0} images`);
-    console.log(`   - Family: ${existingData.family?.length || 0} images`);
-    console.log(`   - Friends: ${existingData.friends?.length || 0} images\n`);
-  } catch (error) {
-    console.log('📂 No existing database found, creating new one\n');
+  if (items.length > MAX_LISTED) {
+    console.log(`   ... and ${items.length - MAX_LISTED} more`);
   }
+}
 
-  // Fetch all images from each Cloudinary folder
-  for (const category of categories) {
-    const folderPath = `josh-farewell/${category}`;
-    console.log(`📁 Fetching images from Cloudinary folder: ${folderPath}...`);
-    
-    const resources = await fetchCloudinaryResources(folderPath);
-    console.log(`   Found ${resources.length} resources from Cloudinary`);
-
-    if (resources.length > 0) {
-      // Convert Cloudinary resources to our format
-      const images = resources.map(resource => 
-        cloudinaryResourceToImage(resource, category)
-      );
+async function main() {
+  const storage = getStorage();
+  console.log(`🔄 Reconciling with ${storage.name} storage${dryRun ? ' (dry run - nothing is changed)' : ''}...\n`);
 
-      imagesDb[category] = images;
-      console.log(`   ✅ Synced ${images.length} images from Cloudinary to ${category} category\n`);
-    } else {
-      // If Cloudinary fetch failed, use existing data
-      if (existingData && existingData[category] && existingData[category].length > 0) {
-        console.log(`   ⚠️  Cloudinary fetch failed, using existing ${existingData[category].length} images from database for ${category}`);
-        // Fix category property in existing data if needed
-        imagesDb[category] = existingData[category].map(img => ({
-          ...img,
-          category: category // Ensure category is correct
-        }));
-      } else {
-        console.log(`   ⚠️  No images found for ${category} (neither Cloudinary nor existing data)\n`);
-        imagesDb[category] = [];
-      }
-    }
+  if (!storage.isConfigured()) {
+    console.error(`❌ ${storage.notConfiguredMessage}`);
+    process.exit(1);
   }
 
-  // Save to database
-  await writeFile(IMAGES_DB_PATH, JSON.stringify(imagesDb, null, 2));
+  const report = await reconcileStorage({ dryRun, actor: 'script:sync-cloudinary' });
+
+  printList(dryRun ? '➕ Would add' : '➕ Added', report.added, item => `${item.publicId} → ${item.category}`);
+  printList(dryRun ? '⚠️  Would flag as missing' : '⚠️  Missing in storage (flagged)', report.missing,
+    item => `${item.id} ${item.publicId}${item.caption ? ` "${item.caption}"` : ''}`);
+  printList(dryRun ? '♻️  Would clear missing flag' : '♻️  Back in storage (flag cleared)', report.restored,
+    item => `${item.id} ${item.publicId}`);
+  printList('👻 Orphaned in storage (not changed)', report.orphaned,
+    item => item.duplicateOf ? `${item.publicId} (same file as image ${item.duplicateOf})` : item.publicId);
 
-  console.log('✅ Sync complete!');
-  console.log(`📊 Final database stats:`);
-  console.log(`   - Josh: ${imagesDb.josh.length} images`);
-  console.log(`   - Family: ${imagesDb.family.length} images`);
-  console.log(`   - Friends: ${imagesDb.friends.length} images`);
-  console.log(`   - Total: ${imagesDb.josh.length + imagesDb.family.length + imagesDb.friends.length} images`);
+  console.log(`\n📊 ${report.listed} stored files, ${report.unchanged} records unchanged`);
+  console.log(dryRun ? '\nRun without --dry-run to apply.' : '\n✅ Reconcile complete!');
 }
 
-// Run the sync
-syncCloudinaryToDatabase().catch(error => {
-  console.error('❌ Sync failed:', error);
+main().catch(error => {
+  console.error('❌ Reconcile failed:', error.message);
   process.exit(1);
 });
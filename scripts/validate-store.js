@@ -0,0 +1,51 @@
+import dotenv from 'dotenv';
+import { readStore, getStorePath, STORE_VERSION } from '../lib/store.js';
+import { validateStore } from '../lib/schema.js';
+
+dotenv.config();
+
+/**
+ * Check the metadata store against the image record schema (lib/schema.js)
+ * Usage: npm run validate
+ * Opening the store applies any pending migrations first (lib/migrations.js). Records that
+ * still don't match - e.g. an image whose category can't be worked out from where its file
+ * is stored - are listed, with lists that point at images that don't exist. Nothing is
+ * changed. Fix a caption, category or date with PATCH /api/images/:id (a write only has to
+ * not add problems, so malformed records can still be edited); anything else, such as an
+ * unknown field, by hand in the store file while the server is stopped.
+ * Exits with 1 when something is wrong.
+ */
+
+// At most this many problems are printed
+const MAX_LISTED = 100;
+
+async function main() {
+  console.log(`🔍 Validating ${getStorePath()}...\n`);
+
+  const db = await readStore();
+  const problems = validateStore(db);
+
+  console.log(`📊 Store version ${db.version} (current ${STORE_VERSION}), ${db.images.length} images`);
+  if (problems.length === 0) {
+    console.log('\n✅ Every record matches the schema');
+    return;
+  }
+
+  const byId = new Map(db.images.map(image => [image.id, image]));
+  console.log(`\n⚠️  ${problems.length} records have problems:`);
+  for (const { collection, id, errors } of problems.slice(0, MAX_LISTED)) {
+    const image = collection === 'images' ? byId.get(id) : null;
+    const label = image ? `${id} (${image.url || image.publicId || 'no URL'})` : id ?? '';
+    console.log(`\n   ${collection} ${label}`);
+    errors.forEach(error => console.log(`      - ${error}`));
+  }
+  if (problems.length > MAX_LISTED) {
+    console.log(`\n   ... and ${problems.length - MAX_LISTED} more`);
+  }
+  process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error('❌ Validation failed:', error);
+  process.exit(1);
+});
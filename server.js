@@ -13,14 +13,44 @@ import cors from 'cors';
 import { existsSync } from 'fs';
 import imageRoutes from './routes/images.js';
 import uploadRoutes from './routes/upload.js';
+import authRoutes from './routes/auth.js';
+import submissionRoutes from './routes/submissions.js';
+import categoryRoutes from './routes/categories.js';
+import searchRoutes from './routes/search.js';
+import timelineRoutes from './routes/timeline.js';
+import albumRoutes from './routes/albums.js';
+import guestbookRoutes from './routes/guestbook.js';
+import reactionRoutes from './routes/reactions.js';
+import commentRoutes from './routes/comments.js';
+import archiveRoutes from './routes/archives.js';
+import jobRoutes from './routes/jobs.js';
+import trashRoutes from './routes/trash.js';
+import auditRoutes from './routes/audit.js';
+import backupRoutes from './routes/backups.js';
+import { authenticate, ensureBootstrapAdmin } from './lib/auth.js';
+import { getStorage } from './lib/storage/index.js';
+import { readStore } from './lib/store.js';
+import { isPublicFile } from './lib/media.js';
+import { getPresets } from './lib/presets.js';
+import { startJobQueue } from './lib/jobs.js';
+import { schedulePurge, trashRetentionDays } from './lib/trash.js';
+import { restoreLatestIfWiped, scheduleBackups } from './lib/backup.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy (e.g. Render) trust X-Forwarded-For so req.ip is the visitor's
+// address - rate limits are per IP. TRUST_PROXY is the number of proxies in front, or "true".
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true');
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(authenticate); // Sets req.user from the bearer token or session cookie
 
 // Serve static files from the dist folder (for production) - only if it exists
 const distPath = join(__dirname, '../dist');
@@ -28,14 +58,49 @@ if (existsSync(distPath)) {
   app.use(express.static(distPath));
 }
 
-// Serve admin page
+// Serve uploaded media when the storage provider keeps files locally
+const storage = getStorage();
+if (storage.mount) {
+  storage.mount(app, {
+    canServe: async (req, publicId) => req.user?.role === 'admin' || isPublicFile(await readStore(), publicId)
+  });
+}
+
+// Read the image presets now so a broken IMAGE_PRESETS_PATH file stops the server at startup
+getPresets();
+// Check the trash retention now so a bad TRASH_RETENTION_DAYS is reported at startup
+trashRetentionDays();
+
+// Serve admin login page
+app.get('/admin/login', (req, res) => {
+  res.sendFile(join(__dirname, 'public/admin-login.html'));
+});
+
+// Serve admin page (logged-in users only)
 app.get('/admin', (req, res) => {
+  if (!req.user) {
+    return res.redirect('/admin/login?next=/admin');
+  }
   res.sendFile(join(__dirname, '../admin.html'));
 });
 
 // API Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/images/:id/reactions', reactionRoutes);
+app.use('/api/images/:id/comments', commentRoutes);
 app.use('/api/images', imageRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/submissions', submissionRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/timeline', timelineRoutes);
+app.use('/api/albums', albumRoutes);
+app.use('/api/guestbook', guestbookRoutes);
+app.use('/api/archives', archiveRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/backups', backupRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -53,14 +118,47 @@ app.get('*', (req, res) => {
       api: {
         health: '/api/health',
         images: '/api/images',
+        categories: '/api/categories',
+        search: '/api/search',
+        timeline: '/api/timeline',
+        albums: '/api/albums',
+        guestbook: '/api/guestbook',
+        archives: '/api/archives',
+        jobs: '/api/jobs',
+        trash: '/api/trash',
+        audit: '/api/audit',
+        backups: '/api/backups',
         upload: '/api/upload',
+        auth: '/api/auth',
+        submissions: '/api/submissions',
         admin: '/admin'
       }
     });
   }
 });
 
+// Bring the newest backup back if the store is gone (a wiped disk), then create the first
+// admin from the environment if there are no users yet
+restoreLatestIfWiped()
+  .catch(error => {
+    console.error('Failed to restore the newest backup:', error);
+  })
+  .then(ensureBootstrapAdmin)
+  .catch(error => {
+    console.error('Failed to create admin user:', error);
+  });
+
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📸 Image API available at http://localhost:${PORT}/api/images`);
+  console.log(`🗄️  Storage provider: ${storage.name}`);
+
+  // Run background jobs (syncs, EXIF, video processing, archives), including any left
+  // queued when the server last stopped
+  startJobQueue().then(() => {
+    schedulePurge();
+    scheduleBackups();
+  }, error => {
+    console.error('Failed to start the job queue:', error);
+  });
 });